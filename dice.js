@@ -0,0 +1,184 @@
+// This file defines the dice-notation engine used by the server (`server.js`) for every roll in the game.
+// It parses expressions like "1d6+2", "2d6+1d4+3", "2d20kh1", "4d6r1" or "1d6!" and rolls them,
+// returning both the total and the individual die faces so results can be broken down for players.
+
+// --- INDEX ---
+// 1. NOTATION PARSING
+// 2. ROLLING
+// 3. FORMATTING
+// 4. MODULE EXPORTS
+
+// Guards against runaway expressions (e.g. "999d999!") ever reaching the roller.
+const MAX_DICE_PER_TERM = 100;
+const MAX_SIDES = 1000;
+const MAX_EXPLOSIONS = 10;
+
+// --- 1. NOTATION PARSING ---
+// A term is either a flat number or a dice group with optional suffixes:
+//   kh<n> / k<n> keep the n highest, kl<n> keep the n lowest,
+//   r<n> reroll (once) any die showing n or lower, ! explode on the maximum face.
+const TERM_PATTERN = /([+-])(?:(\d*)d(\d+|%)((?:kh\d+|kl\d+|k\d+|r\d+|!)*)|(\d+))/y;
+const SUFFIX_PATTERN = /(kh|kl|k|r)(\d+)|!/g;
+
+/**
+ * Parses a dice expression into its signed terms.
+ * @param {string} expression The notation to parse, e.g. "2d6+1d4+3".
+ * @returns {Array<object>|null} The parsed terms, or null if the expression is invalid.
+ */
+function parseDice(expression) {
+    if (typeof expression !== 'string') return null;
+    let source = expression.replace(/\s+/g, '').toLowerCase();
+    if (source.length === 0) return null;
+    if (source[0] !== '+' && source[0] !== '-') source = `+${source}`;
+
+    const terms = [];
+    TERM_PATTERN.lastIndex = 0;
+    while (TERM_PATTERN.lastIndex < source.length) {
+        const start = TERM_PATTERN.lastIndex;
+        const match = TERM_PATTERN.exec(source);
+        if (!match) return null;
+
+        const [, signChar, countStr, sidesStr, suffixes, flat] = match;
+        const sign = signChar === '-' ? -1 : 1;
+        const notation = source.slice(start + 1, TERM_PATTERN.lastIndex);
+
+        if (flat !== undefined) {
+            terms.push({ type: 'flat', sign, value: Number(flat), notation });
+            continue;
+        }
+
+        const count = countStr === '' ? 1 : Number(countStr);
+        const sides = sidesStr === '%' ? 100 : Number(sidesStr);
+        if (count < 1 || count > MAX_DICE_PER_TERM || sides < 1 || sides > MAX_SIDES) return null;
+
+        const term = { type: 'dice', sign, count, sides, keep: null, reroll: 0, explode: false, notation };
+        for (const [token, kind, value] of suffixes.matchAll(SUFFIX_PATTERN)) {
+            if (token === '!') {
+                term.explode = true;
+            } else if (kind === 'r') {
+                term.reroll = Number(value);
+            } else {
+                term.keep = { highest: kind !== 'kl', count: Number(value) };
+            }
+        }
+        // A reroll threshold covering every face, or exploding a d1, would never settle.
+        if (term.reroll >= sides || (term.explode && sides < 2)) return null;
+        if (term.keep && (term.keep.count < 1 || term.keep.count > count)) return null;
+        terms.push(term);
+    }
+    return terms;
+}
+
+// --- 2. ROLLING ---
+function rollDie(sides, random) {
+    return Math.floor(random() * sides) + 1;
+}
+
+/**
+ * Rolls a single parsed dice term, applying rerolls, explosions and keep rules in that order.
+ * @returns {{faces: number[], kept: number[], subtotal: number}}
+ */
+function rollTerm(term, random) {
+    const faces = [];
+    for (let i = 0; i < term.count; i++) {
+        let face = rollDie(term.sides, random);
+        if (term.reroll && face <= term.reroll) face = rollDie(term.sides, random);
+        faces.push(face);
+
+        if (term.explode) {
+            let explosions = 0;
+            while (face === term.sides && explosions < MAX_EXPLOSIONS) {
+                face = rollDie(term.sides, random);
+                faces.push(face);
+                explosions++;
+            }
+        }
+    }
+
+    let kept = faces;
+    if (term.keep) {
+        const sorted = [...faces].sort((a, b) => term.keep.highest ? b - a : a - b);
+        kept = sorted.slice(0, term.keep.count);
+    }
+    const subtotal = kept.reduce((sum, face) => sum + face, 0);
+    return { faces, kept, subtotal };
+}
+
+/**
+ * Rolls a dice expression.
+ * Invalid expressions roll nothing and total 0, matching how the game has always treated bad data.
+ * @param {string|number} expression The notation to roll, e.g. "1d6+2". Plain numbers are treated as flat values.
+ * @param {function(): number} [random=Math.random] The random source, returning a float in [0, 1).
+ * @returns {{expression: string, valid: boolean, total: number, modifier: number, faces: number[], terms: Array<object>}}
+ */
+function rollDice(expression, random = Math.random) {
+    const source = typeof expression === 'number' ? String(expression) : expression;
+    const terms = parseDice(source);
+    if (!terms) {
+        return { expression: String(source ?? ''), valid: false, total: 0, modifier: 0, faces: [], terms: [] };
+    }
+
+    let total = 0;
+    let modifier = 0;
+    const faces = [];
+    const rolledTerms = terms.map(term => {
+        if (term.type === 'flat') {
+            modifier += term.sign * term.value;
+            total += term.sign * term.value;
+            return { notation: term.notation, sign: term.sign, value: term.value };
+        }
+        const { faces: allFaces, kept, subtotal } = rollTerm(term, random);
+        total += term.sign * subtotal;
+        faces.push(...kept);
+        return { notation: term.notation, sign: term.sign, sides: term.sides, faces: allFaces, kept, subtotal };
+    });
+
+    return { expression: source, valid: true, total, modifier, faces, terms: rolledTerms };
+}
+
+/**
+ * The average total of a dice expression, for weighing options rather than rolling them.
+ * Keep rules count only the kept dice, and rerolls and explosions are ignored, so those are rough estimates.
+ * @param {string|number} expression The notation, e.g. "2d6+3".
+ * @returns {number} 0 for invalid expressions.
+ */
+function averageDice(expression) {
+    const terms = parseDice(typeof expression === 'number' ? String(expression) : expression);
+    if (!terms) return 0;
+    return terms.reduce((sum, term) => {
+        const value = term.type === 'flat' ? term.value : (term.keep ? term.keep.count : term.count) * (term.sides + 1) / 2;
+        return sum + term.sign * value;
+    }, 0);
+}
+
+// --- 3. FORMATTING ---
+/**
+ * Builds a short, human-readable breakdown of a roll result, e.g. "2d6 [3, 5] + 4".
+ * Dice dropped by keep rules are marked with a tilde, e.g. "2d20kh1 [17, ~4]".
+ * @param {object} result A result object returned by `rollDice`.
+ * @returns {string}
+ */
+function formatRoll(result) {
+    if (!result || !result.valid) return '0';
+    return result.terms.map((term, index) => {
+        const sign = index === 0 ? (term.sign < 0 ? '-' : '') : (term.sign < 0 ? '- ' : '+ ');
+        if (term.value !== undefined) return `${sign}${term.value}`;
+
+        const remaining = [...term.kept];
+        const shown = term.faces.map(face => {
+            const keptIndex = remaining.indexOf(face);
+            if (keptIndex === -1) return `~${face}`;
+            remaining.splice(keptIndex, 1);
+            return String(face);
+        });
+        return `${sign}${term.notation} [${shown.join(', ')}]`;
+    }).join(' ');
+}
+
+// --- 4. MODULE EXPORTS ---
+module.exports = {
+    parseDice,
+    rollDice,
+    averageDice,
+    formatRoll
+};
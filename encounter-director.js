@@ -0,0 +1,114 @@
+// This file defines the encounter director used by the server (`server.js`) during the DM's turn.
+// It decides how many monsters to add to the board, and from which tier, based on the round, the party's
+// condition, Party Hope and the room's pacing curve (see `pacingCurves` in `game-data.js`).
+// It also decides when the boss arrives. It only plans; drawing the cards and placing them on the board is up to the server.
+
+// --- INDEX ---
+// 1. ENCOUNTER INPUTS
+// 2. ENCOUNTER PLANNING
+// 3. MODULE EXPORTS
+
+const { monsterThreat, pacingCurves } = require('./game-data');
+
+const TIERS = ['tier1', 'tier2', 'tier3'];
+const BASELINE_PARTY_SIZE = 3;
+
+// --- 1. ENCOUNTER INPUTS ---
+/**
+ * How much threat a monster already on the board represents.
+ * @param {object} monster A monster instance.
+ * @returns {number}
+ */
+function getMonsterThreat(monster) {
+    const tierThreat = monsterThreat[monster.tier] || monsterThreat.tier1;
+    return tierThreat + (monster.isBoss ? monsterThreat.boss : 0);
+}
+
+/**
+ * Shifts the effective round up for a strong, confident party and down for a battered, despairing one.
+ * @param {object[]} explorers All explorers in the room.
+ * @param {number} partyHope
+ * @returns {number} Between -2 and +2.
+ */
+function getEscalation(explorers, partyHope) {
+    const standing = explorers.filter(p => !p.isDowned && !p.disconnected);
+    const maxHp = standing.reduce((sum, p) => sum + (p.stats.maxHp || 0), 0);
+    const currentHp = standing.reduce((sum, p) => sum + (p.stats.currentHp || 0), 0);
+    // Fraction of the party's total health that is still in the fight.
+    const strength = explorers.length === 0 || maxHp === 0 ? 0 : (currentHp / maxHp) * (standing.length / explorers.length);
+
+    let shift = 0;
+    if (strength >= 0.8) shift += 1;
+    else if (strength < 0.4) shift -= 1;
+    if (partyHope >= 8) shift += 1;
+    else if (partyHope <= 2) shift -= 1;
+    return shift;
+}
+
+// --- 2. ENCOUNTER PLANNING ---
+/**
+ * Plans the monsters to spawn this DM turn.
+ * @param {object} input
+ * @param {number} input.round The current round (`gameState.turnCount`).
+ * @param {number} input.partyHope
+ * @param {object[]} input.explorers All explorers in the room.
+ * @param {object[]} input.monsters Monsters already on the board.
+ * @param {string} input.pacing A key of `pacingCurves`.
+ * @param {Object<string, number>} input.available Cards left in each tier's deck.
+ * @param {function(): number} input.random The room's random stream.
+ * @returns {{budget: number, threat: number, highestTier: string, spawns: string[]}} `spawns` lists the tier to draw each new monster from.
+ */
+function planEncounter({ round, partyHope, explorers, monsters, pacing, available, random }) {
+    const curve = pacingCurves[pacing] || pacingCurves.standard;
+    const effectiveRound = Math.max(1, round + getEscalation(explorers, partyHope));
+
+    const standingCount = explorers.filter(p => !p.isDowned && !p.disconnected).length;
+    const baseBudget = curve.budgets[Math.min(effectiveRound, curve.budgets.length) - 1];
+    const budget = Math.max(1, Math.round(baseBudget * Math.max(1, standingCount) / BASELINE_PARTY_SIZE));
+
+    const unlockedTiers = TIERS.filter(tier => tier === 'tier1' || effectiveRound >= curve.unlocks[tier]);
+    const highestTier = unlockedTiers[unlockedTiers.length - 1];
+
+    const threat = monsters.reduce((sum, m) => sum + getMonsterThreat(m), 0);
+    const remainingCards = { ...available };
+    const spawns = [];
+    let remainingBudget = budget - threat;
+    let openSlots = curve.maxMonsters - monsters.length;
+
+    while (remainingBudget > 0 && openSlots > 0) {
+        const candidates = unlockedTiers.filter(tier => monsterThreat[tier] <= remainingBudget && remainingCards[tier] > 0);
+        if (candidates.length === 0) break;
+
+        // Weight each candidate by its threat, so the director leans towards the toughest tier it can afford.
+        const totalWeight = candidates.reduce((sum, tier) => sum + monsterThreat[tier], 0);
+        let roll = random() * totalWeight;
+        const tier = candidates.find(t => (roll -= monsterThreat[t]) < 0) || candidates[candidates.length - 1];
+
+        spawns.push(tier);
+        remainingCards[tier]--;
+        remainingBudget -= monsterThreat[tier];
+        openSlots--;
+    }
+
+    return { budget, threat, highestTier, spawns };
+}
+
+/**
+ * Whether the boss should enter this DM turn. A game only ever has one boss.
+ * @param {object} input
+ * @param {number} input.round The current round (`gameState.turnCount`).
+ * @param {string} input.pacing A key of `pacingCurves`.
+ * @param {object|null} input.boss The room's `gameState.boss`, set once a boss has spawned.
+ * @returns {boolean}
+ */
+function isBossDue({ round, pacing, boss }) {
+    const curve = pacingCurves[pacing] || pacingCurves.standard;
+    return !boss && round >= curve.bossRound;
+}
+
+// --- 3. MODULE EXPORTS ---
+module.exports = {
+    getMonsterThreat,
+    planEncounter,
+    isBossDue
+};
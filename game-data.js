@@ -4,9 +4,15 @@
 
 // --- INDEX ---
 // 1. CLASSES
+//    - 1.1. Experience & Levels
 // 2. STATUS EFFECT DEFINITIONS
+//    - 2.1. Saving Throws
+//    - 2.2. Advantage & Disadvantage
+//    - 2.3. Downed & Dying
 // 3. ACTION COSTS
+//    - 3.1. Damage Types
 // 4. NPC DIALOGUE
+//    - 4.1. NPC Explorer Profiles
 // 5. MAGICAL AFFIXES (for item generation)
 // 6. CARD DATA
 //    - 6.1. Weapon Cards
@@ -17,32 +23,130 @@
 // 7. MONSTER DATA
 //    - 7.1. All Monsters List (structured)
 //    - 7.2. Monster Tiers (for spawning)
-// 8. MODULE EXPORTS
+//    - 7.3. Encounter Pacing (for the encounter director)
+//    - 7.4. Boss Cards & Arenas
+//    - 7.5. Monster Targeting
+// 8. CAMPAIGNS
+// 9. MODULE EXPORTS
 
 // --- 1. CLASSES ---
 const classes = {
     Barbarian: { baseHp: 24, baseDamageBonus: 4, baseShieldBonus: 0, baseAP: 3, healthDice: 4, stats: { str: 4, dex: 1, con: 3, int: 0, wis: 0, cha: 1 }, ability: { name: 'Rage', apCost: 1, description: 'Enter a rage. Gain +4 damage on all attacks this turn.' } },
-    Cleric:    { baseHp: 20, baseDamageBonus: 1, baseShieldBonus: 3, baseAP: 2, healthDice: 3, stats: { str: 1, dex: 0, con: 2, int: 1, wis: 4, cha: 2 }, ability: { name: 'Divine Heal', apCost: 1, description: 'Heal yourself for 1d8 + WIS HP.' } },
+    Cleric:    { baseHp: 20, baseDamageBonus: 1, baseShieldBonus: 3, baseAP: 2, healthDice: 3, stats: { str: 1, dex: 0, con: 2, int: 1, wis: 4, cha: 2 }, ability: { name: 'Divine Heal', apCost: 1, target: 'any-player', description: 'Heal yourself or an ally for 1d8 + WIS HP. Revives a downed ally.' } },
     Mage:      { baseHp: 18, baseDamageBonus: 1, baseShieldBonus: 2, baseAP: 2, healthDice: 2, stats: { str: 0, dex: 1, con: 1, int: 4, wis: 2, cha: 1 }, ability: { name: 'Arcane Recovery', apCost: 0, description: 'Regain 1 AP. Usable once per turn.' } },
     Ranger:    { baseHp: 20, baseDamageBonus: 2, baseShieldBonus: 2, baseAP: 2, healthDice: 3, stats: { str: 1, dex: 4, con: 2, int: 1, wis: 3, cha: 0 }, ability: { name: 'Hunter\'s Mark', apCost: 1, description: 'Mark a target. Your next attack against it has +5 to hit.' } },
     Rogue:     { baseHp: 18, baseDamageBonus: 3, baseShieldBonus: 1, baseAP: 3, healthDice: 2, stats: { str: 1, dex: 4, con: 1, int: 2, wis: 0, cha: 3 }, ability: { name: 'Sneak Attack', apCost: 1, description: 'Your next attack this turn deals an extra 1d6 damage.' } },
     Warrior:   { baseHp: 22, baseDamageBonus: 2, baseShieldBonus: 4, baseAP: 3, healthDice: 4, stats: { str: 3, dex: 2, con: 4, int: 0, wis: 1, cha: 1 }, ability: { name: 'Power Surge', apCost: 1, description: 'Your next attack has +2 to hit and +2 damage.' } },
 };
 
+// --- 1.1. Experience & Levels ---
+// Total XP needed to reach each level (index 0 is level 1).
+const levelThresholds = [0, 10, 25, 45, 70];
+
+// The highest spell level a character can draw and cast at each character level.
+const spellLevelUnlocks = [1, 1, 2, 2, 3];
+
+// XP for defeating a monster (by tier, shared by the party), for a successful skill check,
+// and for seeing a world event's challenge through.
+const xpRewards = { tier1: 3, tier2: 6, tier3: 10, boss: 25, skillCheck: 2, worldEvent: 4 };
+
+// What each class gains on reaching a level (index 0 is level 1, which gains nothing).
+// Gains add up: a level 3 Barbarian has the gains of levels 2 and 3 on top of its class base.
+const classLevelTables = {
+    Barbarian: [{}, { maxHp: 4, str: 1 }, { maxHp: 4, damageBonus: 1 }, { maxHp: 4, con: 1 }, { maxHp: 4, str: 1, ap: 1 }],
+    Cleric:    [{}, { maxHp: 3, wis: 1 }, { maxHp: 3, shieldBonus: 1 }, { maxHp: 3, con: 1 }, { maxHp: 3, wis: 1, ap: 1 }],
+    Mage:      [{}, { maxHp: 2, int: 1 }, { maxHp: 2, ap: 1 }, { maxHp: 2, wis: 1 }, { maxHp: 2, int: 1, damageBonus: 1 }],
+    Ranger:    [{}, { maxHp: 3, dex: 1 }, { maxHp: 3, damageBonus: 1 }, { maxHp: 3, wis: 1 }, { maxHp: 3, dex: 1, ap: 1 }],
+    Rogue:     [{}, { maxHp: 2, dex: 1 }, { maxHp: 2, damageBonus: 1 }, { maxHp: 2, cha: 1 }, { maxHp: 2, dex: 1, ap: 1 }],
+    Warrior:   [{}, { maxHp: 4, str: 1 }, { maxHp: 4, shieldBonus: 1 }, { maxHp: 4, con: 1 }, { maxHp: 4, str: 1, ap: 1 }],
+};
+
 // --- 2. STATUS EFFECT DEFINITIONS ---
+// Read by the status engine in server.js. Every status a card, ability or monster can inflict is listed here.
+// - trigger: 'start' or 'end' of the affected creature's turn, when `damage` (dice) is dealt
+// - cannotAct: the creature loses its turns. cannotAttack: it can still act, but not attack.
+// - untargetable: monsters won't pick this creature as a target. endsOn: actions that remove the status.
+// - bonuses: folded into a player's stats while active (as with equipment bonuses). beneficial: logged as good news.
+// - rollModifiers: advantage or disadvantage the status brings to d20 rolls (see 2.2).
+// - maxStacks: how many copies can be active at once (default 1). Applying a status beyond that refreshes the
+//   copy with the least time left instead of adding another, so e.g. Rage can't stack forever.
 const statusEffectDefinitions = {
-    'Poisoned': { trigger: 'start', damage: '1d4', description: 'Takes 1d4 damage at the start of their turn.' },
-    'Stunned': { cannotAct: true, description: 'Cannot take actions.' },
-    'On Fire': { trigger: 'start', damage: '1d6', description: 'Takes 1d6 damage at the start of their turn.'},
+    // Conditions
+    'Poisoned': { trigger: 'start', damage: '1d4', damageType: 'Poison', maxStacks: 3, rollModifiers: [{ mode: 'disadvantage', rolls: ['attack', 'check'] }], description: 'Takes 1d4 damage at the start of their turn and has disadvantage on attacks and checks. Stacks up to 3 times.' },
+    'Stunned': { cannotAct: true, rollModifiers: [{ mode: 'advantage', rolls: ['attack'], against: true }], description: 'Cannot take actions. Attacks against it have advantage.' },
+    'On Fire': { trigger: 'start', damage: '1d6', damageType: 'Fire', description: 'Takes 1d6 damage at the start of their turn.'},
     'Frightened': { cannotAct: true, description: 'Cannot take actions for 1 turn.' },
-    'Restrained': { cannotAct: true, description: 'Cannot move or take actions.' }
+    'Restrained': { cannotAct: true, rollModifiers: [{ mode: 'advantage', rolls: ['attack'], against: true }, { mode: 'disadvantage', rolls: ['save'], stat: 'dex' }], description: 'Cannot move or take actions. Attacks against it have advantage, and it has disadvantage on DEX saves.' },
+    'Paralyzed': { cannotAct: true, rollModifiers: [{ mode: 'advantage', rolls: ['attack'], against: true }], description: 'Cannot move or take actions. Attacks against it have advantage.' },
+    'Slowed': { bonuses: { ap: -1 }, description: 'Has 1 less AP on their turn.' },
+    'Charmed': { cannotAttack: true, description: 'Cannot make attacks.' },
+    'Invisible': { beneficial: true, untargetable: true, endsOn: ['attack', 'castSpell'], rollModifiers: [{ mode: 'advantage', rolls: ['attack'] }], description: 'Cannot be targeted by monsters and attacks with advantage. Ends after attacking or casting a spell.' },
+    'Vulnerable': { rollModifiers: [{ mode: 'advantage', rolls: ['attack'], against: true, oneShot: true }], description: 'Next attack against it has advantage.' },
+    'Prone': { cannotAttack: true, rollModifiers: [{ mode: 'advantage', rolls: ['attack'], against: true }], description: 'Knocked to the ground. Cannot make attacks until back on their feet, and attacks against it have advantage.' },
+    'Petrified': { cannotAct: true, description: 'Turned to stone. Cannot move or take actions.' },
+    'Taunted': { description: 'Must attack the explorer who taunted it.' },
+    'Emboldened': { beneficial: true, bonuses: { hitBonus: 1 }, description: 'Spurred on by the party. +1 to hit.' },
+    // Monster abilities
+    'Shadowed': { beneficial: true, rollModifiers: [{ mode: 'advantage', rolls: ['attack'], oneShot: true }], description: 'Strikes from the shadows. Its next attack has advantage.' },
+    'Rallied': { beneficial: true, rollModifiers: [{ rolls: ['attack'], bonus: 1 }], description: '+1 to attack rolls.' },
+    'Tribal Fervor': { beneficial: true, rollModifiers: [{ rolls: ['attack'], bonus: 2 }], description: '+2 to attack rolls.' },
+    'Bloodlust': { beneficial: true, rollModifiers: [{ mode: 'advantage', rolls: ['attack'] }], description: 'Attacks with advantage.' },
+    // Class abilities
+    'Rage': { beneficial: true, bonuses: { damageBonus: 4 }, description: '+4 damage on all attacks.' },
+    'Hunters Mark': { beneficial: true, bonuses: { hitBonus: 5 }, description: '+5 to hit.' },
+    'Sneak Attack': { beneficial: true, description: 'Extra 1d6 damage.' },
+    'Power Surge': { beneficial: true, bonuses: { damageBonus: 2, hitBonus: 2 }, description: '+2 to hit and +2 damage.' }
+};
+
+// --- 2.1. Saving Throws ---
+// An effect that allows a save declares `save: { stat, dc, onSuccess }`. The target rolls 1d20 plus its save bonus
+// for `stat`; meeting the DC is a success. `onSuccess` is 'half' (half damage, no status) or 'negate' (no effect at all).
+// Explorers save with their ability scores (`stats.str` etc.). Monsters use the bonus for their tier unless they
+// list their own in `saves`, e.g. `saves: { dex: 5 }`.
+const monsterSaveBonuses = { tier1: 1, tier2: 2, tier3: 4 };
+
+// --- 2.2. Advantage & Disadvantage ---
+// Attack rolls, skill checks and saving throws are d20 rolls. Anything that gives one of them advantage (roll 2d20, keep
+// the higher) or disadvantage (keep the lower) lists `rollModifiers`: [{ mode, rolls, stat?, ranged?, against?, oneShot? }]
+// - mode: 'advantage' or 'disadvantage'. rolls: any of 'attack', 'check' and 'save'.
+// - stat: only checks or saves with this ability. Skills count as their ability, e.g. Stealth is 'dex'.
+// - ranged: only attacks with a ranged weapon (`effect.ranged`). against: applies to attacks made against the bearer.
+// - oneShot: used up by the first roll it applies to (for a world event, the first roll of each explorer).
+// A modifier can give a flat `bonus` to the roll instead of a `mode`, e.g. { bonus: 2, rolls: ['attack'] }.
+// Statuses, equipped items, buff cards and world events can all list them. Any advantage and any disadvantage cancel out.
+
+// --- 2.3. Downed & Dying ---
+// An explorer reduced to 0 HP is downed and dying. At the start of each of their turns they make a death saving throw:
+// a d20 with no ability bonus against `deathSaveDc`. A natural 20 gets them back up with 1 HP; a natural 1 counts as two failures.
+// Enough successes and they stabilize: no more death saves, but they stay down until healed. Enough failures and they
+// die if the room plays with `permadeath`, or are knocked out (stable, but at a cost to Party Hope) if it doesn't.
+// An ally can stabilize a dying explorer with a `stabilize` check, and any healing revives a downed one.
+const dyingRules = {
+    deathSaveDc: 10,
+    successesToStabilize: 3,
+    failuresToDie: 3,
+    stabilize: { skill: 'wis', dc: 10 },
+    hope: { revive: 1, knockedOut: -1, death: -2 }
 };
 
 // --- 3. ACTION COSTS ---
 const actionCosts = {
     briefRespite: 1,
     fullRest: 2,
-    guard: 1
+    guard: 1,
+    stabilize: 1
+};
+
+// --- 3.1. Damage Types ---
+// Every damaging card and monster attack names one of these as its `damageType`.
+// Monsters list `weaknesses`, `resistances` and `immunities` directly; armor lists them in its `effect`.
+const damageTypes = ['Slashing', 'Piercing', 'Bludgeoning', 'Fire', 'Cold', 'Lightning', 'Thunder', 'Acid', 'Poison', 'Necrotic', 'Radiant', 'Force', 'Psychic'];
+
+// A weakness and a resistance to the same type cancel out. Immunity always wins.
+const damageMultipliers = {
+    weakness: 2,
+    resistance: 0.5,
+    immunity: 0
 };
 
 // --- 4. NPC DIALOGUE ---
@@ -54,6 +158,23 @@ const npcDialogue = {
     }
 };
 
+// --- 4.1. NPC Explorer Profiles ---
+// How NPC explorers play (see `npc-planner.js`). Every action an NPC could take is scored by what it achieves, each kind
+// of gain scaled by the profile's `weights`, and the NPC takes the best value for its AP until nothing is worth doing.
+// - damage: expected damage to monsters. finish: defeating a monster before it can act again.
+// - control: hindering monsters with statuses. protect: guarding and drawing attacks away from hurt allies.
+// - heal: HP restored. revive: getting a downed ally back up or stabilized. buff: boons for upcoming attacks.
+// - explore: skill challenges and interacting with cards on the board.
+// - lowHp: below this fraction of max HP an explorer counts as in danger, and healing them is worth double.
+// - noise: how far each score is randomly nudged, so NPCs don't play like clockwork.
+const npcProfiles = {
+    balanced:   { name: 'Balanced',   lowHp: 0.4,  noise: 0.15, weights: { damage: 1,   finish: 1,   control: 1,   protect: 1,   heal: 1,   revive: 1,   buff: 1,   explore: 1 } },
+    aggressive: { name: 'Aggressive', lowHp: 0.25, noise: 0.15, weights: { damage: 1.5, finish: 1.5, control: 0.8, protect: 0.4, heal: 0.6, revive: 0.8, buff: 1.2, explore: 0.6 } },
+    support:    { name: 'Support',    lowHp: 0.5,  noise: 0.15, weights: { damage: 0.7, finish: 0.8, control: 1.2, protect: 1,   heal: 1.8, revive: 2,   buff: 1.5, explore: 0.8 } },
+    cautious:   { name: 'Cautious',   lowHp: 0.6,  noise: 0.1,  weights: { damage: 0.8, finish: 1,   control: 1.2, protect: 1.8, heal: 1.3, revive: 1.2, buff: 0.8, explore: 0.5 } },
+};
+const defaultNpcProfile = 'balanced';
+
 // --- 5. MAGICAL AFFIXES (for item generation) ---
 const magicalAffixes = [
     // Tier 1 (Uncommon)
@@ -85,74 +206,96 @@ const magicalAffixes = [
 // --- 6. CARD DATA ---
 
 // --- 6.1. Weapon Cards ---
+// `effect.special` is the machine-readable part of a weapon's "Special:" clause, evaluated by the attack pipeline:
+// - trigger: "on-attack" (modifies the attack roll), "on-hit", "on-crit" (natural 20), "first-attack" (hitting a target nobody has attacked yet)
+// - limit: "once-per-turn" (optional)
+// - condition: "braced" (optional, the wielder took the Guard action on their previous turn)
+// - effects: { hitBonus, ignoreShield (lowers the target's roll to hit), bonusDamage (dice), extraAttack }
+// Specials that depend on range, movement or reactions are not modeled and stay flavor text.
+// `effect.ranged` marks bows and crossbows, for effects that only touch ranged attacks (e.g. Misty Veil).
 const weaponCards = [
-    { name: "Axechuck", type: "Weapon", apCost: 1, class: ["Warrior", "Barbarian", "Ranger"], effect: { dice: "1d6", description: "Thrown (20/60), Special: Returning Edge - Returns to hand at end of turn (If thrown and hand free)." } },
-    { name: "Balanced Steel", type: "Weapon", apCost: 2, class: ["Warrior", "Rogue", "Ranger"], effect: { dice: "1d8", description: "Versatile (1d10), Special: Guard Breaker - Ignore 1 point of target's Shield Bonus (Versatile only, 1/turn)." } },
-    { name: "Bolt Sprinter", type: "Weapon", apCost: 2, class: ["Rogue", "Ranger"], effect: { dice: "1d8", description: "Ammunition, Loading, Special: Steady Aim - First attack on next turn deals +1d4 damage (If used Brace action this turn)." } },
-    { name: "Bone Thumper", type: "Weapon", apCost: 2, class: ["Barbarian", "Warrior", "Cleric"], effect: { dice: "1d6", description: "Special: Solid Strike - Deal an additional 1 damage (When hitting target with Shield Bonus from armor, not shield)." } },
-    { name: "Doomcleaver", type: "Weapon", apCost: 2, class: ["Barbarian", "Warrior"], effect: { dice: "2d6", description: "Two-Handed, Heavy, Special: Savage Chop - Make 1 additional melee attack vs same target (Natural 20 on attack roll)." } },
-    { name: "Duelist's Point", type: "Weapon", apCost: 1, class: ["Rogue", "Warrior"], effect: { dice: "1d8", description: "Finesse, Special: Opening Flourish - First successful attack deals +1d4 damage (If first creature to attack target in combat)." } },
-    { name: "Farstrike Bow", type: "Weapon", apCost: 2, class: ["Ranger", "Warrior"], effect: { dice: "1d8", description: "Ammunition, Heavy, Two-Handed, Special: Piercing Shot - +1 Attack Roll but ignore 1 point of target's Shield Bonus (Ranged, 1/turn)." } },
-    { name: "Impact Cleaver", type: "Weapon", apCost: 2, class: ["Barbarian", "Warrior"], effect: { dice: "1d8", description: "Versatile (1d10), Heavy, Special: Momentum Swing - Increase movement speed by 5 ft until end of turn (Versatile hit)." } },
-    { name: "Quick Blade", type: "Weapon", apCost: 1, class: ["Rogue", "Ranger"], effect: { dice: "1d6", description: "Finesse, Special: Fluid Motion - Can use Break Away for 0 AP (If make two attacks with this weapon on turn)." } },
-    { name: "Shadowtooth", type: "Weapon", apCost: 1, class: ["Rogue"], effect: { dice: "1d4", description: "Finesse, Thrown (20/60), Special: Poison Ready - Advantage on attack roll when applying poison." } },
-    { name: "Swiftflight Bow", type: "Weapon", apCost: 2, class: ["Ranger", "Rogue"], effect: { dice: "1d6", description: "Ammunition, Close-Range Penalty (-1d4 damage when attacking Close enemy)" } },
-    { name: "Wayfinder's Staff", type: "Weapon", apCost: 2, class: ["Mage", "Cleric", "Ranger"], effect: { dice: "1d6", description: "Versatile (1d8), Special: Deflect - As Reaction, spend 1 AP to gain +2 to Required Roll to Hit vs attacker (Until start of next turn)." } }
+    { name: "Axechuck", type: "Weapon", apCost: 1, class: ["Warrior", "Barbarian", "Ranger"], effect: { dice: "1d6", damageType: "Slashing", description: "Thrown (20/60), Special: Returning Edge - Returns to hand at end of turn (If thrown and hand free)." } },
+    { name: "Balanced Steel", type: "Weapon", apCost: 2, class: ["Warrior", "Rogue", "Ranger"], effect: { dice: "1d8", damageType: "Slashing", special: { name: "Guard Breaker", trigger: "on-attack", limit: "once-per-turn", effects: { ignoreShield: 1 } }, description: "Versatile (1d10), Special: Guard Breaker - Ignore 1 point of target's Shield Bonus (Versatile only, 1/turn)." } },
+    { name: "Bolt Sprinter", type: "Weapon", apCost: 2, class: ["Rogue", "Ranger"], effect: { dice: "1d8", damageType: "Piercing", ranged: true, special: { name: "Steady Aim", trigger: "on-hit", limit: "once-per-turn", condition: "braced", effects: { bonusDamage: "1d4" } }, description: "Ammunition, Loading, Special: Steady Aim - First attack on next turn deals +1d4 damage (If used Brace action this turn)." } },
+    { name: "Bone Thumper", type: "Weapon", apCost: 2, class: ["Barbarian", "Warrior", "Cleric"], effect: { dice: "1d6", damageType: "Bludgeoning", special: { name: "Solid Strike", trigger: "on-hit", effects: { bonusDamage: "1" } }, description: "Special: Solid Strike - Deal an additional 1 damage (When hitting target with Shield Bonus from armor, not shield)." } },
+    { name: "Doomcleaver", type: "Weapon", apCost: 2, class: ["Barbarian", "Warrior"], effect: { dice: "2d6", damageType: "Slashing", special: { name: "Savage Chop", trigger: "on-crit", effects: { extraAttack: true } }, description: "Two-Handed, Heavy, Special: Savage Chop - Make 1 additional melee attack vs same target (Natural 20 on attack roll)." } },
+    { name: "Duelist's Point", type: "Weapon", apCost: 1, class: ["Rogue", "Warrior"], effect: { dice: "1d8", damageType: "Piercing", special: { name: "Opening Flourish", trigger: "first-attack", effects: { bonusDamage: "1d4" } }, description: "Finesse, Special: Opening Flourish - First successful attack deals +1d4 damage (If first creature to attack target in combat)." } },
+    { name: "Farstrike Bow", type: "Weapon", apCost: 2, class: ["Ranger", "Warrior"], effect: { dice: "1d8", damageType: "Piercing", ranged: true, special: { name: "Piercing Shot", trigger: "on-attack", limit: "once-per-turn", effects: { hitBonus: 1, ignoreShield: 1 } }, description: "Ammunition, Heavy, Two-Handed, Special: Piercing Shot - +1 Attack Roll but ignore 1 point of target's Shield Bonus (Ranged, 1/turn)." } },
+    { name: "Impact Cleaver", type: "Weapon", apCost: 2, class: ["Barbarian", "Warrior"], effect: { dice: "1d8", damageType: "Slashing", description: "Versatile (1d10), Heavy, Special: Momentum Swing - Increase movement speed by 5 ft until end of turn (Versatile hit)." } },
+    { name: "Quick Blade", type: "Weapon", apCost: 1, class: ["Rogue", "Ranger"], effect: { dice: "1d6", damageType: "Slashing", description: "Finesse, Special: Fluid Motion - Can use Break Away for 0 AP (If make two attacks with this weapon on turn)." } },
+    { name: "Shadowtooth", type: "Weapon", apCost: 1, class: ["Rogue"], effect: { dice: "1d4", damageType: "Piercing", description: "Finesse, Thrown (20/60), Special: Poison Ready - Advantage on attack roll when applying poison." } },
+    { name: "Swiftflight Bow", type: "Weapon", apCost: 2, class: ["Ranger", "Rogue"], effect: { dice: "1d6", damageType: "Piercing", ranged: true, description: "Ammunition, Close-Range Penalty (-1d4 damage when attacking Close enemy)" } },
+    { name: "Wayfinder's Staff", type: "Weapon", apCost: 2, class: ["Mage", "Cleric", "Ranger"], effect: { dice: "1d6", damageType: "Bludgeoning", description: "Versatile (1d8), Special: Deflect - As Reaction, spend 1 AP to gain +2 to Required Roll to Hit vs attacker (Until start of next turn)." } }
 ];
 
 // --- 6.2. Armor Cards ---
+// `effect.passive` is the machine-readable part of an armor's description:
+// - hook: "on-being-attacked" (a monster attacks the wearer), "on-damaged", "stat-bonus" (folded into the wearer's stats)
+// - condition: "hit", "crit", "attack" (damage came from an attack), "below-half-hp" (optional)
+// - limit: "once-per-turn" (optional, resets at the start of the wearer's turn)
+// - effects: { forceReroll, reflectDamage, damageReduction, or any stat bonus }
 const armorCards = [
     { name: "Arcanist's Weave", type: "Armor", class: ["Warrior", "Mage", "Rogue", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 2, ap: 2 }, description: "+1 to Magic Resistance." } },
     { name: "Bastion Shield", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 3, ap: -1 }, description: "Provides cover to adjacent allies." } },
-    { name: "Crystal Hide", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 6, ap: 0 }, description: "Resistance to non-magical damage." } },
-    { name: "Earth-Forged Mail", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 7, ap: -1 }, description: "Resistance to Bludgeoning damage." } },
-    { name: "Fury Cuirass", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 6, ap: 1 }, description: "While below half health, gain +1 to attack rolls." } },
+    { name: "Crystal Hide", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 6, ap: 0 }, resistances: ["Slashing", "Piercing", "Bludgeoning"], description: "Resistance to non-magical damage." } },
+    { name: "Earth-Forged Mail", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 7, ap: -1 }, resistances: ["Bludgeoning"], description: "Resistance to Bludgeoning damage." } },
+    { name: "Fury Cuirass", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 6, ap: 1 }, passive: { name: "Fury", hook: "stat-bonus", condition: "below-half-hp", effects: { hitBonus: 1 } }, description: "While below half health, gain +1 to attack rolls." } },
     { name: "Hide Vest", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 2, ap: 1 }, description: "Simple but effective protection made from cured animal hide." } },
-    { name: "Indomitable Plating", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 10, ap: -2 }, description: "Ignores the first point of damage from any attack." } },
+    { name: "Indomitable Plating", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 10, ap: -2 }, passive: { name: "Indomitable", hook: "on-damaged", condition: "attack", effects: { damageReduction: 1 } }, description: "Ignores the first point of damage from any attack." } },
     { name: "Ironclad Harness", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 8, ap: -1 }, description: "Complete coverage in heavy metal, but restricts movement." } },
     { name: "Link Hauberk", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 4, ap: 0 }, description: "Interlocking rings provide reliable defense." } },
-    { name: "Nightfall Shroud", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 1, ap: 3 }, description: "Advantage on Stealth checks." } },
-    { name: "Phase Shroud", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 5, ap: 0 }, description: "Once per turn, may force an attacker to reroll their attack roll." } },
+    { name: "Nightfall Shroud", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 1, ap: 3 }, rollModifiers: [{ mode: "advantage", rolls: ["check"], stat: "dex" }], description: "Advantage on Stealth checks." } },
+    { name: "Phase Shroud", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 5, ap: 0 }, passive: { name: "Phase Shift", hook: "on-being-attacked", condition: "hit", limit: "once-per-turn", effects: { forceReroll: true } }, description: "Once per turn, may force an attacker to reroll their attack roll." } },
     { name: "Plate Cuirass", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 6, ap: 0 }, description: "A sturdy defense for the chest." } },
     { name: "Round Shield", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 1, ap: 0 }, description: "+1 to Block rolls." } },
     { name: "Scaled Vest", type: "Armor", class: ["Warrior", "Cleric", "Ranger", "Barbarian"], effect: { bonuses: { shieldBonus: 5, ap: 0 }, description: "Overlapping plates deflect blows." } },
     { name: "Spellward Plate", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 7, ap: 0 }, description: "+1 to saving throws against spells." } },
-    { name: "Spiritweave Robes", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 2, ap: 2 }, description: "Resistance to Necrotic damage." } },
-    { name: "Sylvan Shroud", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 3, ap: 2 }, description: "Advantage on Dexterity saving throws." } },
-    { name: "Thornmail", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 4, ap: -1 }, description: "Deals 1 damage to attacker on a critical hit against the wearer." } },
-    { name: "Toughened Hides", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 3, ap: 1 }, description: "Resistance to Piercing damage." } },
-    { name: "Wyrmscale Mail", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 9, ap: 0 }, description: "Immunity to one type of elemental damage (Fire, Cold, etc.). Player's choice." } }
+    { name: "Spiritweave Robes", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 2, ap: 2 }, resistances: ["Necrotic"], description: "Resistance to Necrotic damage." } },
+    { name: "Sylvan Shroud", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 3, ap: 2 }, rollModifiers: [{ mode: "advantage", rolls: ["save"], stat: "dex" }], description: "Advantage on Dexterity saving throws." } },
+    { name: "Thornmail", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 4, ap: -1 }, passive: { name: "Thorns", hook: "on-being-attacked", condition: "crit", effects: { reflectDamage: 1 } }, description: "Deals 1 damage to attacker on a critical hit against the wearer." } },
+    { name: "Toughened Hides", type: "Armor", class: ["Any"], effect: { bonuses: { shieldBonus: 3, ap: 1 }, resistances: ["Piercing"], description: "Resistance to Piercing damage." } },
+    { name: "Wyrmscale Mail", type: "Armor", class: ["Warrior"], effect: { bonuses: { shieldBonus: 9, ap: 0 }, immunities: ["Fire"], description: "Immunity to Fire damage." } }
 ];
 
 // --- 6.3. Spell Cards ---
+// How the caster picks targets for each spell `target`: which `kinds` of creature may be picked ('monster' or 'player'),
+// and how many (`min` to `max`). A spell can override the count with `minTargets` / `maxTargets` in its effect.
+// Other targets pick no one: 'aoe' hits every monster, 'party' every explorer, and 'self' the caster.
+const spellTargeting = {
+    'any-monster':   { kinds: ['monster'], min: 1, max: 1 },
+    'multi-monster': { kinds: ['monster'], min: 1, max: 3 },
+    'any-player':    { kinds: ['player'], min: 1, max: 1 },
+    'multi-player':  { kinds: ['player'], min: 1, max: 3 },
+};
+
 const spellCards = [
     // Level 1
-    { name: "Acid Burst", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "1d6", target: "aoe", description: "Deals 1d6 acid damage to each creature in a 5-foot radius sphere at Far range." } },
-    { name: "Cinder Shot", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "1d10", target: "any-monster", description: "Deals 1d10 fire damage at Far range." } },
-    { name: "Flame Fan", type: "Spell", level: 1, apCost: 1, class: ["Mage"], effect: { type: "damage", dice: "3d6", target: "aoe", description: "Deals 3d6 fire damage in a 15-foot cone. (DEX save DC 13 for half)." } },
+    { name: "Acid Burst", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "1d6", damageType: "Acid", target: "aoe", description: "Deals 1d6 acid damage to each creature in a 5-foot radius sphere at Far range." } },
+    { name: "Cinder Shot", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "1d10", damageType: "Fire", target: "any-monster", description: "Deals 1d10 fire damage at Far range." } },
+    { name: "Flame Fan", type: "Spell", level: 1, apCost: 1, class: ["Mage"], effect: { type: "damage", dice: "3d6", damageType: "Fire", target: "aoe", save: { stat: "dex", dc: 13, onSuccess: "half" }, description: "Deals 3d6 fire damage in a 15-foot cone. (DEX save DC 13 for half)." } },
     { name: "Force Barrier", type: "Spell", level: 1, apCost: 1, class: ["Mage"], effect: { type: "buff", bonuses: { shieldBonus: 5 }, duration: 2, target: "self", description: "Increase your Shield Points by 5 until the start of your next turn." } },
-    { name: "Force Darts", type: "Spell", level: 1, apCost: 1, class: ["Mage"], effect: { type: "damage", dice: "1d4+1", target: "multi-monster", description: "Deals 1d4+1 force damage to up to three targets at Far range." } },
-    { name: "Frost Beam", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "1d8", status: "Slowed", duration: 2, target: "any-monster", description: "Deals 1d8 cold damage and reduces target's speed by 10 feet until the start of your next turn." } },
-    { name: "Grasping Vines", type: "Spell", level: 1, apCost: 1, class: ["Ranger"], effect: { type: "control", status: "Restrained", duration: 2, target: "aoe", description: "Restrains creatures in a 20-foot square at Far range. (STR save DC 13)." } },
+    { name: "Force Darts", type: "Spell", level: 1, apCost: 1, class: ["Mage"], effect: { type: "damage", dice: "1d4+1", damageType: "Force", target: "multi-monster", description: "Deals 1d4+1 force damage to up to three targets at Far range." } },
+    { name: "Frost Beam", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "1d8", damageType: "Cold", status: "Slowed", duration: 2, target: "any-monster", description: "Deals 1d8 cold damage and reduces target's speed by 10 feet until the start of your next turn." } },
+    { name: "Grasping Vines", type: "Spell", level: 1, apCost: 1, class: ["Ranger"], effect: { type: "control", status: "Restrained", duration: 2, target: "aoe", save: { stat: "str", dc: 13, onSuccess: "negate" }, description: "Restrains creatures in a 20-foot square at Far range. (STR save DC 13)." } },
     { name: "Healing Touch", type: "Spell", level: 1, apCost: 1, class: ["Cleric", "Ranger"], effect: { type: "heal", dice: "1d8+5", target: "any-player", description: "Heals a creature you touch for 1d8+5 HP." } },
     { name: "Illumination", type: "Spell", level: 1, apCost: 0, class: ["Mage", "Cleric", "Ranger"], effect: { type: "utility", utilityType: "light", description: "An object you touch emits bright light in a 20-foot radius and dim light for an additional 20 feet. The light lasts for 10 minutes." } },
-    { name: "Inspire Allies", type: "Spell", level: 1, apCost: 1, class: ["Cleric", "Ranger"], effect: { type: "buff", dice: "1d4", duration: 2, target: "party", description: "Up to three creatures gain 1d4 bonus to attack rolls and saving throws for 1 minute." } },
-    { name: "Jolt Touch", type: "Spell", level: 1, apCost: 1, class: ["Mage"], effect: { type: "damage", dice: "1d8", status: "Stunned", duration: 2, target: "any-monster", description: "Deals 1d8 lightning damage. Target can't take reactions until the start of its next turn." } },
+    { name: "Inspire Allies", type: "Spell", level: 1, apCost: 1, class: ["Cleric", "Ranger"], effect: { type: "buff", dice: "1d4", duration: 2, target: "multi-player", description: "Up to three creatures gain 1d4 bonus to attack rolls and saving throws for 1 minute." } },
+    { name: "Jolt Touch", type: "Spell", level: 1, apCost: 1, class: ["Mage"], effect: { type: "damage", dice: "1d8", damageType: "Lightning", status: "Stunned", duration: 2, target: "any-monster", description: "Deals 1d8 lightning damage. Target can't take reactions until the start of its next turn." } },
     { name: "Obscuring Mist", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "utility", utilityType: "field_effect", description: "Creates a 20-foot radius sphere of fog centered on a point within range. The sphere spreads around corners, and its area is heavily obscured. It lasts for 1 minute or until a wind of moderate or greater speed disperses it." } },
-    { name: "Radiant Strike", type: "Spell", level: 1, apCost: 1, class: ["Cleric"], effect: { type: "damage", dice: "4d6", target: "any-monster", description: "Deals 4d6 radiant damage. The next attack roll against the target has advantage." } },
+    { name: "Radiant Strike", type: "Spell", level: 1, apCost: 1, class: ["Cleric"], effect: { type: "damage", dice: "4d6", damageType: "Radiant", target: "any-monster", status: "Vulnerable", duration: 2, description: "Deals 4d6 radiant damage. The next attack roll against the target has advantage." } },
     { name: "Restore Form", type: "Spell", level: 1, apCost: 0, class: ["Mage", "Cleric", "Ranger"], effect: { type: "utility", utilityType: "repair", description: "This spell repairs a single break or tear in an object you touch, such as a broken chain link, two halves of a broken key, a torn cloak, or a leaking wineskin." } },
-    { name: "Shockwave", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "2d8", target: "aoe", description: "Deals 2d8 thunder damage in a 15-foot cube and pushes creatures 10 feet away. (CON save DC 13)." } },
+    { name: "Shockwave", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "2d8", damageType: "Thunder", target: "aoe", save: { stat: "con", dc: 13, onSuccess: "half" }, description: "Deals 2d8 thunder damage in a 15-foot cube and pushes creatures 10 feet away. (CON save DC 13)." } },
     { name: "Skill Boon", type: "Spell", level: 1, apCost: 1, class: ["Cleric", "Ranger"], effect: { type: "buff", dice: "1d4", duration: 2, target: "any-player", description: "Target gains 1d4 bonus to one ability check for 1 minute." } },
     { name: "Slumber Wave", type: "Spell", level: 1, apCost: 1, class: ["Mage"], effect: { type: "control", description: "Up to 5d8 hit points of creatures at Far range fall unconscious for 1 minute." } },
-    { name: "Toxic Cloud", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "1d12", target: "any-monster", description: "Deals 1d12 poison damage at Close range. (CON save DC 13)." } },
+    { name: "Toxic Cloud", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "1d12", damageType: "Poison", target: "any-monster", save: { stat: "con", dc: 13, onSuccess: "negate" }, description: "Deals 1d12 poison damage at Close range. (CON save DC 13)." } },
     { name: "Warding Touch", type: "Spell", level: 1, apCost: 1, class: ["Mage", "Cleric", "Ranger"], effect: { type: "buff", dice: "1d4", duration: 2, target: "any-player", description: "Target gains 1d4 bonus to one saving throw for 1 minute." } },
     // Level 2
     { name: "Illusory Doubles", type: "Spell", level: 2, apCost: 2, class: ["Mage"], effect: { type: "buff", description: "Creates three illusory duplicates of yourself for 10 minutes." } },
     { name: "Immobilize Foe", type: "Spell", level: 2, apCost: 2, class: ["Mage", "Cleric"], effect: { type: "control", status: "Paralyzed", duration: 2, target: "any-monster", description: "A humanoid must make a Wisdom saving throw (DC 13) or be paralyzed for 1 minute." } },
-    { name: "Inferno Rays", type: "Spell", level: 2, apCost: 2, class: ["Mage"], effect: { type: "damage", dice: "2d6", target: "multi-monster", description: "You create three rays of fire, each dealing 2d6 fire damage." } },
-    { name: "Lunar Ray", type: "Spell", level: 2, apCost: 2, class: ["Cleric", "Ranger"], effect: { type: "damage", dice: "2d10", target: "aoe", description: "A beam of light deals 2d10 radiant damage to any creature that enters it or starts its turn there for 1 minute." } },
+    { name: "Inferno Rays", type: "Spell", level: 2, apCost: 2, class: ["Mage"], effect: { type: "damage", dice: "2d6", damageType: "Fire", target: "multi-monster", description: "You create three rays of fire, each dealing 2d6 fire damage." } },
+    { name: "Lunar Ray", type: "Spell", level: 2, apCost: 2, class: ["Cleric", "Ranger"], effect: { type: "damage", dice: "2d10", damageType: "Radiant", target: "aoe", description: "A beam of light deals 2d10 radiant damage to any creature that enters it or starts its turn there for 1 minute." } },
     { name: "Mind Scan", type: "Spell", level: 2, apCost: 2, class: ["Mage"], effect: { type: "utility", utilityType: "information", description: "Allows you to read the surface thoughts of creatures within 30 feet for 1 minute." } },
-    { name: "Sonic Burst", type: "Spell", level: 2, apCost: 2, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "3d8", target: "aoe", description: "Deals 3d8 thunder damage in a 10-foot radius sphere. (CON save DC 14 for half)." } },
+    { name: "Sonic Burst", type: "Spell", level: 2, apCost: 2, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "3d8", damageType: "Thunder", target: "aoe", save: { stat: "con", dc: 14, onSuccess: "half" }, description: "Deals 3d8 thunder damage in a 10-foot radius sphere. (CON save DC 14 for half)." } },
     { name: "Sticky Webbing", type: "Spell", level: 2, apCost: 2, class: ["Mage", "Ranger"], effect: { type: "control", status: "Restrained", duration: 3, target: "aoe", description: "Creates a large mass of thick, sticky webbing. Creatures in the webs are restrained." } },
     { name: "Umbral Sphere", type: "Spell", level: 2, apCost: 2, class: ["Mage"], effect: { type: "utility", utilityType: "field_effect", description: "A 15-foot radius sphere of magical darkness extends from a point you choose. The darkness spreads around corners. A creature with darkvision can't see through this darkness, and nonmagical light can't illuminate it. It lasts for 10 minutes." } },
     { name: "Vanish", type: "Spell", level: 2, apCost: 2, class: ["Mage", "Ranger"], effect: { type: "buff", status: "Invisible", duration: 3, target: "any-player", description: "Makes a creature invisible for up to 1 hour." } },
@@ -161,20 +304,21 @@ const spellCards = [
     { name: "Abolish Magic", type: "Spell", level: 3, apCost: 3, class: ["Mage", "Cleric"], effect: { type: "utility", utilityType: "dispelling", description: "Ends one spell on a creature or object." } },
     { name: "Accelerate", type: "Spell", level: 3, apCost: 3, class: ["Mage"], effect: { type: "buff", description: "A creature gains increased speed, +2 to AC, advantage on DEX saves, and one extra action for 1 minute." } },
     { name: "Aquatic Adaptation", type: "Spell", level: 3, apCost: 3, class: ["Cleric", "Ranger"], effect: { type: "buff", description: "Gives creatures the ability to breathe underwater for 24 hours." } },
-    { name: "Captivating Display", type: "Spell", level: 3, apCost: 3, class: ["Mage", "Cleric"], effect: { type: "control", status: "Charmed", duration: 2, target: "aoe", description: "Creatures in a 30-foot cube become charmed if they fail a WIS save (DC 14) for 1 minute." } },
+    { name: "Captivating Display", type: "Spell", level: 3, apCost: 3, class: ["Mage", "Cleric"], effect: { type: "control", status: "Charmed", duration: 2, target: "aoe", save: { stat: "wis", dc: 14, onSuccess: "negate" }, description: "Creatures in a 30-foot cube become charmed if they fail a WIS save (DC 14) for 1 minute." } },
     { name: "Decelerate", type: "Spell", level: 3, apCost: 3, class: ["Mage"], effect: { type: "debuff", description: "Up to six creatures have their speed halved, -2 to AC, and limited actions for 1 minute." } },
     { name: "Grand Illusion", type: "Spell", level: 3, apCost: 3, class: ["Mage"], effect: { type: "utility", utilityType: "illusion", description: "Creates the illusion of an object, creature, or other visible phenomenon for 10 minutes." } },
-    { name: "Inferno Sphere", type: "Spell", level: 3, apCost: 3, class: ["Mage"], effect: { type: "damage", dice: "8d6", target: "aoe", description: "Deals 8d6 fire damage in a 20-foot radius sphere. (DEX save DC 15 for half)." } },
+    { name: "Inferno Sphere", type: "Spell", level: 3, apCost: 3, class: ["Mage"], effect: { type: "damage", dice: "8d6", damageType: "Fire", target: "aoe", save: { stat: "dex", dc: 15, onSuccess: "half" }, description: "Deals 8d6 fire damage in a 20-foot radius sphere. (DEX save DC 15 for half)." } },
     { name: "Magic Negation", type: "Spell", level: 3, apCost: 3, class: ["Mage", "Cleric"], effect: { type: "utility", utilityType: "dispelling", description: "Attempts to negate another spell." } },
-    { name: "Thunder Stroke", type: "Spell", level: 3, apCost: 3, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "8d6", target: "aoe", description: "Deals 8d6 lightning damage in a 100-foot line. (DEX save DC 15 for half)." } },
+    { name: "Thunder Stroke", type: "Spell", level: 3, apCost: 3, class: ["Mage", "Ranger"], effect: { type: "damage", dice: "8d6", damageType: "Lightning", target: "aoe", save: { stat: "dex", dc: 15, onSuccess: "half" }, description: "Deals 8d6 lightning damage in a 100-foot line. (DEX save DC 15 for half)." } },
     { name: "Winged Ascent", type: "Spell", level: 3, apCost: 3, class: ["Mage", "Cleric"], effect: { type: "buff", description: "Gives a creature a flying speed of 60 feet for 10 minutes." } }
 ];
 
 // --- 6.4. Item Cards (Consumables & Utility) ---
 const itemCards = [
-    { name: "Purifying Flask", type: "Consumable", category: "Damage", apCost: 1, effect: { type: "damage", dice: "2d6", target: "any-monster", description: "Ranged attack (20/60). Deals 2d6 radiant damage to Undead or Fiends." } },
+    { name: "Purifying Flask", type: "Consumable", category: "Damage", apCost: 1, effect: { type: "damage", dice: "2d6", damageType: "Radiant", target: "any-monster", description: "Ranged attack (20/60). Deals 2d6 radiant damage to Undead or Fiends." } },
     { name: "Everbright Stick", type: "Consumable", category: "Utility", apCost: 1, effect: { type: "utility", description: "Emits bright light in a 20 ft radius for 1 hour (2 turns)." } },
-    { name: "Combustion Flask", type: "Consumable", category: "Hazard", apCost: 1, effect: { type: "damage", dice: "1d4", status: "On Fire", duration: 2, target: "any-monster", description: "Ranged attack (20/60). On hit, target takes 1d4 fire damage and burns for 1 turn." } },
+    { name: "Challenger's Horn", type: "Consumable", category: "Utility", apCost: 1, effect: { type: "taunt", target: "any-monster", duration: 1, description: "Sound a defiant blast. The target monster is Taunted and must attack you on its next turn." } },
+    { name: "Combustion Flask", type: "Consumable", category: "Hazard", apCost: 1, effect: { type: "damage", dice: "1d4", damageType: "Fire", status: "On Fire", duration: 2, target: "any-monster", description: "Ranged attack (20/60). On hit, target takes 1d4 fire damage and burns for 1 turn." } },
     { name: "Trail Provisions", type: "Consumable", category: "Supply", apCost: 1, effect: { type: "utility", description: "Sustains one creature for one day. Prevents exhaustion from lack of food/water. (3-5 uses)." } },
     { name: "Empty Flask", type: "Container", category: "Utility", effect: { description: "Can hold liquids. Useful for collecting samples or crafting potions." } },
     { name: "Warding Band", type: "Magical Item", category: "Defensive", effect: { bonuses: { shieldBonus: 1 }, description: "This simple band feels cool and protective on your finger, warding off harm." } },
@@ -184,10 +328,10 @@ const itemCards = [
     { name: "Shadow-Piercing Lenses", type: "Magical Item", category: "Utility", effect: { description: "Grants the wearer Darkvision up to 60 feet." } },
     { name: "True North Compass", type: "Magical Item", category: "Utility", effect: { description: "Always points to true north. Prevents getting lost in non-magical areas." } },
     { name: "Whispering Stones (Pair)", type: "Magical Item", category: "Utility", effect: { description: "One user can speak a message (up to 25 words) that is heard by the holder of the other stone. Once per day." } },
-    { name: "Brew of Silent Movement", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "buff", description: "Gain advantage on Dexterity (Stealth) checks for 1 minute (1 turn)." } },
+    { name: "Brew of Silent Movement", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "buff", duration: 2, rollModifiers: [{ mode: "advantage", rolls: ["check"], stat: "dex" }], description: "Gain advantage on Dexterity (Stealth) checks for 1 minute (1 turn)." } },
     { name: "Brew of Unseen Passage", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "buff", status: "Invisible", duration: 2, description: "Become invisible for 1 minute (1 turn). The effect ends if you attack or cast a spell." } },
-    { name: "Draught of Might", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "buff", bonuses: { str: 2 }, duration: 2, description: "Gain advantage on Strength checks and Strength saves for 1 minute (1 turn)." } },
-    { name: "Elixir of Keen Sight", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "buff", bonuses: { wis: 2 }, duration: 2, description: "Gain advantage on Wisdom (Perception) checks for 1 minute (1 turn)." } },
+    { name: "Draught of Might", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "buff", bonuses: { str: 2 }, duration: 2, rollModifiers: [{ mode: "advantage", rolls: ["check", "save"], stat: "str" }], description: "Gain advantage on Strength checks and Strength saves for 1 minute (1 turn)." } },
+    { name: "Elixir of Keen Sight", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "buff", bonuses: { wis: 2 }, duration: 2, rollModifiers: [{ mode: "advantage", rolls: ["check"], stat: "wis" }], description: "Gain advantage on Wisdom (Perception) checks for 1 minute (1 turn)." } },
     { name: "Elixir of Restoration", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "heal", dice: "4d4+4", target: "any-player", description: "Heals for 4d4 + 4 HP." } },
     { name: "Purifying Draught", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "utility", status: "Cure Poison", target: "any-player", description: "Cure the Poisoned condition." } },
     { name: "Sovereign Salve", type: "Potion", category: "Consumable", apCost: 1, effect: { type: "heal", dice: "1d8", target: "any-player", description: "Heals for 1d8 HP." } },
@@ -209,19 +353,23 @@ const itemCards = [
 ];
 
 // --- 6.5. Event Cards ---
+// World events that aren't skill challenges work through these fields while their `duration` runs:
+// - rollModifiers: party-wide advantage, disadvantage or bonuses on explorers' d20 rolls (see 2.2).
+// - grants: given once to every explorer when the event begins. `tempHp` soaks damage and is lost when the event ends.
+// - turnSave: each explorer makes the `save` at the start of their turn, or takes `dice` damage and/or gains a `status`.
 const worldEventCards = [
     // Beneficial
     { name: "A Moment of Clarity", type: "World Event", duration: 1, eventType: "skill_challenge", description: "A puzzling mystery becomes clear.", skill: "int", dc: 12 },
-    { name: "Divine Favor", type: "World Event", duration: 2, eventType: "Beneficial", description: "All players gain +1 to their next roll." },
+    { name: "Divine Favor", type: "World Event", duration: 2, eventType: "Beneficial", rollModifiers: [{ bonus: 1, rolls: ["attack", "check", "save"], oneShot: true }], description: "All players gain +1 to their next roll." },
     { name: "Helpful Local", type: "World Event", duration: 1, eventType: "skill_challenge", description: "A friendly local offers assistance if you can persuade them.", skill: "cha", dc: 12 },
-    { name: "Inspiration Surge", type: "World Event", duration: 2, eventType: "Beneficial", description: "The next ability check, attack roll, or saving throw for each player is made with advantage." },
+    { name: "Inspiration Surge", type: "World Event", duration: 2, eventType: "Beneficial", rollModifiers: [{ mode: "advantage", rolls: ["attack", "check", "save"], oneShot: true }], description: "The next ability check, attack roll, or saving throw for each player is made with advantage." },
     { name: "Lucky Find", type: "World Event", duration: 1, eventType: "skill_challenge", description: "You spot something valuable, if you can perceive it.", skill: "wis", dc: 10 },
     // Hindrance
-    { name: "Sudden Illness", type: "World Event", duration: 2, eventType: "Hindrance", description: "A wave of nausea washes over the party. All players have disadvantage on STR checks.", skill: "con", dc: 14 },
+    { name: "Sudden Illness", type: "World Event", duration: 2, eventType: "Hindrance", rollModifiers: [{ mode: "disadvantage", rolls: ["check"], stat: "str" }], turnSave: { save: { stat: "con", dc: 14, onSuccess: "negate" }, status: "Poisoned", duration: 1 }, description: "A wave of nausea washes over the party. All players have disadvantage on STR checks, and must pass a DC 14 CON save each turn or be Poisoned." },
     { name: "Wrong Turn", type: "World Event", duration: 1, eventType: "skill_challenge", description: "You question your path. Can you find the way?", skill: "wis", dc: 10 },
     // Combat
-    { name: "Critical Moment", type: "World Event", duration: 2, eventType: "Combat", description: "The air crackles with energy. All attacks have a +2 bonus to their roll." },
-    { name: "Last Stand", type: "World Event", duration: 2, eventType: "Combat", description: "All players gain 5 temporary hit points." },
+    { name: "Critical Moment", type: "World Event", duration: 2, eventType: "Combat", rollModifiers: [{ bonus: 2, rolls: ["attack"] }], description: "The air crackles with energy. All attacks have a +2 bonus to their roll." },
+    { name: "Last Stand", type: "World Event", duration: 2, eventType: "Combat", grants: { tempHp: 5 }, description: "All players gain 5 temporary hit points." },
     // Exploration
     { name: "Ancient Inscription", type: "World Event", duration: 1, eventType: "skill_challenge", description: "You find an ancient text. Can you decipher it?", skill: "int", dc: 12 },
     { name: "Hidden Passage", type: "World Event", duration: 1, eventType: "skill_challenge", description: "You notice an oddity in the stonework.", skill: "wis", dc: 13 },
@@ -229,8 +377,8 @@ const worldEventCards = [
     { name: "False Accusation", type: "World Event", duration: 1, eventType: "skill_challenge", description: "Someone is wrongly blamed. Can you clear their name?", skill: "cha", dc: 14 },
     { name: "Offered a Bribe", type: "World Event", duration: 1, eventType: "skill_challenge", description: "An official offers you a deal. Do you take it?", skill: "wis", dc: 13 },
     // Weather
-    { name: "Arctic Squall", type: "World Event", duration: 2, eventType: "Weather", description: "A sudden, biting wind howls. CON Save DC 12 each turn or take 1d4 cold damage.", skill: "con", dc: 12 },
-    { name: "Misty Veil", type: "World Event", duration: 2, eventType: "Weather", description: "An unnaturally thick mist rolls in. All ranged attacks have disadvantage.", skill: "wis", dc: 14 },
+    { name: "Arctic Squall", type: "World Event", duration: 2, eventType: "Weather", turnSave: { save: { stat: "con", dc: 12, onSuccess: "negate" }, dice: "1d4", damageType: "Cold" }, description: "A sudden, biting wind howls. CON Save DC 12 each turn or take 1d4 cold damage." },
+    { name: "Misty Veil", type: "World Event", duration: 2, eventType: "Weather", rollModifiers: [{ mode: "disadvantage", rolls: ["attack"], ranged: true }], description: "An unnaturally thick mist rolls in. All ranged attacks have disadvantage.", skill: "wis", dc: 14 },
     // Multi-stage challenges
     { 
         name: "Collapsing Floor", 
@@ -238,8 +386,8 @@ const worldEventCards = [
         duration: 1, 
         eventType: "multi_stage_skill_challenge",
         stages: [
-            { description: "The ground shakes! Make a DEX check to keep your footing!", skill: "dex", dc: 12, failure: { type: "damage", value: "1d4", text: "You stumble and take damage!" } },
-            { description: "A chasm opens! Make a STR check to leap across!", skill: "str", dc: 14, failure: { type: "damage", value: "1d8", text: "You fall short and take heavy damage!" } }
+            { description: "The ground shakes! Make a DEX check to keep your footing!", skill: "dex", dc: 12, failure: { type: "damage", value: "1d4", damageType: "Bludgeoning", text: "You stumble and take damage!" } },
+            { description: "A chasm opens! Make a STR check to leap across!", skill: "str", dc: 14, failure: { type: "damage", value: "1d8", damageType: "Bludgeoning", text: "You fall short and take heavy damage!" } }
         ],
         success: { text: "You navigate the collapsing floor and find a hidden shortcut!" }
     },
@@ -249,14 +397,80 @@ const worldEventCards = [
         duration: 1, 
         eventType: "multi_stage_skill_challenge",
         stages: [
-            { description: "The path is slick with mud. Make a DEX check to stay upright.", skill: "dex", dc: 11, failure: { type: "damage", value: "1d4", text: "You slip and twist your ankle." } },
-            { description: "Thorny vines block the way. Make a STR check to push through.", skill: "str", dc: 13, failure: { type: "damage", value: "1d6", text: "The thorns tear at you as you struggle." } }
+            { description: "The path is slick with mud. Make a DEX check to stay upright.", skill: "dex", dc: 11, failure: { type: "damage", value: "1d4", damageType: "Bludgeoning", text: "You slip and twist your ankle." } },
+            { description: "Thorny vines block the way. Make a STR check to push through.", skill: "str", dc: 13, failure: { type: "damage", value: "1d6", damageType: "Piercing", text: "The thorns tear at you as you struggle." } }
         ],
         success: { text: "You expertly navigate the treacherous terrain." }
     },
 ];
 
-const partyEventCards = worldEventCards.filter(e => ['Social', 'Beneficial'].includes(e.eventType));
+// Party events happen between rounds, to the whole party at once. Each one is resolved either by a vote among
+// `choices` ([{ label, outcome }], the most popular wins and ties go to the first listed) or by a `groupRoll`
+// (every explorer rolls the `skill` check against `dc`; it succeeds if at least half of them pass).
+// An outcome can change `partyHope`, put `loot` items into the loot pool and give every explorer a `status` for `duration` turns.
+const partyEventChance = 0.35;
+const partyEventCards = [
+    {
+        name: "Campfire Tales", type: "Party Event", description: "The party makes camp for the night. The fire crackles invitingly.",
+        choices: [
+            { label: "Share stories of home", outcome: { partyHope: 2, text: "Laughter carries through the camp. Spirits are lifted." } },
+            { label: "Drill for the battles ahead", outcome: { status: "Emboldened", duration: 2, text: "Hours of sparring leave the party sharp and ready." } }
+        ]
+    },
+    {
+        name: "Wandering Merchant", type: "Party Event", description: "A hooded peddler with an overloaded mule blocks the path and offers a trade.",
+        choices: [
+            { label: "Trade your rations for a curio", outcome: { loot: 1, partyHope: -1, text: "The merchant hands over something interesting. Stomachs rumble." } },
+            { label: "Send the merchant on their way", outcome: { text: "The merchant shrugs and trudges off into the gloom." } }
+        ]
+    },
+    {
+        name: "Abandoned Camp", type: "Party Event", description: "You stumble upon a hastily abandoned camp. Its owners are nowhere to be seen.",
+        choices: [
+            { label: "Search the tents", outcome: { loot: 2, status: "Poisoned", duration: 1, text: "The tents hold supplies... and a nest of biting spiders." } },
+            { label: "Rest by the embers", outcome: { partyHope: 1, text: "A few quiet moments by the fire do the party good." } }
+        ]
+    },
+    {
+        name: "Lost Child", type: "Party Event", description: "A frightened child begs the party to help them find their way home.",
+        choices: [
+            { label: "Escort them home", outcome: { partyHope: 2, text: "The child's family cannot thank you enough." } },
+            { label: "Point the way and press on", outcome: { partyHope: -1, text: "The child's sobs follow you down the road." } }
+        ]
+    },
+    {
+        name: "Rickety Rope Bridge", type: "Party Event", description: "The only way forward is a swaying bridge over a deep ravine.",
+        groupRoll: {
+            skill: "dex", dc: 12,
+            success: { partyHope: 1, text: "The party crosses without a single misstep." },
+            failure: { partyHope: -1, status: "Slowed", duration: 1, text: "Planks snap underfoot. The party scrambles across, battered and shaken." }
+        }
+    },
+    {
+        name: "Haunting Whispers", type: "Party Event", description: "Voices from the dark call each of you by name.",
+        groupRoll: {
+            skill: "wis", dc: 13,
+            success: { status: "Emboldened", duration: 2, text: "The party steels itself against the whispers and presses on, resolute." },
+            failure: { partyHope: -2, text: "The whispers linger long after they fall silent." }
+        }
+    },
+    {
+        name: "Rousing Speech", type: "Party Event", description: "Battered and weary, the party looks to each other for courage.",
+        groupRoll: {
+            skill: "cha", dc: 12,
+            success: { partyHope: 2, text: "Stirring words rekindle the party's resolve." },
+            failure: { partyHope: -1, text: "The words ring hollow." }
+        }
+    },
+    {
+        name: "Hidden Cache", type: "Party Event", description: "Strange markings on the wall hint at something hidden nearby.",
+        groupRoll: {
+            skill: "int", dc: 13,
+            success: { loot: 1, text: "The markings lead to a cache of forgotten treasure!" },
+            failure: { text: "Whatever the markings meant, the party cannot make sense of them." }
+        }
+    }
+];
 
 const environmentalCards = [
     {
@@ -269,8 +483,8 @@ const environmentalCards = [
                 apCost: 2, 
                 skill: "str", 
                 dc: 14, 
-                success: { type: "aoe_damage", value: "2d8", text: "With a mighty heave, the pillar crashes down on all monsters!" },
-                failure: { type: "self_damage", value: "1d6", text: "You strain yourself, taking damage as the pillar barely budges." }
+                success: { type: "aoe_damage", value: "2d8", damageType: "Bludgeoning", text: "With a mighty heave, the pillar crashes down on all monsters!" },
+                failure: { type: "self_damage", value: "1d6", damageType: "Bludgeoning", text: "You strain yourself, taking damage as the pillar barely budges." }
             }
         ]
     },
@@ -284,8 +498,8 @@ const environmentalCards = [
                 apCost: 1, 
                 eventType: "multi_stage_skill_challenge",
                 stages: [
-                    { description: "First, inspect the chest for traps. (WIS Check)", skill: "wis", dc: 13, failure: { type: "damage", value: "2d6", text: "You miss the trigger and a poisoned dart shoots out!" } },
-                    { description: "You've found the mechanism. Now, carefully disable it. (DEX Check)", skill: "dex", dc: 15, failure: { type: "damage", value: "1d10", text: "Your hand slips and the trap partially triggers!" } }
+                    { description: "First, inspect the chest for traps. (WIS Check)", skill: "wis", dc: 13, failure: { type: "damage", value: "2d6", damageType: "Poison", text: "You miss the trigger and a poisoned dart shoots out!" } },
+                    { description: "You've found the mechanism. Now, carefully disable it. (DEX Check)", skill: "dex", dc: 15, failure: { type: "damage", value: "1d10", damageType: "Piercing", text: "Your hand slips and the trap partially triggers!" } }
                 ],
                 success: { type: "loot", text: "You deftly disarm the trap and claim the treasure within!" }
             }
@@ -297,54 +511,95 @@ const environmentalCards = [
 // --- 7. MONSTER DATA ---
 
 // --- 7.1. All Monsters List (structured) ---
+// A monster's `effect.onHit` is a rider on its standard attack: extra `dice` damage and/or a `status`, usually behind a `save`.
+// Its `targeting` is how it picks who to attack (see 7.5). Monsters without one go after whoever has the most aggro.
+// Each DM turn a monster spends its `ap` (less while Slowed): a standard attack costs 1, and each of its `abilities`
+// costs its `apCost` (default 1). Abilities are tried in the order listed, and one is used whenever it's off `cooldown`
+// (in DM turns), hasn't run out of `uses` (per monster, if set) and its `when` conditions hold:
+// - hpBelow: its HP is below this fraction of max. allyBelow: some monster (itself included) is below this fraction.
+// - targetsAtLeast: it can target at least this many explorers.
+// - alliesAtLeast / alliesAtMost: how many other monsters are on the board. chance: the odds it bothers at all.
+// Ability `type`s:
+// - 'damage' / 'control': `dice` damage or a `status` on one explorer, who may resist with a `save`.
+// - 'area': `dice` damage and/or a `status` on every explorer it can target, each saving separately.
+// - 'heal': restores `dice` HP to itself, or with `target: "ally"` to the most wounded monster.
+// - 'buff': gives itself a `status`, or with `target: "allies"` every monster on the board.
+// - 'summon': brings `summon.count` monsters from the `summon.tier` deck into play.
+// - 'utility': gives itself a `status`; `resetAggro` also makes it forget who provoked it.
+// `traits` are the machine-readable part of a monster's description, always in effect (shown as badges on its card):
+// - hook: "on-attack" (its standard attack), "on-deal-damage" (any damage it deals), "on-struck" (an explorer hits it
+//   with a weapon), "status-immunity" (a status is applied to it), "turn-start", "roll" (its d20 rolls, via `rollModifiers`)
+// - condition: "melee" (struck by a melee weapon), "ally-present" (another monster is on the board) (optional)
+// - effects: { ignoreShield, drain (fraction of damage dealt healed), retaliate: { dice, damageType }, statuses, fleeAtHp }
 const allMonsters = {
     // Tier 1
-    phantomLight: { name: "Phantom Light", type: "Monster", maxHp: 5, attackBonus: 0, requiredRollToHit: 10, effect: { dice: "1d8", description: "Incorporeal. Deals 1d8 lightning to creatures ending turn within 5ft." }, ap: 1, weakness: "Radiant" },
-    emberFlicker: { name: "Ember Flicker", type: "Monster", maxHp: 6, attackBonus: 4, requiredRollToHit: 12, effect: { dice: "1d10", description: "On miss, may ignite flammable objects." }, ap: 1, weakness: "Cold, Water" },
-    pestieProwler: { name: "Pestie Prowler", type: "Monster", maxHp: 7, attackBonus: 4, requiredRollToHit: 10, effect: { dice: "1d6", description: "Sneaky Escape: Can flee if HP is 3 or less." }, ap: 1, 
+    phantomLight: { name: "Phantom Light", type: "Monster", targeting: "random", maxHp: 5, attackBonus: 0, requiredRollToHit: 10, effect: { dice: "1d8", damageType: "Lightning", description: "Incorporeal. Deals 1d8 lightning to creatures ending turn within 5ft." }, ap: 1, weaknesses: ["Radiant"] },
+    emberFlicker: { name: "Ember Flicker", type: "Monster", maxHp: 6, attackBonus: 4, requiredRollToHit: 12, effect: { dice: "1d10", damageType: "Fire", description: "On miss, may ignite flammable objects." }, ap: 1, weaknesses: ["Cold"], immunities: ["Fire"] },
+    pestieProwler: { name: "Pestie Prowler", type: "Monster", targeting: "lowest-ac", maxHp: 7, attackBonus: 4, requiredRollToHit: 10, effect: { dice: "1d6", damageType: "Piercing", description: "Sneaky Escape: Can flee if HP is 3 or less." }, ap: 1,
+        traits: [{ name: "Sneaky Escape", hook: "turn-start", effects: { fleeAtHp: 3 }, description: "Flees the fight at the start of its turn if it has 3 HP or less." }],
         skillInteractions: [
             { name: "Intimidate", apCost: 1, skill: "cha", dc: 12, success: { type: "status_effect", effect: "Frightened", duration: 2, text: "You scare the Pestie, causing it to freeze in fear!" }, failure: { type: "none", text: "The Pestie just snarls at you." } }
         ]
     },
-    pestiePilferer: { name: "Pestie Pilferer", type: "Monster", maxHp: 8, attackBonus: 4, requiredRollToHit: 12, effect: { dice: "1d6+2", description: "Quick Feet: Can Break Away as a bonus action." }, ap: 1, weakness: "Psychic" },
-    grottoWeaver: { name: "Grotto Weaver", type: "Monster", maxHp: 10, attackBonus: 4, requiredRollToHit: 12, effect: { dice: "1d6", description: "" }, ap: 2, 
+    pestiePilferer: { name: "Pestie Pilferer", type: "Monster", targeting: "lowest-ac", maxHp: 8, attackBonus: 4, requiredRollToHit: 12, effect: { dice: "1d6+2", damageType: "Piercing", description: "Quick Feet: Can Break Away as a bonus action." }, ap: 1, weaknesses: ["Psychic"] },
+    grottoWeaver: { name: "Grotto Weaver", type: "Monster", maxHp: 10, attackBonus: 4, requiredRollToHit: 12, effect: { dice: "1d6", damageType: "Piercing", description: "" }, ap: 2, 
         abilities: [
-            { name: "Web Shot", type: "control", status: "Restrained", duration: 2, cooldown: 3, description: "Attempts to restrain a player." }
+            { name: "Web Shot", type: "control", status: "Restrained", duration: 2, cooldown: 3, when: { chance: 0.6 }, save: { stat: "dex", dc: 12, onSuccess: "negate" }, description: "Attempts to restrain a player." }
         ]
     },
-    flutterwingSwarm: { name: "Flutterwing Swarm", type: "Monster", maxHp: 10, attackBonus: 4, requiredRollToHit: 12, effect: { dice: "2d4", description: "Blind Flight: Immune to blindness. Disadvantage on Perception checks." }, ap: 1, weakness: "Thunder" },
-    pestieWhisperer: { name: "Pestie Whisperer", type: "Monster", maxHp: 10, attackBonus: 3, requiredRollToHit: 13, effect: { dice: "1d4", description: "Tribal Magic: Once per combat, +2 attack rolls for all pesties within 20 ft for 1 round." }, ap: 1 },
-    scaleKinSkulker: { name: "Scale-kin Skulker", type: "Monster", maxHp: 10, attackBonus: 2, requiredRollToHit: 14, effect: { dice: "1d4+1", description: "Trap Master: Sets a trap at start of combat." }, ap: 1, weakness: "Area-of-effect" },
-    essenceThief: { name: "Essence Thief", type: "Monster", maxHp: 15, attackBonus: 4, requiredRollToHit: 14, effect: { dice: "2d6", description: "Incorporeal. Reduces Strength by 1d4 on hit." }, ap: 1, weakness: "Radiant" },
-    boneArcher: { name: "Bone Archer", type: "Monster", maxHp: 18, attackBonus: 3, requiredRollToHit: 14, effect: { dice: "1d8", description: "Bone Resilience: Immune to poison and charm." }, ap: 1, weakness: "Bludgeoning" },
+    flutterwingSwarm: { name: "Flutterwing Swarm", type: "Monster", maxHp: 10, attackBonus: 4, requiredRollToHit: 12, effect: { dice: "2d4", damageType: "Piercing", description: "Blind Flight: Immune to blindness. Disadvantage on Perception checks." }, ap: 1, weaknesses: ["Thunder"] },
+    pestieWhisperer: { name: "Pestie Whisperer", type: "Monster", maxHp: 10, attackBonus: 3, requiredRollToHit: 13, effect: { dice: "1d4", damageType: "Piercing", description: "Tribal Magic: Once per combat, +2 attack rolls for all pesties within 20 ft for 1 round." }, ap: 1,
+        abilities: [
+            { name: "Tribal Magic", type: "buff", target: "allies", status: "Tribal Fervor", duration: 1, uses: 1, when: { alliesAtLeast: 1 }, description: "Every monster gets +2 to attack rolls for 1 round." }
+        ]
+    },
+    scaleKinSkulker: { name: "Scale-kin Skulker", type: "Monster", maxHp: 10, attackBonus: 2, requiredRollToHit: 14, effect: { dice: "1d4+1", damageType: "Piercing", description: "Trap Master: Sets a trap at start of combat." }, ap: 1 },
+    essenceThief: { name: "Essence Thief", type: "Monster", targeting: "casters", maxHp: 15, attackBonus: 4, requiredRollToHit: 14, effect: { dice: "2d6", damageType: "Necrotic", description: "Incorporeal. Reduces Strength by 1d4 on hit." }, ap: 1, weaknesses: ["Radiant"], resistances: ["Necrotic"] },
+    boneArcher: { name: "Bone Archer", type: "Monster", targeting: "casters", maxHp: 18, attackBonus: 3, requiredRollToHit: 14, effect: { dice: "1d8", damageType: "Piercing", description: "Bone Resilience: Immune to poison and charm." }, ap: 1, weaknesses: ["Bludgeoning"], immunities: ["Poison"], saves: { con: 3 },
+        traits: [{ name: "Bone Resilience", hook: "status-immunity", effects: { statuses: ["Poisoned", "Charmed"] }, description: "Can't be Poisoned or Charmed." }]
+    },
 
     // Tier 2
-    veiledFanatic: { name: "Veiled Fanatic", type: "Monster", maxHp: 20, attackBonus: 5, requiredRollToHit: 14, effect: { dice: "1d4+3", description: "Death Burst: 1d6 force damage to adjacent on death." }, ap: 1, weakness: "Radiant" },
-    stripedMarauder: { name: "Striped Marauder", type: "Monster", maxHp: 23, attackBonus: 4, requiredRollToHit: 15, effect: { dice: "1d8+2", description: "Rampage: If it reduces a creature to 0 HP, can move and attack again." }, ap: 2, weakness: "Fire" },
-    segmentedHorror: { name: "Segmented Horror", type: "Monster", maxHp: 24, attackBonus: 5, requiredRollToHit: 14, effect: { dice: "1d4+3", description: "Wall Climber. DC 11 CON save vs 1d6 poison." }, ap: 2, weakness: "Fire" },
-    stonegazeWyrmlet: { name: "Stonegaze Wyrmlet", type: "Monster", maxHp: 24, attackBonus: 4, requiredRollToHit: 14, effect: { dice: "1d6+2", description: "Petrification Gaze (DC 12 CON save or petrified)." }, ap: 2, weakness: "Bludgeoning" },
-    causticSludge: { name: "Caustic Sludge", type: "Monster", maxHp: 24, attackBonus: 3, requiredRollToHit: 13, effect: { dice: "1d8", description: "Corrodes armor (-1 AC) on hit. Splits on Lightning damage." }, ap: 1, weakness: "Slashing, Cold" },
-    skyLurer: { name: "Sky Lurer", type: "Monster", maxHp: 27, attackBonus: 4, requiredRollToHit: 14, effect: { dice: "1d6+1", description: "Swooping Attack. Captivating Song (DC 11 WIS save or charmed)." }, ap: 2, weakness: "Piercing" },
-    highwayScourge: { name: "Highway Scourge", type: "Monster", maxHp: 28, attackBonus: 6, requiredRollToHit: 15, effect: { dice: "2d6+3", description: "Bonus Action: Shout (All Bandits get +1 attack for one round)." }, ap: 2, weakness: "Low Wisdom" },
-    ruinedSentinel: { name: "Ruined Sentinel", type: "Monster", maxHp: 33, attackBonus: 6, requiredRollToHit: 16, effect: { dice: "2d8", description: "" }, ap: 2, weakness: "Thunder, Psychic",
+    veiledFanatic: { name: "Veiled Fanatic", type: "Monster", targeting: "casters", maxHp: 20, attackBonus: 5, requiredRollToHit: 14, effect: { dice: "1d4+3", damageType: "Slashing", description: "Death Burst: 1d6 force damage to adjacent on death." }, ap: 1, weaknesses: ["Radiant"] },
+    stripedMarauder: { name: "Striped Marauder", type: "Monster", targeting: "lowest-hp", maxHp: 23, attackBonus: 4, requiredRollToHit: 15, effect: { dice: "1d8+2", damageType: "Slashing", description: "Rampage: If it reduces a creature to 0 HP, can move and attack again." }, ap: 2, weaknesses: ["Fire"] },
+    segmentedHorror: { name: "Segmented Horror", type: "Monster", maxHp: 24, attackBonus: 5, requiredRollToHit: 14, effect: { dice: "1d4+3", damageType: "Piercing", onHit: { dice: "1d6", damageType: "Poison", save: { stat: "con", dc: 11, onSuccess: "negate" } }, description: "Wall Climber. DC 11 CON save vs 1d6 poison." }, ap: 2, weaknesses: ["Fire"] },
+    stonegazeWyrmlet: { name: "Stonegaze Wyrmlet", type: "Monster", maxHp: 24, attackBonus: 4, requiredRollToHit: 14, effect: { dice: "1d6+2", damageType: "Piercing", onHit: { status: "Petrified", duration: 1, save: { stat: "con", dc: 12, onSuccess: "negate" } }, description: "Petrification Gaze (DC 12 CON save or petrified)." }, ap: 2, weaknesses: ["Bludgeoning"] },
+    causticSludge: { name: "Caustic Sludge", type: "Monster", maxHp: 24, attackBonus: 3, requiredRollToHit: 13, effect: { dice: "1d8", damageType: "Acid", description: "Corrodes armor (-1 AC) on hit. Splits on Lightning damage." }, ap: 1, weaknesses: ["Slashing", "Cold"], resistances: ["Acid"] },
+    skyLurer: { name: "Sky Lurer", type: "Monster", maxHp: 27, attackBonus: 4, requiredRollToHit: 14, effect: { dice: "1d6+1", damageType: "Slashing", onHit: { status: "Charmed", duration: 2, save: { stat: "wis", dc: 11, onSuccess: "negate" } }, description: "Swooping Attack. Captivating Song (DC 11 WIS save or charmed)." }, ap: 2, weaknesses: ["Piercing"] },
+    highwayScourge: { name: "Highway Scourge", type: "Monster", maxHp: 28, attackBonus: 6, requiredRollToHit: 15, effect: { dice: "2d6+3", damageType: "Slashing", description: "Bonus Action: Shout (All Bandits get +1 attack for one round)." }, ap: 2,
         abilities: [
-            { name: "Stunning Slam", type: "control", status: "Stunned", duration: 2, cooldown: 4, description: "Slams the ground, attempting to stun a target." }
+            { name: "Shout", type: "buff", target: "allies", status: "Rallied", duration: 1, cooldown: 3, when: { alliesAtLeast: 1 }, description: "Every monster gets +1 to attack rolls for 1 round." }
+        ]
+    },
+    ruinedSentinel: { name: "Ruined Sentinel", type: "Monster", maxHp: 33, attackBonus: 6, requiredRollToHit: 16, effect: { dice: "2d8", damageType: "Bludgeoning", description: "" }, ap: 2, weaknesses: ["Thunder", "Psychic"],
+        abilities: [
+            { name: "Stunning Slam", type: "control", apCost: 2, status: "Stunned", duration: 2, cooldown: 4, when: { chance: 0.6 }, save: { stat: "con", dc: 13, onSuccess: "negate" }, description: "Slams the ground, attempting to stun a target." }
         ],
         skillInteractions: [
             { name: "Find Weakness", apCost: 1, skill: "int", dc: 15, success: { type: "apply_vulnerability", text: "You spot a crack in its armor! The next attack against it has advantage." }, failure: { type: "none", text: "The sentinel's construction is flawless." } }
         ]
      },
-    shadowmawAlpha: { name: "Shadowmaw Alpha", type: "Monster", maxHp: 34, attackBonus: 5, requiredRollToHit: 14, effect: { dice: "2d6+2", description: "Pack Tactics. DC 12 STR save or prone on hit." }, ap: 2, weakness: "Fire" },
-    stoneWing: { name: "Stone Wing", type: "Monster", maxHp: 35, attackBonus: 5, requiredRollToHit: 15, effect: { dice: "1d6+3", description: "Stone Form: Can become indistinguishable from statue." }, ap: 2, weakness: "Thunder" },
-
-    // Tier 3 & Bosses
-    hauntedCuirass: { name: "Haunted Cuirass", type: "Monster", maxHp: 41, attackBonus: 4, requiredRollToHit: 16, effect: { dice: "2d6", description: "Unyielding Form (Immune to poison, exhaustion, and fear)." }, ap: 2, weakness: "Bludgeoning" },
-    greenskinMauler: { name: "Greenskin Mauler", type: "Monster", maxHp: 44, attackBonus: 6, requiredRollToHit: 15, effect: { dice: "2d8+3", description: "Brute Force: Ignores 2 points of Shield Bonus from armor." }, ap: 2, weakness: "Psychic" },
-    cavernWight: { name: "Cavern Wight", type: "Monster", maxHp: 38, attackBonus: 5, requiredRollToHit: 15, effect: { dice: "2d6", description: "Life Drain: Heals for half the damage dealt. Incorporeal." }, ap: 2, weakness: "Radiant, Fire" },
-    abyssalStalker: { name: "Abyssal Stalker", type: "Monster", maxHp: 40, attackBonus: 7, requiredRollToHit: 16, effect: { dice: "2d10+2", description: "" }, ap: 2, weakness: "Thunder", 
-        abilities: [{ name: "Shadow Step", type: "utility", cooldown: 2, description: "Teleports to an unoccupied space within 30 feet." }] 
+    shadowmawAlpha: { name: "Shadowmaw Alpha", type: "Monster", targeting: "lowest-hp", maxHp: 34, attackBonus: 5, requiredRollToHit: 14, effect: { dice: "2d6+2", damageType: "Piercing", onHit: { status: "Prone", duration: 1, save: { stat: "str", dc: 12, onSuccess: "negate" } }, description: "Pack Tactics. DC 12 STR save or prone on hit." }, ap: 2, weaknesses: ["Fire"],
+        traits: [{ name: "Pack Tactics", hook: "roll", condition: "ally-present", rollModifiers: [{ mode: "advantage", rolls: ["attack"] }], description: "Attacks with advantage while another monster is on the board." }]
+    },
+    stoneWing: { name: "Stone Wing", type: "Monster", maxHp: 35, attackBonus: 5, requiredRollToHit: 15, effect: { dice: "1d6+3", damageType: "Slashing", description: "Stone Form: Can become indistinguishable from statue." }, ap: 2, weaknesses: ["Thunder"] },
+
+    // Tier 3
+    hauntedCuirass: { name: "Haunted Cuirass", type: "Monster", maxHp: 41, attackBonus: 4, requiredRollToHit: 16, effect: { dice: "2d6", damageType: "Slashing", description: "Unyielding Form (Immune to poison, exhaustion, and fear)." }, ap: 2, weaknesses: ["Bludgeoning"], immunities: ["Poison"], saves: { con: 6, wis: 6 },
+        traits: [{ name: "Unyielding Form", hook: "status-immunity", effects: { statuses: ["Poisoned", "Frightened", "Slowed"] }, description: "Can't be Poisoned, Frightened or Slowed." }]
+    },
+    greenskinMauler: { name: "Greenskin Mauler", type: "Monster", targeting: "highest-hp", maxHp: 44, attackBonus: 6, requiredRollToHit: 15, effect: { dice: "2d8+3", damageType: "Bludgeoning", description: "Brute Force: Ignores 2 points of Shield Bonus from armor." }, ap: 2, weaknesses: ["Psychic"],
+        traits: [{ name: "Brute Force", hook: "on-attack", effects: { ignoreShield: 2 }, description: "Its attacks ignore 2 points of Shield Bonus." }],
+        abilities: [
+            { name: "Bloodlust", type: "buff", status: "Bloodlust", duration: 2, uses: 1, when: { hpBelow: 0.5 }, description: "Once badly wounded, it attacks with advantage for 2 turns." }
+        ]
+    },
+    cavernWight: { name: "Cavern Wight", type: "Monster", targeting: "casters", maxHp: 38, attackBonus: 5, requiredRollToHit: 15, effect: { dice: "2d6", damageType: "Necrotic", description: "Life Drain: Heals for half the damage dealt. Incorporeal." }, ap: 2, weaknesses: ["Radiant", "Fire"], resistances: ["Necrotic"],
+        traits: [{ name: "Life Drain", hook: "on-deal-damage", effects: { drain: 0.5 }, description: "Heals for half the damage it deals." }]
+    },
+    abyssalStalker: { name: "Abyssal Stalker", type: "Monster", targeting: "lowest-hp", maxHp: 40, attackBonus: 7, requiredRollToHit: 16, effect: { dice: "2d10+2", damageType: "Slashing", description: "" }, ap: 2, weaknesses: ["Thunder"], 
+        abilities: [{ name: "Shadow Step", type: "utility", status: "Shadowed", duration: 2, resetAggro: true, cooldown: 2, when: { hpBelow: 0.75 }, description: "Teleports to an unoccupied space within 30 feet, losing its pursuers. Its next attack has advantage." }] 
     },
-    magmaGolem: { name: "Magma Golem", type: "Monster", maxHp: 55, attackBonus: 6, requiredRollToHit: 17, effect: { dice: "2d6+4", description: "Heated Body: Deals 1d6 fire damage to creatures starting their turn adjacent to it." }, ap: 1, weakness: "Cold", isBoss: true },
 };
 
 // --- 7.2. Monster Tiers (for spawning) ---
@@ -360,24 +615,211 @@ const monsterTiers = {
         allMonsters.shadowmawAlpha, allMonsters.stoneWing
     ],
     tier3: [
-        allMonsters.hauntedCuirass, allMonsters.greenskinMauler, allMonsters.cavernWight, allMonsters.abyssalStalker,
-        allMonsters.magmaGolem
+        allMonsters.hauntedCuirass, allMonsters.greenskinMauler, allMonsters.cavernWight, allMonsters.abyssalStalker
     ]
 };
 
-// --- 8. MODULE EXPORTS ---
+// --- 7.3. Encounter Pacing ---
+// How much threat one monster from each tier adds to an encounter. Bosses add `boss` on top.
+const monsterThreat = { tier1: 1, tier2: 2, tier3: 3, boss: 1 };
+
+// Threat budget per round (the last entry repeats), the round each tier starts appearing, a cap on board size,
+// and the round the boss arrives. Budgets are for a party of three and scale with the number of explorers still standing.
+const pacingCurves = {
+    gentle:     { budgets: [1, 2, 2, 2, 3, 3, 3, 4], unlocks: { tier2: 4, tier3: 8 }, maxMonsters: 2, bossRound: 10 },
+    standard:   { budgets: [2, 2, 3, 3, 4, 4, 5, 5, 6], unlocks: { tier2: 3, tier3: 6 }, maxMonsters: 3, bossRound: 8 },
+    relentless: { budgets: [2, 3, 4, 5, 6, 7, 8], unlocks: { tier2: 2, tier3: 4 }, maxMonsters: 4, bossRound: 6 },
+};
+
+// Custom games pick their own curve in the room settings.
+const gameModePacing = { Beginner: 'gentle', Advanced: 'standard' };
+
+// --- 7.4. Boss Cards & Arenas ---
+// One boss is drawn when the pacing curve's `bossRound` is reached; defeating it wins the game.
+// A boss moves through its `phases` in order as its HP falls to each phase's `hpThreshold` (a fraction of max HP).
+// Entering a phase swaps in its `abilities` and `targeting` (a strategy from 7.5),
+// and can `summon` monsters from a tier deck and bring an `arena` card (by name, from `arenaCards`) into play.
+const bossCards = [
+    { name: "Magma Golem", type: "Monster", isBoss: true, maxHp: 80, attackBonus: 6, requiredRollToHit: 17, effect: { dice: "2d6+4", damageType: "Fire", description: "Heated Body: Anyone who strikes it in melee is burned." }, ap: 1, weaknesses: ["Cold"], immunities: ["Fire"], saves: { str: 6, con: 6 },
+        traits: [{ name: "Heated Body", hook: "on-struck", condition: "melee", effects: { retaliate: { dice: "1d4", damageType: "Fire" } }, description: "Explorers who hit it with a melee weapon take 1d4 fire damage." }],
+        phases: [
+            { name: "Smoldering Shell", hpThreshold: 1, targeting: "random",
+                abilities: [
+                    { name: "Magma Slam", type: "damage", dice: "2d6", damageType: "Fire", cooldown: 2, when: { chance: 0.6 }, description: "Brings a molten fist down on a single target." }
+                ]
+            },
+            { name: "Molten Core", hpThreshold: 0.6, targeting: "lowest-hp", summon: { tier: "tier1", count: 2 }, arena: "Lava Fissures",
+                text: "The Golem's shell cracks open, spilling molten rock across the floor! Embers take shape around it.",
+                abilities: [
+                    { name: "Eruption", type: "damage", dice: "3d6", damageType: "Fire", cooldown: 2, when: { chance: 0.6 }, save: { stat: "dex", dc: 14, onSuccess: "half" }, description: "Vents its core at the weakest foe." },
+                    { name: "Cinder Grasp", type: "control", status: "On Fire", duration: 2, cooldown: 3, when: { chance: 0.6 }, save: { stat: "dex", dc: 14, onSuccess: "negate" }, description: "Grabs a target with a burning hand." }
+                ]
+            },
+            { name: "Meltdown", hpThreshold: 0.25, targeting: "lowest-hp",
+                text: "The Golem's core goes white-hot. It will not fall quietly.",
+                abilities: [
+                    { name: "Molten Nova", type: "area", dice: "2d6", damageType: "Fire", cooldown: 2, save: { stat: "dex", dc: 14, onSuccess: "half" }, when: { targetsAtLeast: 2 }, description: "Bursts, washing the whole party in fire." },
+                    { name: "Eruption", type: "damage", dice: "4d6", damageType: "Fire", cooldown: 1, save: { stat: "dex", dc: 15, onSuccess: "half" }, description: "Vents its core at the weakest foe." }
+                ]
+            }
+        ]
+    },
+    { name: "The Hollow Sovereign", type: "Monster", isBoss: true, maxHp: 70, attackBonus: 6, requiredRollToHit: 16, effect: { dice: "2d8", damageType: "Necrotic", description: "Crown of Bone: A long-dead king who still demands fealty." }, ap: 2, weaknesses: ["Radiant"], resistances: ["Necrotic"], immunities: ["Poison"], saves: { wis: 6, cha: 6 },
+        phases: [
+            { name: "Court in Session", hpThreshold: 1, targeting: "highest-hp",
+                abilities: [
+                    { name: "Royal Decree", type: "control", status: "Frightened", duration: 2, cooldown: 3, when: { chance: 0.6 }, save: { stat: "wis", dc: 14, onSuccess: "negate" }, description: "Commands the strongest challenger to kneel." }
+                ]
+            },
+            { name: "Call to Arms", hpThreshold: 0.6, targeting: "highest-hp", summon: { tier: "tier1", count: 2 }, arena: "Crypt Miasma",
+                text: "The Sovereign raises its sceptre. The crypt's dead answer, and a choking miasma rises from the tombs.",
+                abilities: [
+                    { name: "Raise the Fallen", type: "summon", summon: { tier: "tier1", count: 1 }, apCost: 2, cooldown: 3, when: { alliesAtMost: 1 }, description: "Calls another of the crypt's dead to its side." },
+                    { name: "Royal Decree", type: "control", status: "Frightened", duration: 2, cooldown: 3, when: { chance: 0.6 }, save: { stat: "wis", dc: 14, onSuccess: "negate" }, description: "Commands the strongest challenger to kneel." },
+                    { name: "Grave Touch", type: "damage", dice: "2d6", damageType: "Necrotic", cooldown: 2, when: { chance: 0.6 }, description: "Withers a foe with a cold, dead hand." }
+                ]
+            },
+            { name: "Last Rites", hpThreshold: 0.3, targeting: "lowest-hp", summon: { tier: "tier2", count: 1 },
+                text: "The crown splits. The Sovereign turns on the weakest among you, its last loyal guard at its side.",
+                abilities: [
+                    { name: "Feast of Souls", type: "heal", target: "ally", dice: "2d8", cooldown: 3, when: { allyBelow: 0.25 }, description: "Drains the life of the fallen to mend itself or its guard." },
+                    { name: "Soul Rend", type: "damage", dice: "3d8", damageType: "Necrotic", cooldown: 1, description: "Tears at the soul of a fading foe." }
+                ]
+            }
+        ]
+    }
+];
+
+// Environmental cards brought into play by a boss phase. Their `hazard` strikes every standing explorer at the start of the DM's turn.
+const arenaCards = [
+    {
+        name: "Lava Fissures",
+        type: "Environmental",
+        description: "Rivers of molten rock split the floor. The heat is unbearable.",
+        hazard: { dice: "1d4", damageType: "Fire", save: { stat: "dex", dc: 12, onSuccess: "half" }, text: "Heat from the lava fissures scorches the party." },
+        skillInteractions: [
+            {
+                name: "Redirect Lava",
+                apCost: 2,
+                skill: "dex",
+                dc: 14,
+                success: { type: "aoe_damage", value: "2d6", damageType: "Fire", text: "You kick loose a rock and send a wave of lava over the monsters!" },
+                failure: { type: "self_damage", value: "1d6", damageType: "Fire", text: "The rock gives way and you stumble into the heat." }
+            }
+        ]
+    },
+    {
+        name: "Crypt Miasma",
+        type: "Environmental",
+        description: "A sickly green fog seeps from the opened tombs.",
+        hazard: { dice: "1d4", damageType: "Poison", save: { stat: "con", dc: 12, onSuccess: "negate" }, text: "The crypt miasma burns in the party's lungs." },
+        skillInteractions: [
+            {
+                name: "Consecrate Ground",
+                apCost: 2,
+                skill: "wis",
+                dc: 13,
+                success: { type: "aoe_damage", value: "2d6", damageType: "Radiant", text: "A holy light flares through the fog, searing the dead!" },
+                failure: { type: "self_damage", value: "1d4", damageType: "Necrotic", text: "The miasma snuffs out your prayer and seeps into you." }
+            }
+        ]
+    }
+];
+
+// --- 7.5. Monster Targeting ---
+// Every monster keeps an aggro table: explorers gain aggro with a monster by damaging it, with every monster by healing
+// and by guarding (`aggroRules`, per point of damage or healing). Aggro fades at the end of each DM turn by `decay`.
+// A monster's `targeting` strategy decides who it attacks:
+// - 'aggro': whoever has the most aggro with it. 'random': anyone.
+// - 'lowest-hp' / 'highest-hp': the explorer with the least / most HP left. 'lowest-ac': the one with the weakest armor.
+// - 'casters': whoever cast a spell since its last turn, falling back to aggro.
+// A Taunted monster attacks the explorer who taunted it, whatever its strategy.
+const aggroRules = { damage: 1, healing: 0.5, guard: 3, decay: 0.5 };
+
+// --- 8. CAMPAIGNS ---
+// A campaign is an ordered list of chapters played by the same party. Each explorer's class, level, equipment,
+// hand and HP carry over between chapters, and every chapter boundary is a save point the host can resume from.
+// - encounterTable: the monsters in each tier deck for the chapter. worldEvents: names of the chapter's world event cards.
+// - boss: name of the chapter's boss card (see `bossCards`), if it has one.
+// - goal: 'boss' (defeat the boss), 'slay' (defeat `count` monsters) or 'survive' (hold out for `rounds` rounds).
+const campaigns = {
+    emberDepths: {
+        name: "The Ember Depths",
+        chapters: [
+            {
+                name: "The Collapsed Mine",
+                intro: "A tremor has sealed the old mine behind you. Something is stirring in the dark tunnels ahead.",
+                pacing: "gentle",
+                encounterTable: {
+                    tier1: [allMonsters.emberFlicker, allMonsters.pestieProwler, allMonsters.pestiePilferer, allMonsters.grottoWeaver, allMonsters.flutterwingSwarm, allMonsters.scaleKinSkulker],
+                    tier2: [allMonsters.segmentedHorror, allMonsters.causticSludge, allMonsters.stoneWing],
+                    tier3: []
+                },
+                worldEvents: ["Lucky Find", "Wrong Turn", "Collapsing Floor", "Dangerous Terrain", "Inspiration Surge"],
+                goal: { type: "survive", rounds: 6, description: "Hold the tunnels for 6 rounds while the way out is cleared." }
+            },
+            {
+                name: "The Drowned Crypt",
+                intro: "Beyond the mine lies a flooded crypt, and its dead do not rest easily.",
+                pacing: "standard",
+                encounterTable: {
+                    tier1: [allMonsters.phantomLight, allMonsters.essenceThief, allMonsters.boneArcher, allMonsters.pestieWhisperer],
+                    tier2: [allMonsters.veiledFanatic, allMonsters.skyLurer, allMonsters.ruinedSentinel, allMonsters.shadowmawAlpha],
+                    tier3: [allMonsters.hauntedCuirass, allMonsters.cavernWight]
+                },
+                worldEvents: ["Ancient Inscription", "Hidden Passage", "Sudden Illness", "Misty Veil", "Divine Favor", "Last Stand"],
+                boss: "The Hollow Sovereign",
+                goal: { type: "boss", description: "Put the Hollow Sovereign back in its tomb." }
+            },
+            {
+                name: "Heart of the Mountain",
+                intro: "The crypt opens onto a cavern of molten rock. The source of the tremors waits below.",
+                pacing: "relentless",
+                encounterTable: {
+                    tier1: [allMonsters.emberFlicker, allMonsters.scaleKinSkulker, allMonsters.grottoWeaver],
+                    tier2: [allMonsters.stripedMarauder, allMonsters.stonegazeWyrmlet, allMonsters.highwayScourge, allMonsters.stoneWing],
+                    tier3: [allMonsters.greenskinMauler, allMonsters.abyssalStalker, allMonsters.hauntedCuirass]
+                },
+                worldEvents: ["Critical Moment", "Last Stand", "Arctic Squall", "Collapsing Floor", "A Moment of Clarity"],
+                boss: "Magma Golem",
+                goal: { type: "boss", description: "Defeat the Magma Golem and end the tremors for good." }
+            }
+        ]
+    }
+};
+
+// --- 9. MODULE EXPORTS ---
 module.exports = {
     classes,
+    levelThresholds,
+    spellLevelUnlocks,
+    xpRewards,
+    classLevelTables,
     statusEffectDefinitions,
+    monsterSaveBonuses,
+    dyingRules,
     actionCosts,
+    damageTypes,
+    damageMultipliers,
     npcDialogue,
+    npcProfiles,
+    defaultNpcProfile,
     magicalAffixes,
     weaponCards,
     armorCards,
+    spellTargeting,
     spellCards,
     itemCards,
     worldEventCards,
+    partyEventChance,
     partyEventCards,
     environmentalCards,
-    monsterTiers
+    monsterTiers,
+    monsterThreat,
+    aggroRules,
+    pacingCurves,
+    gameModePacing,
+    bossCards,
+    arenaCards,
+    campaigns
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+// This file defines how monsters spend their AP, used by the server (`server.js`) on the DM's turn.
+// Each monster gets its card's `ap` every DM turn and picks one action at a time: one of its `abilities` whose
+// conditions hold (see 7.1 in `game-data.js`), or otherwise a standard attack. A human DM directs monsters
+// instead, within the same limits. It only decides; picking the target and carrying out the action are up to the server.
+
+// --- INDEX ---
+// 1. ACTION POINTS & CONDITIONS
+// 2. ACTION PLANNING
+// 3. MODULE EXPORTS
+
+const ATTACK_AP_COST = 1;
+// Ability types that act on an explorer, so are pointless with no one to target.
+const TARGETED_TYPES = ['damage', 'control', 'area'];
+
+// --- 1. ACTION POINTS & CONDITIONS ---
+/**
+ * How much AP a monster has this DM turn: its card's `ap`, adjusted by statuses such as Slowed.
+ * @param {object} monster A monster instance.
+ * @returns {number}
+ */
+function getMonsterAp(monster) {
+    const statusAp = monster.statusEffects.reduce((sum, e) => sum + (e.bonuses?.ap || 0), 0);
+    return Math.max(0, (monster.ap || 1) + statusAp);
+}
+
+const hpFraction = m => m.currentHp / m.maxHp;
+
+/**
+ * Whether an ability's `when` conditions hold. `chance` is checked last, so the roll is only spent
+ * when everything else already allows the ability.
+ * @returns {boolean}
+ */
+function conditionsMet(when, { monster, explorers, monsters, random }) {
+    if (!when) return true;
+    const allies = monsters.filter(m => m.id !== monster.id && m.currentHp > 0);
+    if (when.hpBelow !== undefined && !(hpFraction(monster) < when.hpBelow)) return false;
+    if (when.allyBelow !== undefined && ![monster, ...allies].some(m => hpFraction(m) < when.allyBelow)) return false;
+    if (when.targetsAtLeast !== undefined && explorers.length < when.targetsAtLeast) return false;
+    if (when.alliesAtLeast !== undefined && allies.length < when.alliesAtLeast) return false;
+    if (when.alliesAtMost !== undefined && allies.length > when.alliesAtMost) return false;
+    if (when.chance !== undefined && !(random() < when.chance)) return false;
+    return true;
+}
+
+// --- 2. ACTION PLANNING ---
+/**
+ * Why a monster can't use an ability right now, whoever is directing it. Its `when` conditions aren't checked here:
+ * they're the AI's judgement of when an ability is worth using, which a human DM makes for themselves.
+ * @param {object} input
+ * @param {object} input.monster A monster instance.
+ * @param {object} input.ability One of its `abilities`.
+ * @param {number} input.apLeft AP the monster has left this DM turn.
+ * @param {string[]} input.usedThisTurn Abilities already used this DM turn.
+ * @param {object[]} input.explorers Explorers the monster can target.
+ * @param {object[]} input.monsters Every monster on the board.
+ * @returns {string|null} The reason, or null if the ability can be used.
+ */
+function getAbilityBlocker({ monster, ability, apLeft, usedThisTurn, explorers, monsters }) {
+    const cooldown = monster.cooldowns[ability.name] || 0;
+    if (cooldown > 0) return `${ability.name} is ready in ${cooldown} turn${cooldown === 1 ? '' : 's'}.`;
+    if (usedThisTurn.includes(ability.name)) return `${ability.name} was already used this turn.`;
+    if (ability.uses !== undefined && (monster.abilityUses?.[ability.name] || 0) >= ability.uses) return `${ability.name} has no uses left.`;
+    if ((ability.apCost || 1) > apLeft) return `${monster.name} doesn't have enough AP for ${ability.name}.`;
+    if (TARGETED_TYPES.includes(ability.type) && explorers.length === 0) return 'There is no one to target.';
+    if (ability.type === 'heal' && !monsters.some(m => (ability.target === 'ally' || m.id === monster.id) && m.currentHp > 0 && m.currentHp < m.maxHp)) {
+        return 'No monster needs healing.';
+    }
+    if (ability.type === 'buff' && ability.target !== 'allies' && monster.statusEffects.some(e => e.name === ability.status)) {
+        return `${monster.name} is already ${ability.status}.`;
+    }
+    return null;
+}
+
+/**
+ * Picks a monster's next action.
+ * @param {object} input
+ * @param {object} input.monster A monster instance.
+ * @param {number} input.apLeft AP the monster has left this DM turn.
+ * @param {string[]} input.usedThisTurn Abilities already used this DM turn. Each ability is used at most once a turn.
+ * @param {object[]} input.explorers Explorers the monster can target.
+ * @param {object[]} input.monsters Every monster on the board.
+ * @param {function(): number} input.random The room's random stream.
+ * @returns {{ability?: object, attack?: boolean, apCost: number}|null} Null when the monster has nothing left to do.
+ */
+function chooseMonsterAction({ monster, apLeft, usedThisTurn, explorers, monsters, random }) {
+    const ability = (monster.abilities || []).find(a => (
+        !getAbilityBlocker({ monster, ability: a, apLeft, usedThisTurn, explorers, monsters })
+        && conditionsMet(a.when, { monster, explorers, monsters, random })
+    ));
+    if (ability) return { ability, apCost: ability.apCost || 1 };
+
+    if (explorers.length > 0 && apLeft >= ATTACK_AP_COST) return { attack: true, apCost: ATTACK_AP_COST };
+    return null;
+}
+
+// --- 3. MODULE EXPORTS ---
+module.exports = {
+    ATTACK_AP_COST,
+    getMonsterAp,
+    getAbilityBlocker,
+    chooseMonsterAction
+};
@@ -0,0 +1,95 @@
+// This file defines how monsters pick who to attack, used by the server (`server.js`) on the DM's turn.
+// Each monster follows the targeting strategy on its card (`targeting`, see 7.5 in `game-data.js`) and keeps an
+// aggro table of how much each explorer has provoked it. It only decides; recording aggro as the fight goes on
+// and carrying out the attack are up to the server.
+
+// --- INDEX ---
+// 1. AGGRO TABLE
+// 2. TARGETING STRATEGIES
+// 3. MODULE EXPORTS
+
+const { aggroRules } = require('./game-data');
+
+// --- 1. AGGRO TABLE ---
+/**
+ * Adds aggro towards an explorer on a monster's table.
+ * @param {object} monster A monster instance.
+ * @param {string} explorerId The explorer's `playerId`, which survives reconnects.
+ * @param {number} amount
+ */
+function addAggro(monster, explorerId, amount) {
+    if (!explorerId || !(amount > 0)) return;
+    monster.aggro = monster.aggro || {};
+    monster.aggro[explorerId] = (monster.aggro[explorerId] || 0) + amount;
+}
+
+/**
+ * Fades a monster's aggro by `aggroRules.decay`, so an explorer who stops provoking it is slowly forgotten.
+ * @param {object} monster A monster instance.
+ */
+function decayAggro(monster) {
+    Object.keys(monster.aggro || {}).forEach(explorerId => {
+        monster.aggro[explorerId] = Math.floor(monster.aggro[explorerId] * aggroRules.decay);
+        if (monster.aggro[explorerId] <= 0) delete monster.aggro[explorerId];
+    });
+}
+
+const getAggro = (monster, explorer) => monster.aggro?.[explorer.playerId] || 0;
+
+// --- 2. TARGETING STRATEGIES ---
+// The candidate with the highest score. Ties are broken at random.
+function pickBest(candidates, score, random) {
+    const best = Math.max(...candidates.map(score));
+    const top = candidates.filter(c => score(c) === best);
+    return top.length === 1 ? top[0] : top[Math.floor(random() * top.length)];
+}
+
+function pickRandom(candidates, random) {
+    return candidates[Math.floor(random() * candidates.length)];
+}
+
+function byAggro(monster, candidates, random) {
+    const target = pickBest(candidates, c => getAggro(monster, c), random);
+    const aggro = getAggro(monster, target);
+    return { target, reason: aggro > 0 ? `most aggro: ${aggro}` : 'no one has provoked it yet' };
+}
+
+// Each strategy returns the explorer to attack and a short reason for the log.
+const strategies = {
+    'aggro': byAggro,
+    'random': (monster, candidates, random) => ({ target: pickRandom(candidates, random), reason: 'it lashes out at random' }),
+    'lowest-hp': (monster, candidates, random) => ({ target: pickBest(candidates, c => -c.stats.currentHp, random), reason: 'it preys on the weakest' }),
+    'highest-hp': (monster, candidates, random) => ({ target: pickBest(candidates, c => c.stats.currentHp, random), reason: 'it seeks out the toughest foe' }),
+    'lowest-ac': (monster, candidates, random) => ({ target: pickBest(candidates, c => -c.stats.shieldBonus, random), reason: 'it goes for the weakest armor' }),
+    'casters': (monster, candidates, random, round) => {
+        const casters = candidates.filter(c => c.lastCastRound !== null && c.lastCastRound >= round - 1);
+        if (casters.length === 0) return byAggro(monster, candidates, random);
+        return { target: pickBest(casters, c => getAggro(monster, c), random), reason: 'it punishes spellcasters' };
+    },
+};
+
+/**
+ * Picks the explorer a monster attacks.
+ * @param {object} input
+ * @param {object} input.monster A monster instance. Its `targeting` names a strategy; the default is 'aggro'.
+ * @param {object[]} input.candidates Explorers the monster can target. Must not be empty.
+ * @param {number} input.round The current round (`gameState.turnCount`). Spells cast in the previous round count as recent.
+ * @param {function(): number} input.random The room's random stream.
+ * @returns {{target: object, reason: string}}
+ */
+function chooseMonsterTarget({ monster, candidates, round, random }) {
+    // A taunt overrides the strategy, as long as the taunter can still be targeted.
+    const taunt = monster.statusEffects.find(e => e.name === 'Taunted');
+    const taunter = taunt && candidates.find(c => c.playerId === taunt.sourceId);
+    if (taunter) return { target: taunter, reason: `taunted by ${taunter.name}` };
+
+    const strategy = strategies[monster.targeting] || strategies.aggro;
+    return strategy(monster, candidates, random, round);
+}
+
+// --- 3. MODULE EXPORTS ---
+module.exports = {
+    addAggro,
+    decayAggro,
+    chooseMonsterTarget
+};
@@ -0,0 +1,371 @@
+// This file defines how NPC explorers choose what to do, used by the server (`server.js`) on their turns.
+// It lists every action a human explorer could take in the NPC's place (attacks, spells, consumables, the class
+// ability, guarding, resting, stabilizing allies, skill challenges and card interactions), scores what each one
+// achieves under the NPC's profile (see `npcProfiles` in `game-data.js`) and picks the best value for its AP.
+// It only decides; the server carries the action out through the same handlers players use.
+
+// --- INDEX ---
+// 1. ESTIMATES
+// 2. ACTION OPTIONS
+// 3. PLANNING
+// 4. MODULE EXPORTS
+
+const { averageDice } = require('./dice');
+const { actionCosts, classes, dyingRules, spellCards, spellTargeting, statusEffectDefinitions } = require('./game-data');
+
+const FISTS = { id: 'unarmed', name: 'Fists', effect: { dice: '1d4', damageType: 'Bludgeoning' }, apCost: 1 };
+const spellsByName = Object.fromEntries(spellCards.map(spell => [spell.name, spell]));
+
+// The statuses class abilities grant their user. Sneak Attack's extra 1d6 is counted at its average.
+const abilityStatuses = { Barbarian: 'Rage', Ranger: 'Hunters Mark', Rogue: 'Sneak Attack', Warrior: 'Power Surge' };
+const abilityBonuses = { 'Sneak Attack': { damageBonus: 3.5 } };
+
+// What outcomes are worth in HP terms, before the profile's weights.
+const VALUES = {
+    revive: 12, // A downed ally back on their feet
+    stabilize: 6, // A dying ally no longer at risk
+    status: 2, // A status with no numeric bonuses, e.g. Invisible
+    rollModifier: 1.5, // Advantage on some rolls
+    loot: 6,
+    challenge: 6, // Getting past a skill challenge
+    interaction: 2, // An interaction whose outcome isn't otherwise valued
+    arcaneRecovery: 3, // One more AP to spend
+};
+
+// Nothing scoring less than this per AP is worth doing; the NPC ends its turn instead.
+const MIN_SCORE = 0.5;
+
+// --- 1. ESTIMATES ---
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// The chance a d20 roll plus `bonus` meets `dc`. A natural 1 or 20 always decides it.
+const chanceToBeat = (bonus, dc) => clamp((21 + bonus - dc) / 20, 0.05, 0.95);
+
+const hpFraction = (explorer) => explorer.stats.maxHp > 0 ? explorer.stats.currentHp / explorer.stats.maxHp : 0;
+const hasStatus = (creature, name) => creature.statusEffects.some(e => e.name === name);
+
+// What a monster deals on an average hit, i.e. what defeating or hindering it saves the party.
+const monsterThreat = (monster) => averageDice(monster.effect?.dice) + (monster.damageBonus || 0) + (monster.isBoss ? 10 : 0);
+
+/**
+ * Builds the scoring helpers for one decision, so every option is valued by the same rules.
+ * @param {object} input See `planNpcAction`.
+ */
+function createScorer({ npc, explorers, monsters, profile, scaleDamage }) {
+    const w = profile.weights;
+    const standing = explorers.filter(p => !p.isDowned);
+    const weapon = npc.equipment.weapon || FISTS;
+    const weaponCost = Math.max(1, weapon.apCost || 1);
+
+    // Attacks the NPC can still make this turn after spending `apCost` on something else.
+    const attacksAfter = (apCost) => Math.floor((npc.currentAp - apCost) / weaponCost);
+
+    // Damage to a monster, plus the value of defeating it when the damage would be enough.
+    const damageValue = (monster, amount, chance = 1) => {
+        const dealt = Math.min(amount, monster.currentHp);
+        const finish = amount >= monster.currentHp ? w.finish * monsterThreat(monster) * 2 : 0;
+        return chance * (w.damage * dealt + finish);
+    };
+
+    // A status on a monster, if it doesn't have it already. `save` halves the odds it sticks.
+    const controlValue = (monster, status, save) => {
+        if (!status || hasStatus(monster, status)) return 0;
+        return w.control * monsterThreat(monster) * (save ? 0.5 : 1);
+    };
+
+    // Healing is worth what it restores, twice that for an explorer in danger, and a lot more if it gets them back up.
+    const healValue = (target, amount) => {
+        if (target.isDead) return 0;
+        const restored = Math.min(amount, target.stats.maxHp - target.stats.currentHp);
+        if (restored <= 0) return 0;
+        const urgency = hpFraction(target) < profile.lowHp ? 2 : 1;
+        return w.heal * restored * urgency + (target.isDowned ? w.revive * VALUES.revive : 0);
+    };
+
+    // A boon is only worth something while there are monsters to use it on.
+    const buffValue = (target, { name, bonuses = {}, status, rollModifiers }, apCost = 0) => {
+        if (monsters.length === 0 || target.isDowned || (name && hasStatus(target, name))) return 0;
+        const attacks = target === npc ? attacksAfter(apCost) : 1;
+        const targetWeapon = target.equipment?.weapon || FISTS;
+        const hitDamage = averageDice(targetWeapon.effect.dice) + (target.stats.damageBonus || 0);
+        const value = (bonuses.damageBonus || 0) * attacks
+            + (bonuses.hitBonus || 0) * 0.05 * hitDamage * attacks
+            + (bonuses.shieldBonus || 0) * 0.5
+            + (rollModifiers ? VALUES.rollModifier : 0)
+            + (status && !hasStatus(target, status) ? VALUES.status : 0);
+        return w.buff * value;
+    };
+
+    // Damage the NPC expects to take before its next turn, shared among everyone still standing.
+    const incomingDamage = () => monsters.reduce((sum, m) => sum + monsterThreat(m) * 0.5, 0) / Math.max(1, standing.length);
+
+    const allyInDanger = () => standing.some(p => p !== npc && hpFraction(p) < profile.lowHp);
+
+    return { w, weapon, weaponCost, standing, damageValue, controlValue, healValue, buffValue, incomingDamage, allyInDanger, scaleDamage };
+}
+
+// --- 2. ACTION OPTIONS ---
+// Each option is { action, payload, apCost, score } where `score` is the total value, before dividing by AP.
+
+// The best `max` targets for a per-target value, dropping anything worth nothing.
+function bestTargets(candidates, value, max) {
+    return candidates
+        .map(target => ({ target, value: value(target) }))
+        .filter(t => t.value > 0)
+        .sort((a, b) => b.value - a.value)
+        .slice(0, max);
+}
+
+/**
+ * Scores casting a spell, from a spell card or a scroll, and picks its targets.
+ * @returns {{targetIds: string[], score: number}|null}
+ */
+function scoreSpell(spell, context) {
+    const { npc, explorers, monsters, scorer } = context;
+    const { effect } = spell;
+    const rule = spellTargeting[effect.target];
+    const maxTargets = effect.maxTargets || rule?.max || 1;
+    const saveFactor = effect.save ? (effect.save.onSuccess === 'half' ? 0.75 : 0.5) : 1;
+    const onMonster = (monster) => {
+        if (effect.type === 'damage') {
+            const amount = scorer.scaleDamage(monster, averageDice(effect.dice) * saveFactor, effect.damageType);
+            return scorer.damageValue(monster, amount) + scorer.controlValue(monster, effect.status, effect.save);
+        }
+        if (effect.type === 'control') return scorer.controlValue(monster, effect.status, effect.save);
+        return 0;
+    };
+    const onExplorer = (explorer) => {
+        if (effect.type === 'heal') return scorer.healValue(explorer, averageDice(effect.dice));
+        if (effect.type === 'buff') return scorer.buffValue(explorer, { name: spell.name, bonuses: effect.bonuses, status: effect.status }, spell.apCost || 0);
+        return 0;
+    };
+
+    let picks;
+    if (effect.target === 'aoe') picks = monsters.map(m => ({ target: m, value: onMonster(m) }));
+    else if (effect.target === 'party') picks = explorers.map(p => ({ target: p, value: onExplorer(p) }));
+    else if (effect.target === 'self') picks = [{ target: npc, value: onExplorer(npc) }];
+    else if (rule?.kinds.includes('monster')) picks = bestTargets(monsters, onMonster, maxTargets);
+    else if (rule?.kinds.includes('player')) picks = bestTargets(explorers, onExplorer, maxTargets);
+    else return null; // Spells that pick no one and do nothing in play, e.g. utility spells.
+
+    const score = picks.reduce((sum, p) => sum + p.value, 0);
+    const isArea = !rule;
+    return { targetIds: isArea ? [] : picks.map(p => p.target.id), score };
+}
+
+function attackOptions({ npc, monsters, scorer, canAttack }) {
+    const { weapon, weaponCost } = scorer;
+    if (!canAttack || npc.currentAp < weaponCost) return [];
+    const damage = averageDice(weapon.effect.dice) + (npc.stats.damageBonus || 0);
+    return monsters.map(monster => {
+        const chance = chanceToBeat(npc.stats.hitBonus || 0, monster.requiredRollToHit);
+        const amount = scorer.scaleDamage(monster, damage, weapon.effect.damageType);
+        return { action: 'attack', payload: { cardId: weapon.id, targetId: monster.id }, apCost: weaponCost, score: scorer.damageValue(monster, amount, chance) };
+    });
+}
+
+function spellOptions(context) {
+    const { npc, maxSpellLevel } = context;
+    return npc.hand
+        .filter(card => card.type === 'Spell' && (card.level || 1) <= maxSpellLevel && (card.apCost || 0) <= npc.currentAp)
+        .map(card => {
+            const plan = scoreSpell(card, context);
+            return plan && { action: 'castSpell', payload: { cardId: card.id, targetIds: plan.targetIds }, apCost: card.apCost || 0, score: plan.score };
+        })
+        .filter(Boolean);
+}
+
+function consumableOption(card, context) {
+    const { npc, explorers, monsters, scorer, profile } = context;
+    const { effect } = card;
+    const option = (targetId, score) => ({ action: 'useConsumable', payload: { cardId: card.id, targetId }, apCost: card.apCost, score });
+    const best = (candidates, value) => bestTargets(candidates, value, 1)[0];
+
+    switch (effect.type) {
+        case 'heal': {
+            const pick = best(explorers, p => scorer.healValue(p, averageDice(effect.dice)));
+            return pick && option(pick.target.id, pick.value);
+        }
+        case 'damage': {
+            const pick = best(monsters, m => scorer.damageValue(m, scorer.scaleDamage(m, averageDice(effect.dice), effect.damageType)) + scorer.controlValue(m, effect.status));
+            return pick && option(pick.target.id, pick.value);
+        }
+        case 'buff':
+            return option(npc.id, scorer.buffValue(npc, { name: card.name, bonuses: effect.bonuses, status: effect.status, rollModifiers: effect.rollModifiers }, card.apCost));
+        case 'spell': {
+            const spell = spellsByName[effect.spellName];
+            const plan = spell && scoreSpell(spell, context);
+            return plan && { action: 'useConsumable', payload: { cardId: card.id, targetIds: plan.targetIds }, apCost: card.apCost, score: plan.score };
+        }
+        case 'taunt': {
+            // Worth it to pull a dangerous monster off a hurt ally, while the NPC itself can take the hits.
+            if (!scorer.allyInDanger() || hpFraction(npc) < profile.lowHp) return null;
+            const pick = best(monsters, m => (hasStatus(m, 'Taunted') ? 0 : scorer.w.protect * monsterThreat(m)));
+            return pick && option(pick.target.id, pick.value);
+        }
+        case 'utility': {
+            if (effect.status !== 'Cure Poison') return null;
+            const pick = best(explorers, p => scorer.w.heal * averageDice(statusEffectDefinitions.Poisoned.damage) * p.statusEffects.filter(e => e.name === 'Poisoned').length);
+            return pick && option(pick.target.id, pick.value);
+        }
+        default:
+            return null;
+    }
+}
+
+function consumableOptions(context) {
+    const { npc } = context;
+    return npc.hand
+        .filter(card => card.type !== 'Spell' && card.effect?.type && typeof card.apCost === 'number' && card.apCost <= npc.currentAp)
+        .map(card => consumableOption(card, context))
+        .filter(Boolean);
+}
+
+function abilityOptions(context) {
+    const { npc, explorers, monsters, scorer } = context;
+    const ability = classes[npc.class]?.ability;
+    if (!ability || npc.currentAp < ability.apCost) return [];
+    const option = (score, targetId) => [{ action: 'useAbility', payload: { abilityName: ability.name, targetId }, apCost: ability.apCost, score }];
+
+    switch (npc.class) {
+        case 'Cleric': {
+            const pick = bestTargets(explorers, p => scorer.healValue(p, averageDice('1d8') + (npc.stats.wis || 0)), 1)[0];
+            return pick ? option(pick.value, pick.target.id) : [];
+        }
+        case 'Mage':
+            // Only worth it while there's a fight to spend the AP on.
+            return monsters.length > 0 && !npc.usedAbilityThisTurn && npc.currentAp < npc.stats.maxAP ? option(VALUES.arcaneRecovery) : [];
+        default: {
+            const status = abilityStatuses[npc.class];
+            if (!status) return [];
+            const bonuses = abilityBonuses[status] || statusEffectDefinitions[status]?.bonuses || {};
+            return option(scorer.buffValue(npc, { name: status, bonuses }, ability.apCost));
+        }
+    }
+}
+
+function defensiveOptions(context) {
+    const { npc, explorers, monsters, scorer } = context;
+    const options = [];
+    const selfHeal = (amount) => scorer.healValue(npc, amount);
+
+    if (monsters.length > 0 && !npc.isBracing && npc.currentAp >= actionCosts.guard) {
+        // Shield HP only helps against damage that's coming; guarding also draws attacks away from hurt allies.
+        const shield = Math.min(npc.stats.shieldBonus || 0, scorer.incomingDamage());
+        const draw = scorer.allyInDanger() ? monsters.length : 0;
+        options.push({ action: 'guard', payload: {}, apCost: actionCosts.guard, score: scorer.w.protect * (shield + draw) });
+    }
+    if (npc.currentAp >= actionCosts.briefRespite) {
+        options.push({ action: 'respite', payload: {}, apCost: actionCosts.briefRespite, score: selfHeal(averageDice('1d4')) });
+    }
+    if (npc.currentAp >= actionCosts.fullRest) {
+        const healthDice = classes[npc.class]?.healthDice || 1;
+        options.push({ action: 'rest', payload: {}, apCost: actionCosts.fullRest, score: selfHeal(averageDice(`${healthDice}d4`)) });
+    }
+    if (npc.currentAp >= actionCosts.stabilize) {
+        const { skill, dc } = dyingRules.stabilize;
+        explorers
+            .filter(p => p.isDowned && !p.isStable && !p.isDead)
+            .forEach(p => options.push({
+                action: 'stabilize', payload: { targetId: p.id }, apCost: actionCosts.stabilize,
+                score: scorer.w.revive * VALUES.stabilize * chanceToBeat(npc.stats[skill] || 0, dc),
+            }));
+    }
+    return options;
+}
+
+// What a skill check's success or failure effect (see `applySkillCheckEffect` in the server) is worth to the party.
+function skillEffectValue(effect, sourceCard, context) {
+    const { npc, monsters, profile, scorer } = context;
+    switch (effect?.type) {
+        case 'aoe_damage':
+            return monsters.reduce((sum, m) => sum + scorer.damageValue(m, scorer.scaleDamage(m, averageDice(effect.value), effect.damageType)), 0);
+        case 'damage':
+        case 'self_damage':
+            // Hurting itself costs the NPC what healing that much would be worth.
+            return -scorer.w.heal * averageDice(effect.value) * (hpFraction(npc) < profile.lowHp ? 2 : 1);
+        case 'loot':
+            return scorer.w.explore * VALUES.loot;
+        case 'status_effect':
+            return monsters.includes(sourceCard) ? scorer.controlValue(sourceCard, effect.effect) : 0;
+        case 'apply_vulnerability':
+            return monsters.includes(sourceCard) ? scorer.controlValue(sourceCard, 'Vulnerable') : 0;
+        default:
+            return scorer.w.explore * VALUES.interaction;
+    }
+}
+
+function skillOptions(context) {
+    const { npc, monsters, environment, skillChallenge, scorer } = context;
+    const options = [];
+    const checkValue = (stage, sourceCard, baseValue = 0) => {
+        const chance = chanceToBeat(npc.stats[stage.skill] || 0, stage.dc);
+        return chance * (baseValue + skillEffectValue(stage.success, sourceCard, context))
+            + (1 - chance) * skillEffectValue(stage.failure, sourceCard, context);
+    };
+
+    // The world event's challenge, which the explorer whose turn it is may attempt.
+    if (skillChallenge.isActive && skillChallenge.details && npc.currentAp >= 1) {
+        const { details, currentStage } = skillChallenge;
+        const stage = details.eventType === 'multi_stage_skill_challenge' ? details.stages[currentStage] : details;
+        if (stage?.skill) options.push({ action: 'resolveSkillCheck', payload: {}, apCost: 1, score: checkValue(stage, null, scorer.w.explore * VALUES.challenge) });
+    }
+
+    [...monsters, ...environment].forEach(card => {
+        (card.skillInteractions || []).forEach(interaction => {
+            if (npc.currentAp < interaction.apCost) return;
+            const stage = interaction.eventType === 'multi_stage_skill_challenge' ? interaction.stages[0] : interaction;
+            if (!stage?.skill) return;
+            options.push({ action: 'resolveSkillInteraction', payload: { cardId: card.id, interactionName: interaction.name }, apCost: interaction.apCost, score: checkValue(stage, card) });
+        });
+    });
+    return options;
+}
+
+// --- 3. PLANNING ---
+const optionKey = ({ action, payload }) => `${action}:${JSON.stringify(payload)}`;
+
+/**
+ * Picks the NPC's next action, or nothing if no action is worth its AP.
+ * Options are ranked by score per AP (free actions count as 1 AP), nudged by the profile's `noise`.
+ * @param {object} input
+ * @param {object} input.npc The NPC explorer whose turn it is.
+ * @param {object[]} input.explorers Every explorer in the room who isn't disconnected, including the NPC.
+ * @param {object[]} input.monsters Monsters on the board.
+ * @param {object[]} input.environment Environment cards on the board.
+ * @param {object} input.skillChallenge The room's `gameState.skillChallenge`.
+ * @param {object} input.profile An entry of `npcProfiles`.
+ * @param {number} input.maxSpellLevel The highest spell level the NPC can cast.
+ * @param {boolean} input.canAttack False while a status (e.g. Charmed) keeps the NPC from attacking.
+ * @param {function(object, number, string): number} input.scaleDamage Damage after the target's weaknesses and resistances.
+ * @param {Set<string>} [input.exclude] Keys of options already tried and refused this turn.
+ * @param {function(): number} input.random The room's random stream.
+ * @returns {{action: string, payload: object, apCost: number, score: number, key: string}|null}
+ */
+function planNpcAction(input) {
+    const { npc, profile, exclude = new Set(), random } = input;
+    const context = { ...input, scorer: createScorer(input) };
+    const options = [
+        ...attackOptions(context),
+        ...spellOptions(context),
+        ...consumableOptions(context),
+        ...abilityOptions(context),
+        ...defensiveOptions(context),
+        ...skillOptions(context),
+    ];
+
+    let best = null;
+    for (const option of options) {
+        option.key = optionKey(option);
+        if (exclude.has(option.key) || option.apCost > npc.currentAp) continue;
+        const nudge = 1 + (random() * 2 - 1) * profile.noise;
+        const value = (option.score / Math.max(1, option.apCost)) * nudge;
+        if (value >= MIN_SCORE && (!best || value > best.value)) best = { option, value };
+    }
+    return best ? best.option : null;
+}
+
+// --- 4. MODULE EXPORTS ---
+module.exports = {
+    planNpcAction
+};
@@ -7,6 +7,7 @@ const socket = io();
 let myId = '';
 let myPlayerName = '';
 let currentRoomState = {}; // The single, authoritative copy of the game state.
+const stateHistory = new Map(); // revision -> untouched copy of that state, kept as a base for incoming patches
 let gameUIInitialized = false; // Flag to ensure game listeners are only attached once.
 
 // Consolidated client-side state to prevent bugs from scattered global variables.
@@ -29,6 +30,42 @@ const clientState = {
 const get = (id) => document.getElementById(id);
 const queryAll = (selector) => document.querySelectorAll(selector);
 
+// Applies the server's patch operations (`add`, `remove`, `replace` with JSON Pointer paths) to a copy of the state.
+// Throws if a path does not exist, which means our copy is out of step with the server.
+function applyStatePatch(state, ops) {
+    ops.forEach(({ op, path, value }) => {
+        if (path === '') {
+            state = value;
+            return;
+        }
+        const keys = path.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const lastKey = keys.pop();
+        const parent = keys.reduce((node, key) => {
+            if (node === null || typeof node !== 'object' || !(key in node)) throw new Error(`Invalid patch path: ${path}`);
+            return node[key];
+        }, state);
+        if (Array.isArray(parent)) {
+            const index = Number(lastKey);
+            if (op === 'add') parent.splice(index, 0, value);
+            else if (op === 'remove') parent.splice(index, 1);
+            else parent[index] = value;
+        } else if (op === 'remove') {
+            delete parent[lastKey];
+        } else {
+            parent[lastKey] = value;
+        }
+    });
+    return state;
+}
+
+// Stores a new revision and makes it the rendered state.
+function acceptState(revision, state) {
+    stateHistory.set(revision, state);
+    currentRoomState = structuredClone(state);
+    socket.emit('stateAck', { revision });
+    renderUI();
+}
+
 // --- VOICE CHAT MANAGER ---
 const voiceChatManager = {
     localStream: null,
@@ -197,6 +234,16 @@ function createActionButton(action, text, btnClass) {
 }
 
 
+// How each monster targeting strategy (see `targeting` on monster cards) reads on the card.
+const monsterTargetingLabels = {
+    'aggro': 'Most aggro',
+    'random': 'Anyone',
+    'lowest-hp': 'Lowest HP',
+    'highest-hp': 'Highest HP',
+    'lowest-ac': 'Weakest armor',
+    'casters': 'Spellcasters',
+};
+
 /**
  * Creates an HTML element for a game card with interactive options.
  * @param {object} card - The card data object.
@@ -224,6 +271,10 @@ function createCardElement(card, options = {}) {
         cardDiv.classList.add(`spell-level-${card.level}`);
     }
 
+    if (card.isBoss) {
+        cardDiv.classList.add('boss-card');
+    }
+
     if (card.type === 'Monster') {
         cardDiv.dataset.monsterId = card.id;
         if (isTargetable) cardDiv.classList.add('targetable');
@@ -238,17 +289,41 @@ function createCardElement(card, options = {}) {
     const monsterStatsHTML = card.type === 'Monster' ? `
         <div class="card-bonus" title="Attack Bonus"><span class="material-symbols-outlined icon-damage">colorize</span>+${card.attackBonus || 0}</div>
         <div class="card-bonus" title="Armor Class"><span class="material-symbols-outlined icon-shield">security</span>${card.requiredRollToHit || 10}</div>
+        <div class="card-bonus" title="AP per turn"><span class="material-symbols-outlined icon-ap">bolt</span>${card.ap || 1}</div>
     ` : '';
-    const damageDiceHTML = card.effect?.dice ? `<div class="card-bonus" title="Damage Dice"><span class="material-symbols-outlined icon-damage">casino</span>${card.effect.dice}</div>` : '';
+    const damageTypeText = card.effect?.damageType ? ` ${card.effect.damageType}` : '';
+    const damageDiceHTML = card.effect?.dice ? `<div class="card-bonus" title="Damage Dice${damageTypeText}"><span class="material-symbols-outlined icon-damage">casino</span>${card.effect.dice}${damageTypeText}</div>` : '';
     const apCostHTML = card.apCost ? `<div class="card-bonus" title="AP Cost"><span class="material-symbols-outlined icon-ap">bolt</span>${card.apCost}</div>` : '';
     
     let monsterAbilitiesHTML = '';
-    if (card.type === 'Monster' && card.abilities && card.abilities.length > 0) {
+    const damageAffinities = card.type === 'Monster' ? [
+        ['Weak', card.weaknesses], ['Resists', card.resistances], ['Immune', card.immunities]
+    ].filter(([, types]) => types && types.length > 0) : [];
+    if (card.type === 'Monster') {
         monsterAbilitiesHTML = `
             <div class="card-abilities">
-                ${card.abilities.map(ability => `
+                ${card.phaseName ? `
+                    <div class="card-ability-item boss-phase">
+                        <strong>Phase ${card.phaseIndex + 1}/${card.phases.length}:</strong> ${card.phaseName}
+                    </div>
+                ` : ''}
+                ${(card.traits || []).length > 0 ? `
+                    <div class="card-traits">
+                        ${card.traits.map(trait => `<span class="trait-badge" title="${trait.description}">${trait.name}</span>`).join('')}
+                    </div>
+                ` : ''}
+                <div class="card-ability-item">
+                    <strong>Targets:</strong> ${monsterTargetingLabels[card.targeting] || monsterTargetingLabels.aggro}
+                </div>
+                ${(card.abilities || []).map(ability => `
+                    <div class="card-ability-item">
+                        <strong>${ability.name}${(ability.apCost || 1) > 1 ? ` (${ability.apCost} AP)` : ''}:</strong> ${ability.description}
+                        ${card.cooldowns?.[ability.name] > 0 ? `<em>(Ready in ${card.cooldowns[ability.name]} turn${card.cooldowns[ability.name] === 1 ? '' : 's'})</em>` : ''}
+                    </div>
+                `).join('')}
+                ${damageAffinities.map(([label, types]) => `
                     <div class="card-ability-item">
-                        <strong>${ability.name}:</strong> ${ability.description}
+                        <strong>${label}:</strong> ${types.join(', ')}
                     </div>
                 `).join('')}
             </div>
@@ -380,7 +455,7 @@ function renderUI() {
     }
 
     // --- Phase 1: Show/Hide Major Screens ---
-    if (phase === 'class_selection' || phase === 'started' || phase === 'game_over') {
+    if (phase === 'class_selection' || phase === 'started' || phase === 'party_event' || phase === 'chapter_complete' || phase === 'game_over') {
         get('menu-screen').classList.remove('active');
         get('game-screen').classList.add('active');
         if (!gameUIInitialized) {
@@ -397,10 +472,21 @@ function renderUI() {
         return; // Stop rendering here for game over
     }
 
+    get('chapter-complete-modal').classList.toggle('hidden', phase !== 'chapter_complete');
+    if (phase === 'chapter_complete') {
+        showChapterCompleteModal(currentRoomState);
+        return; // Nothing to play until the host starts the next chapter
+    }
+
+    // A party event is played over the board, which stays visible behind it.
+    get('party-event-modal').classList.toggle('hidden', phase !== 'party_event');
+    if (phase === 'party_event') showPartyEventModal(currentRoomState);
+    const inPlay = phase === 'started' || phase === 'party_event';
+
     // --- Phase 2: Render Common Game Elements ---
     queryAll('[data-container="room-code"]').forEach(el => el.textContent = currentRoomState.id);
     queryAll('[data-container="turn-counter"]').forEach(el => el.textContent = gameState.turnCount);
-    renderGameLog(chatLog, phase === 'started');
+    renderGameLog(chatLog, inPlay);
 
     const playerListContainers = queryAll('[data-container="player-list"]');
     playerListContainers.forEach(c => c.innerHTML = '');
@@ -421,12 +507,13 @@ function renderUI() {
         const roleText = p.role === 'DM' ? `<span class="player-role dm">DM</span>` : '';
         let classText;
         if (phase === 'class_selection') {
-            classText = p.class ? `<span class="player-class-ready"> - Ready!</span>` : `<span class="player-class-waiting"> - Choosing...</span>`;
+            if (p.role === 'DM') classText = '';
+            else classText = p.class ? `<span class="player-class-ready"> - Ready!</span>` : `<span class="player-class-waiting"> - Choosing...</span>`;
         } else {
-            classText = p.class ? `<span class="player-class"> - ${p.class}</span>` : '';
+            classText = p.class ? `<span class="player-class"> - ${p.class} Lv ${p.level}</span>` : '';
         }
-        const hpDisplay = phase === 'started' && p.role === 'Explorer' ? `HP: ${p.stats.currentHp} / ${p.stats.maxHp}` : '';
-        const downedText = p.isDowned ? '<span class="downed-text">[DOWNED]</span> ' : '';
+        const hpDisplay = inPlay && p.role === 'Explorer' ? `HP: ${p.stats.currentHp} / ${p.stats.maxHp} · Cards: ${p.handCount}` : '';
+        const downedText = p.isDowned ? `<span class="downed-text">${describeDownedState(p)}</span> ` : '';
         const disconnectedText = p.disconnected ? '<span class="disconnected-text">[OFFLINE]</span> ' : '';
         li.innerHTML = `<div class="player-info"><span>${disconnectedText}${downedText}${npcTag}${p.name}${classText}${roleText}</span></div><div class="player-hp">${hpDisplay}</div>`;
         playerListContainers.forEach(c => c.appendChild(li.cloneNode(true)));
@@ -442,13 +529,16 @@ function renderUI() {
     const mobileCharacterPanel = get('mobile-screen-character');
     
     queryAll('[data-container="lobby-controls"]').forEach(c => c.classList.add('hidden'));
+    renderDmSeatControl(phase === 'class_selection' && myId === hostId);
 
     if (phase === 'class_selection') {
-        if (myPlayer.class) {
-            let waitingHTML = `<h2 class="panel-header">Class Chosen!</h2><p class="panel-content">Waiting for the host to start the game...</p>`;
+        if (myPlayer.class || myPlayer.role === 'DM') {
+            let waitingHTML = myPlayer.role === 'DM'
+                ? `<h2 class="panel-header">You Are the Dungeon Master</h2><p class="panel-content">You'll run the monsters and world events from the DM console. Waiting for the host to start the game...</p>`
+                : `<h2 class="panel-header">Class Chosen!</h2><p class="panel-content">Waiting for the host to start the game...</p>`;
             
             if (myId === hostId) {
-                const allReady = Object.values(players).filter(p => !p.isNpc).every(p => p.class);
+                const allReady = Object.values(players).filter(p => !p.isNpc && p.role === 'Explorer').every(p => p.class);
                 const disabledAttr = allReady ? '' : 'disabled';
                 const buttonHTML = `<div class="lobby-controls-character-panel">
                     <button id="character-sheet-start-game-btn" class="btn btn-primary" ${disabledAttr}>Start Game</button>
@@ -463,7 +553,7 @@ function renderUI() {
         } else {
             renderClassSelection(desktopCharacterPanel, mobileCharacterPanel);
         }
-    } else if (phase === 'started') {
+    } else if (inPlay) {
         get('class-selection-modal').classList.add('hidden');
         renderGameplayState(myPlayer, gameState);
     }
@@ -481,6 +571,27 @@ function renderUI() {
     }
 }
 
+// The host's choice of who sits in the DM seat, shown in the lobby.
+function renderDmSeatControl(show) {
+    const containers = queryAll('[data-container="dm-seat-control"]');
+    containers.forEach(c => c.classList.toggle('hidden', !show));
+    if (!show) return;
+
+    const players = Object.values(currentRoomState.players);
+    const dm = players.find(p => p.role === 'DM');
+    const playerOptions = players
+        .filter(p => !p.isNpc && !p.carriedOver)
+        .map(p => `<option value="${p.playerId}" ${p === dm ? 'selected' : ''}>${p.name}</option>`)
+        .join('');
+    const html = `
+        <label class="dm-seat-label">Dungeon Master</label>
+        <select class="select-field dm-seat-select">
+            <option value="" ${dm?.isNpc ? 'selected' : ''}>AI Dungeon Master</option>
+            ${playerOptions}
+        </select>`;
+    containers.forEach(c => c.innerHTML = html);
+}
+
 function createClassCardElement(id, data, forMobile = false) {
     const cardDiv = document.createElement('div');
     cardDiv.className = 'class-card';
@@ -570,6 +681,9 @@ function renderClassSelection(desktopContainer, mobileContainer) {
  */
 function renderGameplayState(myPlayer, gameState) {
     const isMyTurn = gameState.turnOrder[gameState.currentPlayerIndex] === myPlayer.id && !myPlayer.isDowned;
+    // A player in the DM seat has the DM console and End Turn instead of a character.
+    const isDm = myPlayer.role === 'DM';
+    const canAct = isMyTurn && !isDm;
 
     renderPartyHope(gameState.partyHope);
 
@@ -592,14 +706,17 @@ function renderGameplayState(myPlayer, gameState) {
     const turnText = turnPlayer ? `${turnPlayer.name}'s Turn` : "Loading...";
     queryAll('[data-container="turn-indicator"]').forEach(el => el.textContent = turnText);
     
-    queryAll('[data-container="action-bar"]').forEach(el => el.classList.toggle('hidden', !isMyTurn));
+    queryAll('[data-container="action-bar"]').forEach(el => {
+        el.classList.toggle('hidden', !isMyTurn);
+        el.classList.toggle('dm-action-bar', isDm);
+    });
     queryAll('[data-container="action-skill-challenge-btn"]').forEach(el => el.classList.toggle('hidden', !gameState.skillChallenge.isActive));
     
     const boardContainers = queryAll('[data-container="board-cards"]');
     boardContainers.forEach(c => c.innerHTML = '');
     [...gameState.board.monsters, ...gameState.board.environment].forEach(card => {
-        const isInteractable = isMyTurn && (card.type === 'Monster' || card.type === 'Environmental');
-        const cardEl = createCardElement(card, { isTargetable: isMyTurn, isInteractable });
+        const isInteractable = canAct && (card.type === 'Monster' || card.type === 'Environmental');
+        const cardEl = createCardElement(card, { isTargetable: canAct, isInteractable });
         boardContainers.forEach(container => container.appendChild(cardEl.cloneNode(true)));
     });
 
@@ -623,7 +740,11 @@ function renderGameplayState(myPlayer, gameState) {
         worldEventBanners.forEach(banner => banner.classList.add('hidden'));
     }
 
-    renderCharacterPanel(get('character-sheet-block'), get('mobile-screen-character'), myPlayer, isMyTurn);
+    if (isDm) {
+        renderDmConsole(get('character-sheet-block'), get('mobile-screen-character'), gameState, isMyTurn);
+    } else {
+        renderCharacterPanel(get('character-sheet-block'), get('mobile-screen-character'), myPlayer, isMyTurn);
+    }
 
     const lootContainers = queryAll('[data-container="party-loot"]');
     lootContainers.forEach(c => c.innerHTML = '');
@@ -636,7 +757,7 @@ function renderGameplayState(myPlayer, gameState) {
          lootContainers.forEach(container => container.innerHTML = `<p class="empty-pool-text">No discoveries yet.</p>`);
     }
 
-    renderHandAndEquipment(myPlayer, isMyTurn);
+    renderHandAndEquipment(myPlayer, canAct);
 }
 
 function renderPartyHope(hope) {
@@ -664,6 +785,7 @@ function renderCharacterPanel(desktopContainer, mobileContainer, player, isMyTur
     const { stats, class: className, baseStats, statBonuses } = player;
     if (!baseStats || !statBonuses) return;
     const classData = currentRoomState.staticData.classes[className];
+    const nextLevelXp = currentRoomState.staticData.levels.thresholds[player.level];
 
     const renderStatLine = (label, icon, iconColor, baseValue, bonusValue, isPrefix = false) => {
         let bonusHtml = '';
@@ -681,11 +803,13 @@ function renderCharacterPanel(desktopContainer, mobileContainer, player, isMyTur
     };
 
     const statsHTML = `
-        <h2 class="panel-header player-class-header">${player.name} - ${className}</h2>
+        <h2 class="panel-header player-class-header">${player.name} - ${className} (Lv ${player.level})</h2>
         <div class="panel-content">
             <div class="player-stats">
                  <div class="stat-line"><span class="material-symbols-outlined" style="color:var(--stat-color-hp)">favorite</span><span class="stat-label">Health</span><span class="stat-value">${stats.currentHp} / ${stats.maxHp}</span></div>
+                 <div class="stat-line"><span class="material-symbols-outlined" style="color:var(--stat-color-cha)">military_tech</span><span class="stat-label">Experience</span><span class="stat-value">${nextLevelXp === undefined ? `${player.xp} (Max)` : `${player.xp} / ${nextLevelXp}`}</span></div>
                  <div class="stat-line shield-hp-line ${stats.shieldHp > 0 ? '' : 'hidden'}"><span class="material-symbols-outlined" style="color:var(--stat-color-shield-hp)">shield</span><span class="stat-label">Shield</span><span class="stat-value">+${stats.shieldHp}</span></div>
+                 <div class="stat-line temp-hp-line ${stats.tempHp > 0 ? '' : 'hidden'}"><span class="material-symbols-outlined" style="color:var(--stat-color-shield-hp)">health_and_safety</span><span class="stat-label">Temp HP</span><span class="stat-value">+${stats.tempHp}</span></div>
                  ${renderStatLine('Action Points', 'bolt', 'ap', baseStats.ap || 0, statBonuses.ap || 0)}
                  ${renderStatLine('Damage Bonus', 'swords', 'damage', baseStats.damageBonus || 0, statBonuses.damageBonus || 0, true)}
                  ${renderStatLine('Shield Bonus', 'security', 'shield', baseStats.shieldBonus || 0, statBonuses.shieldBonus || 0, true)}
@@ -716,6 +840,156 @@ function renderCharacterPanel(desktopContainer, mobileContainer, player, isMyTur
     }
 }
 
+/**
+ * Renders the DM console for a player in the DM seat, in place of the character sheet.
+ * The narration box is built once and kept, so a state update doesn't wipe what the DM is typing;
+ * the controls below it are rebuilt each time, keeping whatever was picked in their dropdowns.
+ */
+function renderDmConsole(desktopContainer, mobileContainer, gameState, isMyTurn) {
+    const dmConsole = currentRoomState.dmConsole;
+    if (!dmConsole) return;
+
+    const container = isDesktop() ? desktopContainer : mobileContainer;
+    (isDesktop() ? mobileContainer : desktopContainer).innerHTML = '';
+    let panel = container.querySelector('.dm-console');
+    if (!panel) {
+        const consoleHTML = `
+            <h2 class="panel-header">Dungeon Master Console</h2>
+            <div class="panel-content dm-console">
+                <div class="dm-console-section">
+                    <textarea class="dm-narration-input" maxlength="500" rows="2" placeholder="Describe what the party sees..."></textarea>
+                    <button class="btn btn-secondary btn-sm" data-dm-action="narrate">Narrate</button>
+                </div>
+                <div class="dm-console-controls"></div>
+            </div>`;
+        container.innerHTML = isDesktop() ? consoleHTML : `<div class="panel mobile-panel">${consoleHTML}</div>`;
+        panel = container.querySelector('.dm-console');
+    }
+
+    const controls = panel.querySelector('.dm-console-controls');
+    const selections = {};
+    controls.querySelectorAll('select[name]').forEach(select => { selections[select.name] = select.value; });
+    controls.innerHTML = renderDmConsoleControls(dmConsole, gameState, isMyTurn);
+    controls.querySelectorAll('select[name]').forEach(select => {
+        if ([...select.options].some(option => option.value === selections[select.name])) select.value = selections[select.name];
+    });
+}
+
+function renderDmConsoleControls(dmConsole, gameState, isMyTurn) {
+    const { dmTurn, dmAssistant } = gameState;
+    const cardOptions = (cards, describe) => cards.map(card => `<option value="${card.id}">${card.name}${describe ? ` (${describe(card)})` : ''}</option>`).join('');
+    const pickAndGo = (name, cards, describe, button) => cards.length > 0
+        ? `<div class="dm-console-row"><select class="select-field" name="${name}">${cardOptions(cards, describe)}</select>${button}</div>`
+        : '';
+
+    let html = `
+        <div class="dm-console-section dm-console-row">
+            <button class="btn btn-secondary btn-sm" data-dm-action="toggleAssistant">AI Assistant: ${dmAssistant ? 'On' : 'Off'}</button>
+            <button class="btn btn-secondary btn-sm" data-dm-action="awardHope" data-amount="-1">-1 Hope</button>
+            <button class="btn btn-secondary btn-sm" data-dm-action="awardHope" data-amount="1">+1 Hope</button>
+        </div>`;
+
+    if (!isMyTurn || !dmTurn || dmTurn.ending) {
+        const waitText = isMyTurn ? 'The monsters are acting...' : 'Spawning, world events and monster actions are available on your turn.';
+        return `${html}<p class="dm-console-note">${waitText}</p>`;
+    }
+
+    // --- Spawning ---
+    const describeMonster = m => `HP ${m.maxHp}, +${m.attackBonus} ${m.dice}, ${m.ap} AP`;
+    html += `<div class="dm-console-section"><h3 class="dm-console-heading">Spawn a Monster</h3>`;
+    ['tier1', 'tier2', 'tier3'].forEach((tier, i) => {
+        html += pickAndGo(`dm-spawn-${tier}`, dmConsole.monsters[tier], describeMonster,
+            `<button class="btn btn-secondary btn-sm" data-dm-action="spawnMonster" data-tier="${tier}">Tier ${i + 1}</button>`);
+    });
+    if (!gameState.boss && dmConsole.bossCount > 0) {
+        html += `<button class="btn btn-special btn-sm" data-dm-action="spawnMonster" data-tier="boss">Summon the Boss</button>`;
+    }
+    html += `</div>`;
+
+    // --- World Events & Environment ---
+    const currentEvent = gameState.worldEvents.currentEvent;
+    html += `<div class="dm-console-section"><h3 class="dm-console-heading">World</h3>`;
+    html += currentEvent
+        ? `<div class="dm-console-row"><span>${currentEvent.name}</span><button class="btn btn-secondary btn-sm" data-dm-action="endWorldEvent">End Event</button></div>`
+        : pickAndGo('dm-world-event', dmConsole.worldEvents, e => `${e.duration} rounds`,
+            `<button class="btn btn-secondary btn-sm" data-dm-action="startWorldEvent">Start Event</button>`);
+    html += pickAndGo('dm-environment', dmConsole.environment, null,
+        `<button class="btn btn-secondary btn-sm" data-dm-action="placeEnvironment">Place</button>`);
+    html += `</div>`;
+
+    // --- Monsters ---
+    const targets = Object.values(currentRoomState.players).filter(p => p.role === 'Explorer' && !p.isDowned && !p.disconnected);
+    const targetOptions = targets.map(p => `<option value="${p.id}">${p.name} (HP ${p.stats.currentHp})</option>`).join('');
+    html += `<div class="dm-console-section"><h3 class="dm-console-heading">Monsters</h3>`;
+    gameState.board.monsters.forEach(monster => {
+        const entry = dmTurn.monsters[monster.id];
+        if (!entry) {
+            html += `<div class="dm-monster"><strong>${monster.name}</strong> <span class="dm-console-note">can't act this turn</span></div>`;
+            return;
+        }
+        const abilityButtons = (monster.abilities || []).map(ability => {
+            const apCost = ability.apCost || 1;
+            const unavailable = (monster.cooldowns[ability.name] || 0) > 0 || entry.used.includes(ability.name) || apCost > entry.apLeft;
+            return `<button class="btn btn-special btn-sm" data-dm-action="monsterAbility" data-monster-id="${monster.id}" data-ability-name="${ability.name}" ${unavailable ? 'disabled' : ''}>${ability.name} (${apCost} AP)</button>`;
+        }).join('');
+        html += `
+            <div class="dm-monster">
+                <div><strong>${monster.name}</strong> <span class="dm-console-note">${entry.apLeft} AP left</span></div>
+                <div class="dm-console-row">
+                    <select class="select-field" name="dm-target-${monster.id}">${targetOptions}</select>
+                    <button class="btn btn-primary btn-sm" data-dm-action="monsterAttack" data-monster-id="${monster.id}" ${entry.apLeft < 1 ? 'disabled' : ''}>Attack</button>
+                </div>
+                <div class="dm-console-row">${abilityButtons}</div>
+            </div>`;
+    });
+    if (gameState.board.monsters.length === 0) html += `<p class="dm-console-note">The board is empty.</p>`;
+    if (dmAssistant) html += `<p class="dm-console-note">Monsters you don't direct act on their own when you end your turn.</p>`;
+    html += `</div>`;
+    return html;
+}
+
+// Sends a DM console command, picking up whatever its row's dropdowns and the narration box hold.
+function handleDmConsoleAction(button) {
+    const { dmAction, tier, amount, monsterId, abilityName } = button.dataset;
+    const panel = button.closest('.dm-console');
+    const selected = name => panel.querySelector(`select[name="${name}"]`)?.value;
+    const payload = { action: dmAction };
+
+    switch (dmAction) {
+        case 'narrate': {
+            const input = panel.querySelector('.dm-narration-input');
+            payload.text = input.value.trim();
+            if (!payload.text) return;
+            input.value = '';
+            break;
+        }
+        case 'awardHope':
+            payload.amount = Number(amount);
+            break;
+        case 'spawnMonster':
+            payload.tier = tier;
+            if (tier !== 'boss') payload.cardId = selected(`dm-spawn-${tier}`);
+            break;
+        case 'startWorldEvent':
+            payload.cardId = selected('dm-world-event');
+            break;
+        case 'placeEnvironment':
+            payload.cardId = selected('dm-environment');
+            break;
+        case 'monsterAttack':
+        case 'monsterAbility':
+            Object.assign(payload, { monsterId, abilityName, targetId: selected(`dm-target-${monsterId}`) });
+            break;
+    }
+    socket.emit('dmAction', payload);
+}
+
+// The highest spell level a player can cast, from the level table sent with the static data.
+function getMaxSpellLevel(player) {
+    const unlocks = currentRoomState.staticData.levels.spellLevelUnlocks;
+    return unlocks[Math.min(player.level || 1, unlocks.length) - 1];
+}
+
 function renderHandAndEquipment(player, isMyTurn) {
     const handContainers = queryAll('[data-container="player-hand"]');
     const equippedContainers = queryAll('[data-container="equipped-items"]');
@@ -727,8 +1001,13 @@ function renderHandAndEquipment(player, isMyTurn) {
         const isEquippable = (card.type === 'Weapon' || card.type === 'Armor') && isMyTurn;
         // BUG FIX: Broaden the check for usable items to include more types.
         const isConsumable = (card.type === 'Consumable' || card.type === 'Potion' || card.type === 'Scroll') && card.apCost > 0 && isMyTurn;
-        const isCastable = card.type === 'Spell' && isMyTurn;
+        const isSpellLocked = card.type === 'Spell' && (card.level || 1) > getMaxSpellLevel(player);
+        const isCastable = card.type === 'Spell' && isMyTurn && !isSpellLocked;
         const cardEl = createCardElement(card, { isEquippable, isConsumable, isCastable, isDiscardable: isMyTurn });
+        if (isSpellLocked) {
+            cardEl.classList.add('spell-locked');
+            cardEl.title = `Unlocks at level ${currentRoomState.staticData.levels.spellLevelUnlocks.indexOf(card.level) + 1}`;
+        }
         
         // Add selection class for mobile UI
         if (card.id === clientState.selectedHandCardId) {
@@ -845,6 +1124,7 @@ function initializeUI() {
             btn.classList.add('active');
             clientState.selectedGameMode = btn.dataset.mode;
             get('custom-settings').classList.toggle('hidden', clientState.selectedGameMode !== 'Custom');
+            get('campaign-settings').classList.toggle('hidden', clientState.selectedGameMode !== 'Campaign');
             validateMenu();
         });
     });
@@ -859,9 +1139,21 @@ function initializeUI() {
                 startingItems: parseInt(get('setting-items').value, 10),
                 startingSpells: parseInt(get('setting-spells').value, 10),
                 lootDropRate: parseInt(get('setting-loot-rate').value, 10),
-                discoveryRolls: get('setting-discovery-rolls').checked
+                discoveryRolls: get('setting-discovery-rolls').checked,
+                permadeath: get('setting-permadeath').checked,
+                pacing: get('setting-pacing').value,
+                npcProfile: get('setting-npc-profile').value,
+                seed: get('setting-seed').value.trim() || null
             };
         }
+        if (clientState.selectedGameMode === 'Campaign') {
+            const saveId = get('setting-campaign-save').value.trim().toUpperCase();
+            if (saveId) {
+                socket.emit('resumeCampaign', { playerName: myPlayerName, saveId });
+                return;
+            }
+            payload.campaignId = get('setting-campaign').value;
+        }
         socket.emit('createRoom', payload);
     });
 
@@ -1000,11 +1292,27 @@ function initializeGameUIListeners() {
         if (target.id === 'use-ability-btn') {
             const playerClass = currentRoomState.players[myId]?.class;
             if (playerClass) {
-                const abilityName = currentRoomState.staticData.classes[playerClass].ability.name;
-                socket.emit('playerAction', { action: 'useAbility', abilityName });
+                const ability = currentRoomState.staticData.classes[playerClass].ability;
+                if (ability.target === 'any-player') {
+                    showTargetSelectionModal({
+                        title: `Use ${ability.name} on...`,
+                        prompt: 'Select a player to target.',
+                        targets: Object.values(currentRoomState.players).filter(p => p.role === 'Explorer' && !p.isDead),
+                        onSelect: (selectedPlayer) => socket.emit('playerAction', { action: 'useAbility', abilityName: ability.name, targetId: selectedPlayer.id }),
+                        onCancel: () => {}
+                    });
+                } else {
+                    socket.emit('playerAction', { action: 'useAbility', abilityName: ability.name });
+                }
             }
             return;
         }
+        // DM console buttons
+        const dmButton = target.closest('[data-dm-action]');
+        if (dmButton) {
+            handleDmConsoleAction(dmButton);
+            return;
+        }
         // Start game button
         if (target.id === 'character-sheet-start-game-btn' || target.closest('[data-container="start-game-btn"]')) {
             socket.emit('startGame');
@@ -1024,6 +1332,7 @@ function initializeGameUIListeners() {
             else if (action.includes('guard-btn')) socket.emit('playerAction', { action: 'guard' });
             else if (action.includes('brief-respite-btn')) socket.emit('playerAction', { action: 'respite' });
             else if (action.includes('full-rest-btn')) socket.emit('playerAction', { action: 'rest' });
+            else if (action.includes('stabilize-btn')) showStabilizeModal();
             else if (action.includes('skill-challenge-btn')) {
                 const challenge = currentRoomState.gameState.skillChallenge.details;
                 if (challenge) {
@@ -1034,6 +1343,12 @@ function initializeGameUIListeners() {
         }
     });
 
+    document.body.addEventListener('change', (e) => {
+        if (e.target.classList.contains('dm-seat-select')) {
+            socket.emit('assignDm', { playerId: e.target.value });
+        }
+    });
+
     ['chat-form', 'mobile-chat-form'].forEach(id => {
         const form = get(id);
         form.addEventListener('submit', (e) => {
@@ -1140,6 +1455,8 @@ function initializeGameUIListeners() {
     });
      
     get('game-over-leave-btn').addEventListener('click', leaveGameAction);
+    get('chapter-complete-leave-btn').addEventListener('click', leaveGameAction);
+    get('next-chapter-btn').addEventListener('click', () => socket.emit('startNextChapter'));
      
     get('discovery-confirm-btn').addEventListener('click', () => {
         if (!clientState.activeItem || !clientState.activeItem.keptItemId) return;
@@ -1217,25 +1534,57 @@ function showYourTurnPopup() {
     setTimeout(() => popup.classList.add('hidden'), 2500);
 }
 
-function showTargetSelectionModal({ title, prompt, targets, onSelect, onCancel }) {
+/**
+ * Shows a list of targets to pick from. With `maxTargets` above 1 the buttons toggle instead, and the
+ * confirm button sends the picks once at least `minTargets` are chosen; `onSelect` then gets an array.
+ */
+function showTargetSelectionModal({ title, prompt, targets, onSelect, onCancel, minTargets = 1, maxTargets = 1 }) {
     const modal = get('target-selection-modal');
     const targetList = get('target-selection-list');
+    const isMulti = maxTargets > 1;
+    const selected = [];
     
     get('target-selection-title').textContent = title;
     get('target-selection-prompt').textContent = prompt;
     targetList.innerHTML = '';
 
+    const confirmBtn = get('target-selection-confirm-btn');
+    const newConfirmBtn = confirmBtn.cloneNode(true);
+    confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+    newConfirmBtn.classList.toggle('hidden', !isMulti);
+    const updateConfirm = () => {
+        newConfirmBtn.disabled = selected.length < minTargets;
+        newConfirmBtn.textContent = `Confirm (${selected.length}/${maxTargets})`;
+    };
+
     targets.forEach(target => {
         const btn = document.createElement('button');
         btn.className = 'btn btn-secondary';
         btn.textContent = target.name;
         btn.onclick = () => {
-            onSelect(target);
-            modal.classList.add('hidden');
+            if (!isMulti) {
+                onSelect(target);
+                modal.classList.add('hidden');
+                return;
+            }
+            const index = selected.indexOf(target);
+            if (index !== -1) selected.splice(index, 1);
+            else if (selected.length < maxTargets) selected.push(target);
+            btn.classList.toggle('selected-target', selected.includes(target));
+            updateConfirm();
         };
         targetList.appendChild(btn);
     });
 
+    if (isMulti) {
+        updateConfirm();
+        newConfirmBtn.onclick = () => {
+            if (selected.length < minTargets) return;
+            onSelect([...selected]);
+            modal.classList.add('hidden');
+        };
+    }
+
     const cancelBtn = get('target-selection-cancel-btn');
     const newCancelBtn = cancelBtn.cloneNode(true);
     cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
@@ -1270,6 +1619,85 @@ function showGameOverModal(winner) {
     get('game-over-modal').classList.remove('hidden');
 }
 
+function showChapterCompleteModal(room) {
+    const { campaign } = room;
+    const isHost = room.hostId === myId;
+    get('chapter-complete-title').textContent = `Chapter Complete: ${campaign.chapter?.name || ''}`;
+    get('chapter-complete-message').textContent = `${campaign.name}: chapter ${campaign.chapterIndex + 1} of ${campaign.chapterCount} awaits. `
+        + `Save code: ${campaign.saveId}. `
+        + (isHost ? 'Begin when your party is ready.' : 'Waiting for the host to begin the next chapter...');
+    get('next-chapter-btn').classList.toggle('hidden', !isHost);
+}
+
+// Everyone sees a party event at once. Explorers still in the fight vote or roll; the rest watch the answers come in.
+function showPartyEventModal(room) {
+    const { card, responses } = room.gameState.currentPartyEvent;
+    const myPlayer = room.players[myId];
+    const canRespond = myPlayer?.role === 'Explorer' && !myPlayer.isDowned && !responses[myPlayer.playerId];
+
+    get('party-event-title').textContent = `Party Event: ${card.name}`;
+    get('party-event-description').textContent = card.groupRoll
+        ? `${card.description} Everyone makes a DC ${card.groupRoll.dc} ${card.groupRoll.skill.toUpperCase()} check. The party succeeds if at least half pass.`
+        : `${card.description} The party votes on what to do.`;
+
+    const options = get('party-event-options');
+    options.innerHTML = '';
+    if (canRespond && card.groupRoll) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-primary';
+        btn.textContent = `Roll ${card.groupRoll.skill.toUpperCase()}`;
+        btn.onclick = () => socket.emit('playerAction', { action: 'resolvePartyEventCheck' });
+        options.appendChild(btn);
+    } else if (canRespond) {
+        card.choices.forEach((choice, index) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary';
+            btn.textContent = choice.label;
+            btn.onclick = () => socket.emit('playerAction', { action: 'resolvePartyEventChoice', choiceIndex: index });
+            options.appendChild(btn);
+        });
+    }
+
+    const responseList = get('party-event-responses');
+    responseList.innerHTML = '';
+    Object.values(responses).forEach(response => {
+        const li = document.createElement('li');
+        li.textContent = card.groupRoll
+            ? `${response.name}: ${response.total} - ${response.outcome}`
+            : `${response.name} votes: ${card.choices[response.choiceIndex].label}`;
+        responseList.appendChild(li);
+    });
+    if (!canRespond) {
+        const li = document.createElement('li');
+        li.className = 'waiting-text';
+        li.textContent = 'Waiting for the rest of the party...';
+        responseList.appendChild(li);
+    }
+}
+
+// e.g. "[DYING 1/2]" for a downed explorer with one death save success and two failures.
+function describeDownedState(player) {
+    if (player.isDead) return '[DEAD]';
+    if (player.isStable) return '[DOWNED]';
+    const { successes = 0, failures = 0 } = player.deathSaves || {};
+    return `[DYING ${successes}/${failures}]`;
+}
+
+function showStabilizeModal() {
+    const dying = Object.values(currentRoomState.players).filter(p => p.role === 'Explorer' && p.id !== myId && p.isDowned && !p.isStable && !p.isDead);
+    if (dying.length === 0) {
+        showToast('No one needs stabilizing.', 'info');
+        return;
+    }
+    showTargetSelectionModal({
+        title: 'Stabilize',
+        prompt: 'Make a WIS check to stop an ally from dying.',
+        targets: dying,
+        onSelect: (selectedPlayer) => socket.emit('playerAction', { action: 'stabilize', targetId: selectedPlayer.id }),
+        onCancel: () => {}
+    });
+}
+
 function showClaimLootModal(item) {
     clientState.activeItem = item;
     const explorers = Object.values(currentRoomState.players).filter(p => p.role === 'Explorer');
@@ -1334,8 +1762,18 @@ function handleUseConsumable(card) {
     const effect = card.effect;
     clientState.activeItem = card;
 
+    // A scroll targets whatever the spell it casts would target.
+    if (effect.type === 'spell') {
+        const spell = currentRoomState.staticData.spells[effect.spellName];
+        if (spell) {
+            promptSpellTargets(spell, { action: 'useConsumable', cardId: card.id });
+            return;
+        }
+    }
+
     if (effect.target === 'any-player') {
-        const explorers = Object.values(currentRoomState.players).filter(p => p.role === 'Explorer' && !p.isDowned);
+        // Healing can revive a downed explorer; other items only help those still standing.
+        const explorers = Object.values(currentRoomState.players).filter(p => p.role === 'Explorer' && !p.isDead && (!p.isDowned || effect.type === 'heal'));
         showTargetSelectionModal({
             title: `Use ${card.name} on...`,
             prompt: 'Select a player to target.',
@@ -1374,49 +1812,57 @@ function handleUseConsumable(card) {
 }
 
 function handleCastSpell(card) {
-    const effect = card.effect;
     clientState.activeItem = card;
+    promptSpellTargets(card, { action: 'castSpell', cardId: card.id });
+}
 
-    const basePayload = { action: 'castSpell', cardId: clientState.activeItem.id };
+/**
+ * Asks for the targets a spell needs, then sends the action.
+ * @param {object} spell The spell being cast (for a scroll, the spell it names).
+ * @param {object} basePayload The action to send, e.g. `{ action: 'castSpell', cardId }`.
+ */
+function promptSpellTargets(spell, basePayload) {
+    const effect = spell.effect;
+    const rule = currentRoomState.staticData.spellTargeting[effect.target];
 
-    if (!effect.target || ['self', 'aoe', 'party'].includes(effect.target) || effect.type === 'utility') {
+    if (!rule || effect.type === 'utility') {
         socket.emit('playerAction', basePayload);
         clientState.activeItem = null;
-    } else if (effect.target === 'any-player') {
-        const explorers = Object.values(currentRoomState.players).filter(p => p.role === 'Explorer');
-        showTargetSelectionModal({
-            title: `Cast ${card.name} on...`,
-            prompt: 'Select a player to target.',
-            targets: explorers,
-            onSelect: (selectedPlayer) => {
-                socket.emit('playerAction', { ...basePayload, targetId: selectedPlayer.id });
-                clientState.activeItem = null;
-            },
-            onCancel: () => { clientState.activeItem = null; }
-        });
-    } else if (effect.target === 'any-monster' || effect.target === 'multi-monster') {
-        const monsters = currentRoomState.gameState.board.monsters;
-        if (monsters.length > 0) {
-             showTargetSelectionModal({
-                title: `Cast ${card.name} on...`,
-                prompt: 'Select a monster to target.',
-                targets: monsters,
-                onSelect: (selectedMonster) => {
-                    socket.emit('playerAction', { ...basePayload, targetId: selectedMonster.id });
-                    clientState.activeItem = null;
-                },
-                onCancel: () => { clientState.activeItem = null; }
-            });
-        } else {
-            showToast('No monsters to target!', 'error');
-            clientState.activeItem = null;
-        }
+        return;
+    }
+
+    const minTargets = effect.minTargets ?? rule.min;
+    const maxTargets = effect.maxTargets ?? rule.max;
+    const targets = [
+        ...(rule.kinds.includes('player') ? Object.values(currentRoomState.players).filter(p => p.role === 'Explorer') : []),
+        ...(rule.kinds.includes('monster') ? currentRoomState.gameState.board.monsters : []),
+    ];
+    if (targets.length < minTargets) {
+        showToast(`Not enough targets for ${spell.name}!`, 'error');
+        clientState.activeItem = null;
+        return;
     }
+
+    const kindText = rule.kinds.join(' or ');
+    showTargetSelectionModal({
+        title: `Cast ${spell.name} on...`,
+        prompt: maxTargets > 1 ? `Select ${minTargets === maxTargets ? maxTargets : `${minTargets} to ${maxTargets}`} targets (${kindText}).` : `Select a ${kindText} to target.`,
+        targets,
+        minTargets,
+        maxTargets,
+        onSelect: (selection) => {
+            const chosen = Array.isArray(selection) ? selection : [selection];
+            socket.emit('playerAction', { ...basePayload, targetIds: chosen.map(t => t.id) });
+            clientState.activeItem = null;
+        },
+        onCancel: () => { clientState.activeItem = null; }
+    });
 }
 
 function showCardInspectorModal(cardId) {
     const allCards = [
-        ...Object.values(currentRoomState.players).flatMap(p => [...p.hand, ...Object.values(p.equipment)]),
+        // Other players' hands are hidden by the server; only their card counts are sent.
+        ...Object.values(currentRoomState.players).flatMap(p => [...(p.hand || []), ...Object.values(p.equipment)]),
         ...currentRoomState.gameState.board.monsters,
         ...currentRoomState.gameState.board.environment,
         ...currentRoomState.gameState.lootPool,
@@ -1590,13 +2036,13 @@ const helpContent = [
 ];
 
 // --- 5. DICE ROLLING LOGIC ---
-function showDiceRollModal({ title, description, dice, bonus, targetAC, hasAdvantage, relevantItemName, onConfirm }) {
+function showDiceRollModal({ title, description, dice, bonus, targetAC, rollMode, rollSources, onConfirm }) {
     if(clientState.rollResponseTimeout) clearTimeout(clientState.rollResponseTimeout);
 
-    clientState.currentRollData = { dice, bonus, targetAC, onConfirm, hasAdvantage, relevantItemName };
+    clientState.currentRollData = { dice, bonus, targetAC, onConfirm, rollMode, rollSources };
 
     get('dice-roll-title').textContent = title;
-    get('dice-roll-description').textContent = description || '';
+    get('dice-roll-description').textContent = [description, describeRollMode(rollMode, rollSources)].filter(Boolean).join(' ');
     
     get('dice-roll-result-container').classList.add('hidden');
     get('dice-roll-damage-line').textContent = ''; // Clear previous damage line
@@ -1609,7 +2055,8 @@ function showDiceRollModal({ title, description, dice, bonus, targetAC, hasAdvan
     get('dice-roll-close-btn').classList.add('hidden');
     
     const diceDisplay = get('dice-display-container');
-    const sides = dice.split('d')[1];
+    // Show the first die size in the expression, e.g. "d6" for "2d6+1d4+3".
+    const sides = (dice.match(/d(\d+|%)/) || [])[1] || '20';
     diceDisplay.innerHTML = `
         <svg class="die-svg" viewBox="0 0 100 100">
             <rect class="die-shape" x="10" y="10" width="80" height="80" rx="10"/>
@@ -1627,6 +2074,14 @@ function showDiceRollModal({ title, description, dice, bonus, targetAC, hasAdvan
     }, 10000); // 10 seconds
 }
 
+// The server decides advantage and disadvantage; this just explains it, e.g. "Rolling with advantage (Vulnerable)."
+function describeRollMode(rollMode, rollSources = []) {
+    if (!rollSources.length) return '';
+    const names = [...new Set(rollSources.map(s => s.name || s))].join(', ');
+    if (rollMode === 'normal') return `Advantage and disadvantage cancel out (${names}).`;
+    return `Rolling with ${rollMode} (${names}).`;
+}
+
 function handleDiceRoll() {
     if(clientState.rollResponseTimeout) clearTimeout(clientState.rollResponseTimeout);
     
@@ -1664,7 +2119,9 @@ function displayDiceRollResult(payload) {
     
     resultLine.textContent = payload.outcome;
     resultLine.className = `result-line ${payload.outcome.toLowerCase()}`;
-    resultDetails.textContent = `(Roll: ${payload.roll} + Bonus: ${payload.bonus} = ${payload.total} vs Target: ${payload.targetAC})`;
+    const rollText = payload.faces && payload.faces.length > 1 ? payload.breakdown : payload.roll;
+    const modeText = payload.rollMode && payload.rollMode !== 'normal' ? ` with ${payload.rollMode}` : '';
+    resultDetails.textContent = `(Roll${modeText}: ${rollText} + Bonus: ${payload.bonus} = ${payload.total} vs Target: ${payload.targetAC})`;
     
     get('dice-roll-damage-line').textContent = ''; // Clear the old damage line
     resultContainer.classList.remove('hidden');
@@ -1695,7 +2152,11 @@ function displayDamageResult(payload) {
     
     resultLine.textContent = `Dealt ${payload.totalDamage} Damage!`;
     resultLine.className = `result-line damage`;
-    resultDetails.textContent = `(Roll: ${payload.damageRoll} + Bonus: ${payload.damageBonus} = ${payload.totalDamage})${payload.wasDefeated ? ' - Target Defeated!' : ''}`;
+    const rollText = payload.damageBreakdown || payload.damageRoll;
+    const multiplierText = payload.damageMultiplier !== undefined && payload.damageMultiplier !== 1
+        ? ` x${payload.damageMultiplier} ${payload.damageType}`
+        : '';
+    resultDetails.textContent = `(Roll: ${rollText} + Bonus: ${payload.damageBonus}${multiplierText} = ${payload.totalDamage})${payload.wasDefeated ? ' - Target Defeated!' : ''}`;
     
     get('dice-roll-damage-line').textContent = ''; 
 
@@ -1713,11 +2174,40 @@ function displayDamageResult(payload) {
 // --- 6. SOCKET.IO EVENT HANDLERS ---
 socket.on('connect', () => {
     console.log('Connected to server with ID:', socket.id);
+    stateHistory.clear(); // A new connection always starts with a full state.
+    // After a dropped connection or a server restart we get a new socket ID, so reclaim our seat.
+    const storedRoomId = sessionStorage.getItem('qc_roomId');
+    const storedPlayerId = sessionStorage.getItem('qc_playerId');
+    if (currentRoomState.id && storedRoomId && storedPlayerId) {
+        socket.emit('rejoinRoom', { roomId: storedRoomId, playerId: storedPlayerId });
+    }
 });
 
-socket.on('gameStateUpdate', (newState) => {
-    currentRoomState = newState;
-    renderUI();
+// A full state replaces everything we had; patches build on a revision we have acknowledged.
+socket.on('gameStateUpdate', (newState, revision) => {
+    stateHistory.clear();
+    acceptState(revision, newState);
+});
+
+socket.on('gameStatePatch', ({ baseRevision, revision, ops }) => {
+    const base = stateHistory.get(baseRevision);
+    if (!base) {
+        socket.emit('requestStateResync');
+        return;
+    }
+    let nextState;
+    try {
+        nextState = applyStatePatch(structuredClone(base), ops);
+    } catch (error) {
+        console.error('Could not apply state patch, requesting a full resync.', error);
+        socket.emit('requestStateResync');
+        return;
+    }
+    // The server never patches against anything older than this base again.
+    for (const knownRevision of stateHistory.keys()) {
+        if (knownRevision < baseRevision) stateHistory.delete(knownRevision);
+    }
+    acceptState(revision, nextState);
 });
 
 socket.on('playerIdentity', ({ playerId, roomId }) => {
@@ -1766,6 +2256,8 @@ socket.on('promptAttackRoll', (data) => {
         dice: data.dice,
         bonus: data.bonus,
         targetAC: data.targetAC,
+        rollMode: data.rollMode,
+        rollSources: data.rollSources,
         onConfirm: () => socket.emit('playerAction', {
             action: 'resolveAttackRoll',
             weaponId: data.weaponId,
@@ -1774,6 +2266,19 @@ socket.on('promptAttackRoll', (data) => {
     });
 });
 
+socket.on('promptPartyEventRoll', (data) => {
+    showDiceRollModal({
+        title: data.title,
+        description: data.description,
+        dice: data.dice,
+        bonus: data.bonus,
+        targetAC: data.targetAC,
+        rollMode: data.rollMode,
+        rollSources: data.rollSources,
+        onConfirm: () => socket.emit('playerAction', { action: 'resolvePartyEventRoll' })
+    });
+});
+
 socket.on('promptDiscoveryRoll', (data) => {
      showDiceRollModal({
         title: data.title,
@@ -1800,12 +2305,10 @@ socket.on('promptSkillCheckRoll', (data) => {
         dice: data.dice,
         bonus: data.bonus,
         targetAC: data.targetAC,
-        hasAdvantage: data.hasAdvantage,
-        relevantItemName: data.relevantItemName,
+        rollMode: data.rollMode,
+        rollSources: data.rollSources,
         onConfirm: () => socket.emit('playerAction', {
             action: 'resolveSkillCheckRoll',
-            hasAdvantage: data.hasAdvantage,
-            relevantItemName: data.relevantItemName,
             interactionData: data.interactionData
         })
     });
@@ -1850,6 +2353,13 @@ socket.on('skillCheckResolved', (payload) => {
     }
 });
 
+// Saves are rolled by the server on the creature's behalf, so everyone just sees the result.
+socket.on('savingThrowResolved', (payload) => {
+    const text = `${payload.rollerName}'s ${payload.stat.toUpperCase()} save vs ${payload.source}: ${payload.roll} + ${payload.bonus} = ${payload.total} (DC ${payload.targetAC}) - ${payload.outcome}!`;
+    const isMine = payload.rollerId === myId;
+    showToast(text, isMine ? (payload.outcome === 'Success' ? 'success' : 'error') : 'info');
+});
+
 socket.on('diceRollError', () => {
     showToast("There was an error processing your roll. Please try again.", "error");
     if(!get('dice-roll-modal').classList.contains('hidden')){
@@ -0,0 +1,65 @@
+// This file defines the seedable pseudo-random number generator used by the server (`server.js`).
+// Each room owns one stream, stored as plain data (`room.rng`) so it survives being copied or saved.
+// The same seed plus the same sequence of player actions reproduces a game exactly.
+
+// --- INDEX ---
+// 1. SEED HANDLING
+// 2. RANDOM STREAM
+// 3. MODULE EXPORTS
+
+// --- 1. SEED HANDLING ---
+/**
+ * Generates a short, human-friendly seed for rooms created without one.
+ * @returns {string}
+ */
+function generateSeed() {
+    return Math.random().toString(36).substr(2, 8).toUpperCase();
+}
+
+/**
+ * Hashes any seed string into a 32-bit starting state (xmur3).
+ * @param {string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+    let h = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+}
+
+// --- 2. RANDOM STREAM ---
+/**
+ * Creates the serializable state for a new random stream.
+ * @param {string|number} [seed] The seed to use. A random one is generated if omitted or blank.
+ * @returns {{seed: string, state: number}}
+ */
+function createRngState(seed) {
+    const normalizedSeed = (seed === undefined || seed === null || String(seed).trim() === '')
+        ? generateSeed()
+        : String(seed).trim();
+    return { seed: normalizedSeed, state: hashSeed(normalizedSeed) };
+}
+
+/**
+ * Advances a stream and returns the next float in [0, 1) (mulberry32).
+ * @param {{state: number}} rngState The stream to advance. Mutated in place.
+ * @returns {number}
+ */
+function nextRandom(rngState) {
+    rngState.state = (rngState.state + 0x6D2B79F5) >>> 0;
+    let t = rngState.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// --- 3. MODULE EXPORTS ---
+module.exports = {
+    createRngState,
+    nextRandom
+};
@@ -0,0 +1,98 @@
+// This file defines the advantage/disadvantage pipeline used by the server (`server.js`) for every d20 roll:
+// attack rolls (by explorers and monsters), skill checks and saving throws. It gathers the sources that apply to a
+// roll (statuses on the roller and its target, the roller's gear or monster traits, and the current world event; see
+// `rollModifiers` in `game-data.js`) and works out whether the roll is made with advantage, disadvantage or neither, plus any flat bonus.
+// It only reads state; rolling the dice and using up one-shot sources is up to the server.
+
+// --- INDEX ---
+// 1. SOURCE COLLECTION
+// 2. RESOLUTION
+// 3. MODULE EXPORTS
+
+const { statusEffectDefinitions } = require('./game-data');
+
+// --- 1. SOURCE COLLECTION ---
+// Whether a single modifier applies to the roll being made.
+function appliesTo(modifier, { roll, stat, ranged }) {
+    if (!modifier.rolls.includes(roll)) return false;
+    if (modifier.stat && modifier.stat !== stat) return false;
+    if (modifier.ranged && !ranged) return false;
+    return true;
+}
+
+/**
+ * Collects every advantage and disadvantage source that applies to a d20 roll.
+ * @param {object} context
+ * @param {string} context.roll 'attack', 'check' or 'save'.
+ * @param {object} context.roller The player or monster making the roll.
+ * @param {object} [context.target] The creature being attacked.
+ * @param {string} [context.stat] The ability a check or save uses.
+ * @param {boolean} [context.ranged] Whether an attack is made with a ranged weapon.
+ * @param {object} [context.worldEvents] The room's `gameState.worldEvents`. Its event only affects explorers.
+ * @param {object[]} [context.traits] The roller's monster traits whose condition holds, e.g. Pack Tactics with allies nearby.
+ * @returns {{name: string, mode?: string, bonus: number, oneShot: boolean, kind: string, holder?: object, status?: object}[]}
+ *   `kind` is 'status' (`holder` carries `status`), 'item', 'trait' or 'event'. Sources without a `mode` only add a `bonus`.
+ */
+function collectRollModifiers(context) {
+    const { roll, roller, target, stat, worldEvents, traits } = context;
+    const sources = [];
+    const addSources = (modifiers, details) => {
+        (modifiers || []).filter(m => appliesTo(m, context)).forEach(m => {
+            sources.push({ ...details, mode: m.mode, bonus: m.bonus || 0, oneShot: !!m.oneShot });
+        });
+    };
+
+    // Statuses: the roller's own, and those on the target that affect attacks against it.
+    [[roller, false], [target, true]].forEach(([creature, isTarget]) => {
+        (creature?.statusEffects || []).forEach(status => {
+            const modifiers = statusEffectDefinitions[status.name]?.rollModifiers || status.rollModifiers;
+            addSources((modifiers || []).filter(m => !!m.against === isTarget), { name: status.name, kind: 'status', holder: creature, status });
+        });
+    });
+
+    (traits || []).forEach(trait => addSources(trait.rollModifiers, { name: trait.name, kind: 'trait' }));
+
+    if (roller.equipment) {
+        Object.values(roller.equipment).forEach(item => {
+            if (item) addSources(item.effect?.rollModifiers, { name: item.name, kind: 'item' });
+        });
+        // Utility cards in hand help with checks of their `relevantSkill`, e.g. Climbing Hook with STR.
+        const tool = roll === 'check' && (roller.hand || []).find(card => card.relevantSkill && card.relevantSkill === stat);
+        if (tool) sources.push({ name: tool.name, kind: 'item', mode: 'advantage', bonus: 0, oneShot: false });
+
+        const event = worldEvents?.currentEvent;
+        if (event && !(worldEvents.spentBy || []).includes(roller.playerId)) {
+            addSources(event.rollModifiers, { name: event.name, kind: 'event' });
+        }
+    }
+    return sources;
+}
+
+// --- 2. RESOLUTION ---
+/**
+ * Works out how a roll is made. Any advantage and any disadvantage cancel out, however many of each there are.
+ * @param {{mode: string}[]} sources From `collectRollModifiers`.
+ * @returns {string} 'advantage', 'disadvantage' or 'normal'.
+ */
+function resolveRollMode(sources) {
+    const hasAdvantage = sources.some(s => s.mode === 'advantage');
+    const hasDisadvantage = sources.some(s => s.mode === 'disadvantage');
+    if (hasAdvantage === hasDisadvantage) return 'normal';
+    return hasAdvantage ? 'advantage' : 'disadvantage';
+}
+
+// The flat bonus all sources add to the roll.
+function getRollBonus(sources) {
+    return sources.reduce((sum, s) => sum + s.bonus, 0);
+}
+
+// The dice expression for a d20 roll made in each mode.
+const D20_BY_MODE = { advantage: '2d20kh1', disadvantage: '2d20kl1', normal: '1d20' };
+
+// --- 3. MODULE EXPORTS ---
+module.exports = {
+    collectRollModifiers,
+    resolveRollMode,
+    getRollBonus,
+    D20_BY_MODE
+};
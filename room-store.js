@@ -0,0 +1,125 @@
+// This file defines the persistence layer used by the server (`server.js`) to keep rooms alive across restarts.
+// A store receives a JSON snapshot of a room after every state change and hands all saved rooms back on boot.
+// Stores are interchangeable: any object with `loadAll()`, `save(roomId, data)` and `remove(roomId)` will do.
+
+// --- INDEX ---
+// 1. FILE STORE (default)
+// 2. MEMORY STORE
+// 3. STORE FACTORY
+// 4. MODULE EXPORTS
+
+const fs = require('fs');
+const path = require('path');
+
+// Room IDs become file names, so only allow the characters `generateRoomId` produces.
+const SAFE_ROOM_ID = /^[A-Za-z0-9_-]+$/;
+
+// --- 1. FILE STORE (default) ---
+/**
+ * Stores each room as `<roomId>.json` in a directory.
+ * Writes are atomic (write to a temp file, then rename) and coalesced per room, so a burst of
+ * state changes only ever results in the latest snapshot being written.
+ */
+class FileRoomStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.pending = new Map(); // roomId -> latest snapshot string, or null for a pending delete
+        this.writing = new Set(); // roomIds with a write loop in progress
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    _fileFor(roomId) {
+        return path.join(this.directory, `${roomId}.json`);
+    }
+
+    /**
+     * Reads every saved room. Called once at boot, so it is synchronous.
+     * Unreadable files are logged and skipped rather than preventing the server from starting.
+     * @returns {object[]} The parsed room snapshots.
+     */
+    loadAll() {
+        const rooms = [];
+        for (const file of fs.readdirSync(this.directory)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                rooms.push(JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')));
+            } catch (error) {
+                console.error(`[ROOM STORE] Could not read saved room '${file}'. Skipping it.`, error.message);
+            }
+        }
+        return rooms;
+    }
+
+    save(roomId, data) {
+        if (!SAFE_ROOM_ID.test(roomId)) return;
+        this.pending.set(roomId, data);
+        if (!this.writing.has(roomId)) this._flush(roomId);
+    }
+
+    remove(roomId) {
+        if (!SAFE_ROOM_ID.test(roomId)) return;
+        this.pending.set(roomId, null);
+        if (!this.writing.has(roomId)) this._flush(roomId);
+    }
+
+    async _flush(roomId) {
+        this.writing.add(roomId);
+        const file = this._fileFor(roomId);
+        try {
+            while (this.pending.has(roomId)) {
+                const data = this.pending.get(roomId);
+                this.pending.delete(roomId);
+                if (data === null) {
+                    await fs.promises.rm(file, { force: true });
+                } else {
+                    const tempFile = `${file}.tmp`;
+                    await fs.promises.writeFile(tempFile, data);
+                    await fs.promises.rename(tempFile, file);
+                }
+            }
+        } catch (error) {
+            console.error(`[ROOM STORE] Failed to persist room ${roomId}.`, error.message);
+        } finally {
+            this.writing.delete(roomId);
+        }
+    }
+}
+
+// --- 2. MEMORY STORE ---
+/**
+ * Keeps snapshots in memory only. Useful for development, or hosts without a writable disk.
+ */
+class MemoryRoomStore {
+    constructor() {
+        this.snapshots = new Map();
+    }
+
+    loadAll() {
+        return [...this.snapshots.values()].map(data => JSON.parse(data));
+    }
+
+    save(roomId, data) {
+        this.snapshots.set(roomId, data);
+    }
+
+    remove(roomId) {
+        this.snapshots.delete(roomId);
+    }
+}
+
+// --- 3. STORE FACTORY ---
+/**
+ * Creates the room store selected by configuration.
+ * @param {{type?: string, directory?: string}} options `type` is 'file' (default) or 'memory'.
+ */
+function createRoomStore({ type = 'file', directory } = {}) {
+    if (type === 'memory') return new MemoryRoomStore();
+    return new FileRoomStore(directory || path.join(__dirname, 'data', 'rooms'));
+}
+
+// --- 4. MODULE EXPORTS ---
+module.exports = {
+    FileRoomStore,
+    MemoryRoomStore,
+    createRoomStore
+};
@@ -16,6 +16,9 @@
 //    - 3.8. Loot & Item Generation
 //    - 3.9. Event & Challenge Handling
 //    - 3.10. Chat & Disconnect Logic
+//    - 3.11. Status Effect Engine
+//    - 3.12. Campaigns (Chapters & Save Points)
+//    - 3.13. Dungeon Master Console
 // 4. SOCKET.IO CONNECTION HANDLING
 
 // --- 1. SERVER SETUP ---
@@ -24,6 +27,16 @@ const http = require('http');
 const { Server } = require("socket.io");
 const path = require('path');
 const gameData = require('./game-data'); // Import card and class data
+const dice = require('./dice'); // Dice-notation engine for every roll
+const rng = require('./rng'); // Seedable per-room random streams
+const { createRoomStore } = require('./room-store'); // Room persistence across restarts
+const { buildPlayerView } = require('./state-view'); // Per-player redacted state
+const { StateStream } = require('./state-sync'); // Versioned patch-based state sync
+const { planEncounter, isBossDue } = require('./encounter-director'); // Decides what the DM spawns each round
+const { collectRollModifiers, resolveRollMode, getRollBonus, D20_BY_MODE } = require('./roll-modifiers'); // Advantage & disadvantage on d20 rolls
+const { addAggro, decayAggro, chooseMonsterTarget } = require('./monster-targeting'); // Decides who each monster attacks
+const { planNpcAction } = require('./npc-planner'); // Decides what NPC explorers do on their turn
+const { ATTACK_AP_COST, getMonsterAp, getAbilityBlocker, chooseMonsterAction } = require('./monster-actions'); // Decides how each monster spends its AP
 
 const app = express();
 const server = http.createServer(app);
@@ -43,16 +56,29 @@ const cardDataMap = allCards.reduce((map, card) => {
     map[card.name] = card;
     return map;
 }, {});
+const spellsByName = Object.fromEntries(gameData.spellCards.map(card => [card.name, card]));
 
 // --- 2. HELPER FUNCTIONS ---
-function shuffle(array) {
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {Array} array The array to shuffle.
+ * @param {function(): number} [random=Math.random] The random source. Gameplay callers pass the room's seeded stream.
+ * @returns {Array} The same array, shuffled.
+ */
+function shuffle(array, random = Math.random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
 }
 
+// Player fields holding live timer handles. They can't be serialized and are rebuilt after a restore.
+const TRANSIENT_PLAYER_KEYS = ['pauseTimer', 'replacementTimer'];
+
+// A safety net for NPC turns: the most actions an NPC takes in one turn, and dice prompts it follows per action.
+const MAX_NPC_ACTIONS_PER_TURN = 8;
+
 /**
  * Sanitizes a string by escaping HTML characters to prevent XSS.
  * @param {string} unsafe The string to sanitize.
@@ -72,10 +98,14 @@ function escapeHtml(unsafe) {
 // --- 3. GAME STATE MANAGEMENT (GameManager Class) ---
 class GameManager {
     // --- 3.1. Constructor & Core Utilities ---
-    constructor() {
+    constructor(store, saveStore) {
         this.rooms = {};
         this.socketToRoom = {}; // Maps socket.id to roomId for efficient lookups
-        this.cardIdCounter = 1000; // Start card IDs high to avoid collision with data file
+        this.store = store; // Persists room snapshots so games survive a restart
+        this.saveStore = saveStore; // Persists campaign save points, which outlive their rooms
+        this.campaignSaves = {}; // saveId -> save point, see `writeSavePoint`
+        this.restoredRoomIds = new Set(); // Restored games held until a player rejoins
+        this.stateStreams = new Map(); // socketId -> StateStream, tracking what each client has acknowledged
     }
 
     findRoomBySocket(socket) {
@@ -84,15 +114,113 @@ class GameManager {
     }
     
     // The single point of emission for game state, ensuring clients are always in sync.
+    // Each socket gets its own redacted view, so nobody can read another player's hand or the decks.
     emitGameState(roomId) {
-        if (this.rooms[roomId]) {
-            const stateWithStaticData = {
-                ...this.rooms[roomId],
-                staticData: { // We only need to send static data once, but this is simple for now
-                    classes: gameData.classes
-                }
-            };
-            io.to(roomId).emit('gameStateUpdate', stateWithStaticData);
+        const room = this.rooms[roomId];
+        if (room) {
+            const socketIds = io.sockets.adapter.rooms.get(roomId) || [];
+            socketIds.forEach(socketId => this._sendStateTo(room, socketId));
+            this.saveRoom(room);
+        }
+    }
+
+    // Sends one socket its view, as a patch against its last acknowledged revision when possible.
+    // Static data never changes, so after the first full state it never appears in a patch.
+    _sendStateTo(room, socketId) {
+        if (!this.stateStreams.has(socketId)) this.stateStreams.set(socketId, new StateStream());
+        const view = buildPlayerView(room, socketId, {
+            classes: gameData.classes,
+            levels: { thresholds: gameData.levelThresholds, spellLevelUnlocks: gameData.spellLevelUnlocks },
+            spells: spellsByName, // Lets the client target the spell a scroll casts
+            spellTargeting: gameData.spellTargeting,
+        });
+        const update = this.stateStreams.get(socketId).next(view);
+        if (update.full) {
+            io.to(socketId).emit('gameStateUpdate', update.state, update.revision);
+        } else {
+            const { baseRevision, revision, ops } = update;
+            io.to(socketId).emit('gameStatePatch', { baseRevision, revision, ops });
+        }
+    }
+
+    acknowledgeState(socket, { revision } = {}) {
+        const stream = this.stateStreams.get(socket.id);
+        if (stream) stream.acknowledge(revision);
+    }
+
+    // The client could not apply a patch (or lost its copy), so start it over from a full state.
+    resyncState(socket) {
+        const room = this.rooms[this.socketToRoom[socket.id]];
+        const stream = this.stateStreams.get(socket.id);
+        if (!room || !stream) return;
+        stream.reset();
+        this._sendStateTo(room, socket.id);
+    }
+
+    // Snapshots a room to the store. Called on every emission, which follows every state change.
+    saveRoom(room) {
+        if (!this.store) return;
+        const snapshot = JSON.stringify(room, (key, value) => TRANSIENT_PLAYER_KEYS.includes(key) ? undefined : value);
+        this.store.save(room.id, snapshot);
+    }
+
+    /**
+     * Reloads every saved room at boot.
+     * Human players have no socket yet, so they start disconnected and rejoin via `rejoinRoom`.
+     * Games in progress, party events included, are held paused until the first player rejoins, then resume where they left off.
+     */
+    restoreRooms() {
+        if (!this.store) return;
+        for (const room of this.store.loadAll()) {
+            if (!room?.id || room.gameState?.phase === 'game_over') {
+                if (room?.id) this.store.remove(room.id);
+                continue;
+            }
+
+            Object.values(room.players).forEach(p => {
+                TRANSIENT_PLAYER_KEYS.forEach(key => p[key] = null);
+                if (!p.isNpc) p.disconnected = true;
+            });
+            room.voiceChatters = [];
+
+            if (room.gameState.phase === 'started' || room.gameState.phase === 'party_event') {
+                room.gameState.isPaused = true;
+                room.gameState.pauseReason = 'The server restarted. Waiting for players to reconnect...';
+                this.restoredRoomIds.add(room.id);
+            }
+            this.rooms[room.id] = room;
+        }
+        const count = Object.keys(this.rooms).length;
+        if (count > 0) console.log(`Restored ${count} room(s) from storage.`);
+    }
+
+    /**
+     * Resumes a restored game once a player is back: unpauses it, starts the usual disconnect
+     * timers for anyone still missing, and restarts the current turn if it belongs to an NPC.
+     */
+    _resumeRestoredRoom(room) {
+        this.restoredRoomIds.delete(room.id);
+        room.gameState.isPaused = false;
+        room.gameState.pauseReason = '';
+        room.chatLog.push({ type: 'system', text: 'The adventure resumes.', timestamp: Date.now() });
+
+        Object.values(room.players)
+            .filter(p => !p.isNpc && p.disconnected)
+            .forEach(p => this._scheduleDisconnectTimers(room, p.id));
+
+        // Explorers who are still away no longer hold up a party event.
+        if (room.gameState.phase === 'party_event') {
+            this._checkPartyEventResolved(room);
+            return;
+        }
+
+        const currentPlayer = room.players[room.gameState.turnOrder[room.gameState.currentPlayerIndex]];
+        if (currentPlayer?.isNpc) {
+            this.runNpcTurn(room.id, currentPlayer);
+        } else if (room.gameState.dmTurn?.ending) {
+            // The restart cut off the assistant finishing a human DM's turn.
+            room.gameState.dmTurn.ending = false;
+            this._finishDmTurn(room);
         }
     }
 
@@ -108,24 +236,94 @@ class GameManager {
         return roomId;
     }
     
-    generateUniqueCardId() {
-        this.cardIdCounter++;
-        return `card-${this.cardIdCounter}`;
+    // Card IDs are counted per room so that a replayed seed produces the same IDs.
+    generateUniqueCardId(room) {
+        room.cardIdCounter++;
+        return `card-${room.cardIdCounter}`;
+    }
+
+    /**
+     * Returns the next float in [0, 1) from the room's seeded stream.
+     * All gameplay randomness goes through here so that a seed replays a game exactly.
+     */
+    random(room) {
+        return rng.nextRandom(room.rng);
+    }
+
+    // Picks a random element of an array using the room's seeded stream.
+    randomChoice(room, array) {
+        return array[Math.floor(this.random(room) * array.length)];
     }
     
-    rollDice(diceString) {
-        if (!diceString || typeof diceString !== 'string') return 0;
-        if (!diceString.includes('d')) {
-            const val = Number(diceString);
-            return isNaN(val) ? 0 : val;
+    /**
+     * Rolls a dice expression (e.g. "2d6+4", "2d20kh1") and returns only the total.
+     * Use `rollDiceDetailed` when the individual die faces are needed for display.
+     */
+    rollDice(room, diceString) {
+        return this.rollDiceDetailed(room, diceString).total;
+    }
+
+    /**
+     * Rolls a dice expression through the dice engine using the room's seeded stream, returning the
+     * total, the die faces and a readable breakdown. Invalid expressions are logged and total 0.
+     * @returns {{total: number, faces: number[], breakdown: string}}
+     */
+    rollDiceDetailed(room, diceString) {
+        const result = dice.rollDice(diceString, () => this.random(room));
+        if (!result.valid && diceString) {
+            console.error(`Invalid dice expression: "${diceString}"`);
         }
-        const [count, sides] = diceString.toLowerCase().split('d').map(Number);
-        if (isNaN(count) || isNaN(sides)) return 0;
-        let total = 0;
-        for (let i = 0; i < count; i++) {
-            total += Math.floor(Math.random() * sides) + 1;
+        result.breakdown = dice.formatRoll(result);
+        return result;
+    }
+
+    /**
+     * Works out whether a d20 roll is made with advantage or disadvantage, without rolling or using anything up.
+     * Roll prompts use this to preview the roll.
+     * @param {object} context See `collectRollModifiers`; the room's world event is added here.
+     * @returns {{mode: string, bonus: number, sources: object[]}}
+     */
+    getRollModifiers(room, context) {
+        const traits = this._triggerMonsterTraits(room, context.roller, 'roll');
+        const sources = collectRollModifiers({ ...context, worldEvents: room.gameState.worldEvents, traits });
+        return { mode: resolveRollMode(sources), bonus: getRollBonus(sources), sources };
+    }
+
+    /**
+     * Rolls the d20 for an attack, skill check or saving throw, with advantage or disadvantage from every source
+     * that applies. One-shot sources (e.g. Vulnerable) are used up even when advantage and disadvantage cancel out.
+     * @param {object} context See `collectRollModifiers`.
+     * @returns {{roll: number, bonus: number, faces: number[], breakdown: string, mode: string, sources: {name: string, mode?: string, bonus: number}[], note: string}}
+     *   `roll` is the d20 that counts; callers add `bonus` to their total. `note` is appended to the roll's log line ('' when nothing applied).
+     */
+    rollD20(room, context) {
+        const { mode, bonus, sources } = this.getRollModifiers(room, context);
+        const result = this.rollDiceDetailed(room, D20_BY_MODE[mode]);
+        sources.filter(s => s.oneShot).forEach(s => this._spendRollModifier(room, context.roller, s));
+
+        const notes = [];
+        const modeNames = [...new Set(sources.filter(s => s.mode).map(s => s.name))].join(', ');
+        if (modeNames) {
+            notes.push(mode === 'normal' ? `advantage and disadvantage cancel out: ${modeNames}` : `${mode}: ${modeNames} (${result.breakdown})`);
+        }
+        sources.filter(s => s.bonus).forEach(s => notes.push(`${s.bonus > 0 ? '+' : ''}${s.bonus} ${s.name}`));
+        return {
+            roll: result.total, bonus, faces: result.faces, breakdown: result.breakdown,
+            mode, sources: sources.map(s => ({ name: s.name, mode: s.mode, bonus: s.bonus })),
+            note: notes.length > 0 ? ` [${notes.join('; ')}]` : '',
+        };
+    }
+
+    // Uses up a one-shot advantage or disadvantage source after the roll it applied to.
+    _spendRollModifier(room, roller, source) {
+        if (source.kind === 'status') {
+            source.holder.statusEffects = source.holder.statusEffects.filter(e => e !== source.status);
+            if (source.holder.equipment) source.holder.stats = this.calculatePlayerStats(source.holder, room.gameState.partyHope);
+        } else if (source.kind === 'event') {
+            const { worldEvents } = room.gameState;
+            // Keyed by playerId, which survives reconnects. Rooms saved before this field existed lack it.
+            worldEvents.spentBy = [...(worldEvents.spentBy || []), roller.playerId];
         }
-        return total;
     }
 
     // --- 3.2. Room & Player Management ---
@@ -137,13 +335,19 @@ class GameManager {
             name,
             isNpc,
             isDowned: false,
+            isStable: false, // Downed, but no longer making death saves
+            isDead: false, // Failed their death saves in a permadeath game
+            deathSaves: { successes: 0, failures: 0 },
+            lastCastRound: null, // The round this explorer last cast a spell, for monsters that punish casters
             disconnected: false,
             hasTakenFirstTurn: false, // For new player tutorial
             pauseTimer: null,
             replacementTimer: null,
             role: null,
             class: null,
-            stats: { maxHp: 0, currentHp: 0, damageBonus: 0, shieldBonus: 0, ap: 0, maxAP: 0, shieldHp: 0, str: 0, dex: 0, con: 0, int: 0, wis: 0, cha: 0 },
+            level: 1,
+            xp: 0,
+            stats: { maxHp: 0, currentHp: 0, damageBonus: 0, shieldBonus: 0, ap: 0, maxAP: 0, shieldHp: 0, tempHp: 0, str: 0, dex: 0, con: 0, int: 0, wis: 0, cha: 0 },
             baseStats: {},
             statBonuses: {},
             currentAp: 0,
@@ -151,26 +355,46 @@ class GameManager {
             equipment: { weapon: null, armor: null },
             statusEffects: [],
             usedAbilityThisTurn: false,
+            weaponSpecialsUsed: [], // Names of once-per-turn weapon specials already used this turn
+            armorPassivesUsed: [], // Names of once-per-turn armor passives used since the start of this player's turn
+            isBracing: false, // Took the Guard action this turn
+            wasBracing: false, // Took the Guard action last turn (for "braced" weapon specials)
             isResolvingDiscovery: false,
             discoveryItem: null,
             pendingAttack: null, // ROBUSTNESS: Store attack context
         };
     }
 
-    createRoom(socket, { playerName, gameMode, customSettings }) {
+    createRoom(socket, { playerName, gameMode, customSettings, campaignId }) {
+        const campaign = gameMode === 'Campaign' ? gameData.campaigns[campaignId] : null;
+        if (gameMode === 'Campaign' && !campaign) {
+            return socket.emit('actionError', 'Unknown campaign.');
+        }
+
         const newPlayer = this.createPlayerObject(socket.id, playerName);
         const newRoomId = this.generateRoomId();
     
         const defaultSettings = {
             startWithWeapon: true, startWithArmor: true, startingItems: 2, 
-            startingSpells: 2, lootDropRate: 80, maxHandSize: 7, discoveryRolls: true
+            startingSpells: 2, lootDropRate: 80, maxHandSize: 7, discoveryRolls: true, permadeath: false, seed: null
         };
+        const settings = { ...defaultSettings, ...(customSettings || {}) };
+        const roomRng = rng.createRngState(settings.seed);
+        settings.seed = roomRng.seed; // Record the effective seed so it can be shared and replayed
+        if (gameMode !== 'Custom' || !gameData.pacingCurves[settings.pacing]) {
+            settings.pacing = gameData.gameModePacing[gameMode] || 'standard';
+        }
+        if (gameMode !== 'Custom' || !gameData.npcProfiles[settings.npcProfile]) {
+            settings.npcProfile = gameData.defaultNpcProfile;
+        }
     
         const newRoom = {
             id: newRoomId,
             hostId: socket.id,
             players: { [socket.id]: newPlayer },
-            settings: { ...defaultSettings, ...(customSettings || {}) },
+            settings,
+            rng: roomRng,
+            cardIdCounter: 1000, // Start card IDs high to avoid collision with data file
             gameState: {
                 phase: 'class_selection',
                 gameMode: gameMode || 'Beginner',
@@ -182,16 +406,23 @@ class GameManager {
                 board: { monsters: [], environment: [] },
                 lootPool: [],
                 turnCount: 0,
+                encounter: { budget: 0, threat: 0, highestTier: 'tier1' }, // Latest plan from the encounter director
+                boss: null, // Set when the boss enters: { id, name, phase, defeated }
+                monstersDefeated: 0, // This game (or campaign chapter)
                 partyHope: 5, // Starts at neutral
-                worldEvents: { currentEvent: null, duration: 0 },
+                worldEvents: { currentEvent: null, duration: 0, spentBy: [] },
                 currentPartyEvent: null,
                 skillChallenge: { isActive: false, details: null, currentStage: 0, targetId: null },
                 isPaused: false,
                 pauseReason: '',
+                dmAssistant: true, // Whether the AI helps a human DM; see section 3.13
+                dmTurn: null, // A human DM's turn in progress: { monsters: { [id]: { apLeft, used, directed } }, ending }
             },
             chatLog: [],
             savedPlayers: {}, // For storing data of disconnected players
             voiceChatters: [], // List of socket IDs in voice chat
+            // Campaign progress; see section 3.12. `chapter` is a summary of the current chapter for the client.
+            campaign: campaign ? { id: campaignId, name: campaign.name, chapterIndex: 0, chapterCount: campaign.chapters.length, chapter: null, saveId: null } : null,
         };
     
         newPlayer.role = 'Explorer';
@@ -213,8 +444,9 @@ class GameManager {
             return socket.emit('actionError', 'Game is already in progress.');
         }
     
-        // Find an NPC explorer to replace
-        const npcToReplace = Object.values(room.players).find(p => p.isNpc && p.role === 'Explorer');
+        // Find an NPC explorer to replace. In a resumed campaign, prefer the seat saved under the same name.
+        const npcExplorers = Object.values(room.players).filter(p => p.isNpc && p.role === 'Explorer');
+        const npcToReplace = npcExplorers.find(p => p.carriedOver && p.name.toLowerCase() === String(playerName).toLowerCase()) || npcExplorers[0];
     
         if (!npcToReplace) {
             return socket.emit('actionError', 'This game lobby is full of human players.');
@@ -226,6 +458,7 @@ class GameManager {
         // Add the new human player
         const newPlayer = this.createPlayerObject(socket.id, playerName);
         newPlayer.role = 'Explorer';
+        if (npcToReplace.carriedOver) this._takeCampaignSeat(newPlayer, npcToReplace, room.gameState.partyHope);
         room.players[socket.id] = newPlayer;
         socket.join(roomId);
         this.socketToRoom[socket.id] = roomId;
@@ -238,40 +471,45 @@ class GameManager {
     startGame(socket) {
         const room = this.findRoomBySocket(socket);
         // CRITICAL FIX: Add guard to prevent function from running more than once.
-        if (!room || socket.id !== room.hostId || room.gameState.phase === 'started') {
+        // Only a lobby can start; a game in any later phase (e.g. mid party event) must not be reset.
+        if (!room || socket.id !== room.hostId || room.gameState.phase !== 'class_selection') {
             return;
         }
 
-        const humanPlayers = Object.values(room.players).filter(p => !p.isNpc);
-        if (!humanPlayers.every(p => p.class)) {
-            return socket.emit('actionError', 'All players must select a class before starting.');
+        const humanExplorers = Object.values(room.players).filter(p => !p.isNpc && p.role === 'Explorer');
+        if (!humanExplorers.every(p => p.class)) {
+            return socket.emit('actionError', 'All explorers must select a class before starting.');
         }
 
         this.initializeDecks(room);
 
         // REFACTORED LOOP: Initialize each player fully in a single pass.
         Object.values(room.players).forEach(p => {
-            // Explorers get a starting loadout.
-            if (p.role === 'Explorer') {
+            // Explorers get a starting loadout, unless they carried their gear over from a campaign save.
+            if (p.role === 'Explorer' && !p.carriedOver) {
                 this.dealStartingLoadout(room, p);
             }
             // Everyone (including the DM) gets their stats finalized.
             p.stats = this.calculatePlayerStats(p, room.gameState.partyHope);
-            p.stats.currentHp = p.stats.maxHp;
+            if (!p.carriedOver) p.stats.currentHp = p.stats.maxHp;
             p.currentAp = p.stats.maxAP;
+            delete p.carriedOver;
         });
 
         // --- Turn Order Logic ---
-        const dmId = 'npc-dm';
-        const hostId = room.hostId;
+        // The DM always goes first, then the host (unless they're the DM), then everyone else.
+        const dmId = Object.keys(room.players).find(id => room.players[id].role === 'DM');
+        const hostIds = room.players[room.hostId].role === 'Explorer' ? [room.hostId] : [];
         const otherExplorerIds = Object.keys(room.players).filter(id => 
-            room.players[id].role === 'Explorer' && id !== hostId
+            room.players[id].role === 'Explorer' && id !== room.hostId
         );
-        room.gameState.turnOrder = [dmId, hostId, ...shuffle(otherExplorerIds)];
+        room.gameState.turnOrder = [dmId, ...hostIds, ...shuffle(otherExplorerIds, () => this.random(room))];
         
         room.gameState.currentPlayerIndex = -1;
         room.gameState.phase = 'started';
         room.gameState.turnCount = 0;
+        room.chatLog.push({ type: 'system', text: `The chronicle begins. Game seed: ${room.settings.seed}`, timestamp: Date.now() });
+        if (room.campaign) this._announceChapter(room);
 
         // Start the first turn sequence
         this.endCurrentTurn(room.id);
@@ -280,15 +518,51 @@ class GameManager {
     chooseClass(socket, { classId }) {
         const room = this.findRoomBySocket(socket);
         const player = room?.players[socket.id];
-        if (!room || !player || player.class || room.gameState.phase !== 'class_selection') return;
+        if (!room || !player || player.class || player.role !== 'Explorer' || room.gameState.phase !== 'class_selection') return;
 
         this.assignClassToPlayer(player, classId, room.gameState.partyHope);
         this.emitGameState(room.id);
     }
+
+    /**
+     * Seats a player as the Dungeon Master, or hands the seat back to the AI. Host only, in the lobby.
+     * An NPC explorer takes the new DM's place in the party, and a player leaving the DM seat takes an NPC's.
+     * @param {{playerId?: string}} payload The persistent ID of the player to seat. Empty for the AI DM.
+     */
+    assignDm(socket, { playerId } = {}) {
+        const room = this.findRoomBySocket(socket);
+        if (!room || socket.id !== room.hostId || room.gameState.phase !== 'class_selection') return;
+
+        const players = Object.values(room.players);
+        const currentDm = players.find(p => p.role === 'DM');
+        const newDm = playerId ? players.find(p => !p.isNpc && p.playerId === playerId) : null;
+        const freeNpcSeat = () => Object.values(room.players).find(p => p.isNpc && p.role === 'Explorer' && !p.carriedOver);
+        if (playerId && !newDm) return socket.emit('actionError', 'That player is not in this room.');
+        if (newDm ? newDm === currentDm : currentDm.isNpc) return;
+        if (newDm?.carriedOver) return socket.emit('actionError', `${newDm.name} is playing a saved explorer and can't be the DM.`);
+        if (!newDm && !freeNpcSeat()) return socket.emit('actionError', `There is no explorer seat free for ${currentDm.name}.`);
+
+        if (newDm) {
+            newDm.role = 'DM';
+            newDm.class = null;
+            newDm.stats = this.calculatePlayerStats(newDm, room.gameState.partyHope);
+            this.createNpcs(room, 1); // An NPC takes their seat in the party
+            room.chatLog.push({ type: 'system', text: `${newDm.name} will be the Dungeon Master.`, timestamp: Date.now() });
+        }
+        if (currentDm.isNpc) {
+            delete room.players[currentDm.id];
+        } else {
+            currentDm.role = 'Explorer';
+            delete room.players[freeNpcSeat().id];
+            this.createNpcs(room, 0); // Brings back the AI DM, unless someone else took the seat
+            room.chatLog.push({ type: 'system', text: `${currentDm.name} rejoins the party as an explorer.`, timestamp: Date.now() });
+        }
+        this.emitGameState(room.id);
+    }
     
     createNpcs(room, count) {
-        // Always create the DM
-        if (!room.players['npc-dm']) {
+        // There is always a DM: the AI, unless a player has taken the seat.
+        if (!Object.values(room.players).some(p => p.role === 'DM')) {
             const dmNpc = this.createPlayerObject('npc-dm', 'DM', true);
             dmNpc.role = 'DM';
             room.players[dmNpc.id] = dmNpc;
@@ -297,11 +571,15 @@ class GameManager {
         const npcNames = ["Grok", "Lyra", "Finn"];
         const availableClasses = Object.keys(gameData.classes);
         for (let i = 0; i < count; i++) {
-            const name = npcNames[i % npcNames.length];
-            const npcId = `npc-${name.toLowerCase()}-${i}`;
+            // Seats refilled in the lobby go to a name no one at the table has yet, and never overwrite an NPC.
+            const takenNames = Object.values(room.players).map(p => p.name);
+            const name = npcNames.find(n => !takenNames.includes(n)) || npcNames[i % npcNames.length];
+            let suffix = i;
+            while (room.players[`npc-${name.toLowerCase()}-${suffix}`]) suffix++;
+            const npcId = `npc-${name.toLowerCase()}-${suffix}`;
             const npc = this.createPlayerObject(npcId, name, true);
             npc.role = 'Explorer';
-            const randomClassId = availableClasses[Math.floor(Math.random() * availableClasses.length)];
+            const randomClassId = this.randomChoice(room, availableClasses);
             this.assignClassToPlayer(npc, randomClassId, room.gameState.partyHope);
             room.players[npc.id] = npc;
         }
@@ -309,24 +587,32 @@ class GameManager {
 
     initializeDecks(room) {
         // Helper to ensure all cards get a unique, server-assigned ID.
-        const createDeck = (cardArray) => cardArray.map(c => ({ ...c, id: this.generateUniqueCardId() }));
+        const createDeck = (cardArray) => cardArray.map(c => ({ ...c, id: this.generateUniqueCardId(room) }));
+        const shuffleDeck = (deck) => shuffle(deck, () => this.random(room));
+        
+        // A campaign chapter brings its own encounter table, world events and boss.
+        const chapter = this.getCurrentChapter(room);
+        const monsterTiers = chapter ? chapter.encounterTable : gameData.monsterTiers;
+        const worldEventCards = chapter ? gameData.worldEventCards.filter(e => chapter.worldEvents.includes(e.name)) : gameData.worldEventCards;
+        const bossCards = chapter ? gameData.bossCards.filter(b => b.name === chapter.boss) : gameData.bossCards;
         
         room.gameState.decks = {
-            item: shuffle(createDeck(gameData.itemCards)),
-            spell: shuffle(createDeck(gameData.spellCards)),
-            weapon: shuffle(createDeck(gameData.weaponCards)),
-            armor: shuffle(createDeck(gameData.armorCards)),
-            worldEvent: shuffle(createDeck(gameData.worldEventCards)),
-            environmental: shuffle(createDeck(gameData.environmentalCards)),
-            partyEvent: shuffle(createDeck(gameData.partyEventCards)),
+            item: shuffleDeck(createDeck(gameData.itemCards)),
+            spell: shuffleDeck(createDeck(gameData.spellCards)),
+            weapon: shuffleDeck(createDeck(gameData.weaponCards)),
+            armor: shuffleDeck(createDeck(gameData.armorCards)),
+            worldEvent: shuffleDeck(createDeck(worldEventCards)),
+            environmental: shuffleDeck(createDeck(gameData.environmentalCards)),
+            partyEvent: shuffleDeck(createDeck(gameData.partyEventCards)),
             monster: {
-                tier1: shuffle(createDeck(gameData.monsterTiers.tier1)),
-                tier2: shuffle(createDeck(gameData.monsterTiers.tier2)),
-                tier3: shuffle(createDeck(gameData.monsterTiers.tier3)),
+                tier1: shuffleDeck(createDeck(monsterTiers.tier1)),
+                tier2: shuffleDeck(createDeck(monsterTiers.tier2)),
+                tier3: shuffleDeck(createDeck(monsterTiers.tier3)),
+                boss: shuffleDeck(createDeck(bossCards)),
             }
         };
         // The treasure deck is a combined pool for generating magical loot.
-        room.gameState.decks.treasure = shuffle([...gameData.weaponCards, ...gameData.armorCards]);
+        room.gameState.decks.treasure = shuffleDeck([...gameData.weaponCards, ...gameData.armorCards]);
     }
 
     // Handles giving a card to a player, accounting for hand size limits.
@@ -377,12 +663,19 @@ class GameManager {
     
         // Give player starting spells from the spell deck based on settings
         for (let i = 0; i < (settings.startingSpells || 0); i++) {
-            const card = this.drawCardFromDeck(room.id, 'spell');
+            const card = this.drawCardFromDeck(room.id, 'spell', null, { maxSpellLevel: this.getMaxSpellLevel(player) });
             if (card) this._giveCardToPlayer(room, player, card);
         }
     }
 
-    drawCardFromDeck(roomId, deckName, playerClass = null) {
+    /**
+     * Draws the top card of a deck.
+     * @param {string} [playerClass] For weapons and armor, prefer cards this class can use.
+     * @param {{maxSpellLevel?: number, cardId?: string}} [options] For spells, only draw one the player has unlocked,
+     *   preferring the highest level they can cast. `cardId` draws that card instead, wherever it is in the deck.
+     * @returns {object|null} A copy of the drawn card, or null if there is nothing to draw.
+     */
+    drawCardFromDeck(roomId, deckName, playerClass = null, { maxSpellLevel, cardId } = {}) {
         const room = this.rooms[roomId];
         if (!room) return null;
 
@@ -398,8 +691,17 @@ class GameManager {
         if (!deck || deck.length === 0) return null;
         
         let cardToDraw;
+        if (cardId) {
+            const cardIndex = deck.findIndex(card => card.id === cardId);
+            if (cardIndex === -1) return null;
+            cardToDraw = deck.splice(cardIndex, 1)[0];
+        } else if (deckName === 'spell' && maxSpellLevel) {
+            let spellIndex = deck.findLastIndex(card => (card.level || 1) === maxSpellLevel);
+            if (spellIndex === -1) spellIndex = deck.findLastIndex(card => (card.level || 1) <= maxSpellLevel);
+            if (spellIndex === -1) return null;
+            cardToDraw = deck.splice(spellIndex, 1)[0];
         // For weapons/armor, try to find a class-appropriate item first.
-        if (playerClass && (deckName === 'weapon' || deckName === 'armor' || deckName === 'treasure')) {
+        } else if (playerClass && (deckName === 'weapon' || deckName === 'armor' || deckName === 'treasure')) {
             const suitableCardIndex = deck.findIndex(card => !card.class || card.class.includes("Any") || card.class.includes(playerClass));
             if (suitableCardIndex !== -1) {
                 cardToDraw = deck.splice(suitableCardIndex, 1)[0];
@@ -424,10 +726,10 @@ class GameManager {
     /**
      * Recalculates all of a player's stats from scratch.
      * This is the single source of truth for player stats, called whenever equipment or status effects change.
-     * Order of operations: Class Base Stats -> Equipment Bonuses -> Status Effect Bonuses -> Hope Bonuses.
+     * Order of operations: Class Base Stats (with level gains) -> Equipment Bonuses -> Status Effect Bonuses -> Hope Bonuses.
      */
     calculatePlayerStats(player, partyHope) {
-        const initialStats = { maxHp: 0, currentHp: player.stats.currentHp || 0, damageBonus: 0, shieldBonus: 0, ap: 0, maxAP: 0, shieldHp: player.stats.shieldHp || 0, str: 0, dex: 0, con: 0, int: 0, wis: 0, cha: 0, hitBonus: 0 };
+        const initialStats = { maxHp: 0, currentHp: player.stats.currentHp || 0, damageBonus: 0, shieldBonus: 0, ap: 0, maxAP: 0, shieldHp: player.stats.shieldHp || 0, tempHp: player.stats.tempHp || 0, str: 0, dex: 0, con: 0, int: 0, wis: 0, cha: 0, hitBonus: 0 };
         if (!player.class) {
             player.baseStats = {};
             player.statBonuses = {};
@@ -436,6 +738,12 @@ class GameManager {
     
         const classData = gameData.classes[player.class];
         const baseStats = { ...classData.stats, maxHp: classData.baseHp, damageBonus: classData.baseDamageBonus, shieldBonus: classData.baseShieldBonus, ap: classData.baseAP, hitBonus: 0 };
+        // Every level gained raises the class base (see `classLevelTables`).
+        (gameData.classLevelTables[player.class] || []).slice(1, player.level || 1).forEach(gains => {
+            Object.keys(gains).forEach(key => {
+                baseStats[key] = (baseStats[key] || 0) + gains[key];
+            });
+        });
         player.baseStats = baseStats;
     
         const bonuses = { maxHp: 0, damageBonus: 0, shieldBonus: 0, ap: 0, str: 0, dex: 0, con: 0, int: 0, wis: 0, cha: 0, hitBonus: 0 };
@@ -449,6 +757,14 @@ class GameManager {
             }
         }
         
+        // 1b. Add conditional bonuses from armor passives (e.g. Fury Cuirass below half HP)
+        const passiveBonuses = this._triggerArmorPassive(player, 'stat-bonus');
+        if (passiveBonuses) {
+            Object.keys(passiveBonuses).forEach(key => {
+                bonuses[key] = (bonuses[key] || 0) + passiveBonuses[key];
+            });
+        }
+        
         // 2. Add bonuses from active status effects
         for (const effect of player.statusEffects) {
             if (effect.bonuses) {
@@ -472,12 +788,82 @@ class GameManager {
         else if (partyHope <= 2) totalStats.hitBonus -= 1; // Despairing
     
         totalStats.maxAP = totalStats.ap;
-        totalStats.currentHp = player.stats.currentHp > 0 ? Math.min(player.stats.currentHp, totalStats.maxHp) : totalStats.maxHp;
+        // A new character starts at full health; a downed one stays at 0.
+        totalStats.currentHp = player.stats.currentHp > 0 || player.isDowned ? Math.min(player.stats.currentHp, totalStats.maxHp) : totalStats.maxHp;
         totalStats.shieldHp = player.stats.shieldHp || 0;
+        totalStats.tempHp = player.stats.tempHp || 0;
     
         return totalStats;
     }
 
+    // The highest spell level a player can draw and cast.
+    getMaxSpellLevel(player) {
+        const unlocks = gameData.spellLevelUnlocks;
+        return unlocks[Math.min(player.level || 1, unlocks.length) - 1];
+    }
+
+    /**
+     * Gives XP to one or more explorers and levels up anyone who crosses a threshold.
+     * @param {object[]} players The explorers earning the XP.
+     * @param {number} amount XP for each of them.
+     * @param {string} reason Shown in the log, e.g. 'defeating a Bone Archer'.
+     */
+    awardXp(room, players, amount, reason) {
+        const earners = players.filter(p => p.role === 'Explorer' && p.class);
+        if (earners.length === 0 || amount <= 0) return;
+        const who = earners.length > 1 ? 'The party gains' : `${earners[0].name} gains`;
+        room.chatLog.push({ type: 'system-good', text: `${who} ${amount} XP for ${reason}.`, timestamp: Date.now() });
+
+        earners.forEach(player => {
+            player.xp += amount;
+            while (player.level < gameData.levelThresholds.length && player.xp >= gameData.levelThresholds[player.level]) {
+                this._levelUp(room, player);
+            }
+        });
+    }
+
+    // Raises a player's level. New max HP is gained as current HP too, and a newly unlocked spell level brings a new spell.
+    _levelUp(room, player) {
+        const previousMaxHp = player.stats.maxHp;
+        const previousSpellLevel = this.getMaxSpellLevel(player);
+        player.level++;
+        player.stats = this.calculatePlayerStats(player, room.gameState.partyHope);
+        // Downed explorers level up too, but only healing gets them back on their feet.
+        if (!player.isDowned) player.stats.currentHp = Math.min(player.stats.maxHp, player.stats.currentHp + (player.stats.maxHp - previousMaxHp));
+        room.chatLog.push({ type: 'system-good', text: `${player.name} reaches level ${player.level}!`, timestamp: Date.now() });
+
+        const spellLevel = this.getMaxSpellLevel(player);
+        if (spellLevel > previousSpellLevel) {
+            room.chatLog.push({ type: 'system-good', text: `${player.name} can now cast level ${spellLevel} spells.`, timestamp: Date.now() });
+            const spell = this.drawCardFromDeck(room.id, 'spell', null, { maxSpellLevel: spellLevel });
+            if (spell) this._giveCardToPlayer(room, player, spell);
+        }
+    }
+
+    /**
+     * Checks whether a player's armor passive (`effect.passive`, see game-data.js) fires for this hook.
+     * Once-per-turn passives are marked as used when they fire.
+     * @param {{isHit?: boolean, isCrit?: boolean, isAttack?: boolean}} context What the passive's condition is checked against.
+     * @returns {object|null} The passive's `effects` if it fires.
+     */
+    _triggerArmorPassive(player, hook, { isHit = false, isCrit = false, isAttack = false } = {}) {
+        const passive = player.equipment?.armor?.effect?.passive;
+        if (!passive || passive.hook !== hook) return null;
+        const conditions = {
+            hit: isHit,
+            crit: isCrit,
+            attack: isAttack,
+            'below-half-hp': player.stats.currentHp > 0 && player.stats.currentHp < player.stats.maxHp / 2,
+        };
+        if (passive.condition && !conditions[passive.condition]) return null;
+        if (passive.limit === 'once-per-turn') {
+            player.armorPassivesUsed = player.armorPassivesUsed || [];
+            if (player.armorPassivesUsed.includes(passive.name)) return null;
+            player.armorPassivesUsed.push(passive.name);
+        }
+        return passive.effects || {};
+    }
+
     equipItem(socket, { cardId }) {
         const room = this.findRoomBySocket(socket);
         const player = room?.players[socket.id];
@@ -508,7 +894,7 @@ class GameManager {
         if (player.equipment[itemType]) {
             const oldItem = player.equipment[itemType];
             room.gameState.decks.treasure.push(oldItem);
-            shuffle(room.gameState.decks.treasure);
+            shuffle(room.gameState.decks.treasure, () => this.random(room));
             room.chatLog.push({ type: 'system', text: `${player.name} returned their ${oldItem.name} to the treasure deck.`, timestamp: Date.now() });
         }
         
@@ -530,21 +916,43 @@ class GameManager {
         player.stats = this.calculatePlayerStats(player, room.gameState.partyHope);
         player.currentAp = player.stats.maxAP;
         player.usedAbilityThisTurn = false;
+        player.weaponSpecialsUsed = [];
+        player.armorPassivesUsed = [];
+        player.wasBracing = !!player.isBracing;
+        player.isBracing = false;
         if (!player.hasTakenFirstTurn) {
             player.hasTakenFirstTurn = true;
         }
+
+        // --- Start-of-Turn Status Effects ---
+        // Damage over time may down the player, and some conditions cost them the whole turn.
+        if (player.role === 'Explorer') {
+            if (this.isDying(player)) this.rollDeathSave(room, player);
+            this._resolveWorldEventTurnSave(room, player);
+            this.tickStatusEffects(room, player, 'start');
+            const blockingStatus = this.getBlockingStatus(player);
+            if (player.isDowned || blockingStatus) {
+                if (blockingStatus && !player.isDowned) {
+                    room.chatLog.push({ type: 'system-bad', text: `${player.name} is ${blockingStatus} and loses their turn!`, timestamp: Date.now() });
+                }
+                this.emitGameState(roomId);
+                await new Promise(res => setTimeout(res, 1500));
+                this.endCurrentTurn(roomId);
+                return;
+            }
+        }
         io.to(player.id).emit('turnStarted', { playerId: player.id });
 
         // --- Event Checks ---
-        // Check for Individual Discovery event every 3 rounds for human players
-        if (!player.isNpc && room.gameState.turnCount > 0 && room.gameState.turnCount % 3 === 0) {
+        // Check for Individual Discovery event every 3 rounds for human explorers
+        if (!player.isNpc && player.role === 'Explorer' && room.gameState.turnCount > 0 && room.gameState.turnCount % 3 === 0) {
             this.triggerIndividualDiscovery(room, player);
             this.emitGameState(roomId);
             return; // Halt the turn until discovery is resolved.
         }
     
         // If there's an active world event, activate the skill challenge phase for the player
-        if (room.gameState.worldEvents.currentEvent?.eventType.includes('skill_challenge')) {
+        if (player.role === 'Explorer' && room.gameState.worldEvents.currentEvent?.eventType.includes('skill_challenge')) {
             room.gameState.skillChallenge = {
                 isActive: true,
                 details: room.gameState.worldEvents.currentEvent,
@@ -557,28 +965,40 @@ class GameManager {
     
         // --- AI Turn Logic ---
         if (player.isNpc) {
-            // This robust try/catch ensures that any error during an AI turn will be logged
-            // and the turn will end gracefully, preventing the entire game from stalling.
-            try {
-                await new Promise(res => setTimeout(res, 1500)); // Pause for dramatic effect
-                if (player.role === 'DM') {
-                    await this.handleDmTurn(room);
-                } else {
-                    await this.handleNpcExplorerTurn(room, player);
-                }
-                // End the NPC's turn automatically after they've acted.
-                if(room.gameState.phase === 'started') {
-                    this.endCurrentTurn(roomId);
-                }
-            } catch (error) {
-                // Enhanced error logging for better debugging.
-                console.error(`[CRITICAL AI ERROR] An error occurred during the turn for ${player.name} (Role: ${player.role}, ID: ${player.id}). The game will proceed to the next turn to prevent a stall.`);
-                console.error("Error Details:", error.stack || error);
-                
-                // Even if AI fails, end its turn to not block the game.
-                if(room.gameState.phase === 'started') {
-                    this.endCurrentTurn(roomId);
-                }
+            await this.runNpcTurn(roomId, player);
+        } else if (player.role === 'DM') {
+            await this._startDmTurn(room);
+        }
+    }
+
+    /**
+     * Plays out an NPC's turn and then ends it. Kept separate from `startTurn` so a restored
+     * game can restart a pending NPC turn without repeating the start-of-turn setup.
+     */
+    async runNpcTurn(roomId, player) {
+        const room = this.rooms[roomId];
+        if (!room) return;
+        // This robust try/catch ensures that any error during an AI turn will be logged
+        // and the turn will end gracefully, preventing the entire game from stalling.
+        try {
+            await new Promise(res => setTimeout(res, 1500)); // Pause for dramatic effect
+            if (player.role === 'DM') {
+                await this.handleDmTurn(room);
+            } else {
+                await this.handleNpcExplorerTurn(room, player);
+            }
+            // End the NPC's turn automatically after they've acted.
+            if(room.gameState.phase === 'started') {
+                this.endCurrentTurn(roomId);
+            }
+        } catch (error) {
+            // Enhanced error logging for better debugging.
+            console.error(`[CRITICAL AI ERROR] An error occurred during the turn for ${player.name} (Role: ${player.role}, ID: ${player.id}). The game will proceed to the next turn to prevent a stall.`);
+            console.error("Error Details:", error.stack || error);
+            
+            // Even if AI fails, end its turn to not block the game.
+            if(room.gameState.phase === 'started') {
+                this.endCurrentTurn(roomId);
             }
         }
     }
@@ -591,6 +1011,10 @@ class GameManager {
         if (!player || room.gameState.turnOrder[room.gameState.currentPlayerIndex] !== player.id) {
             return socket.emit('actionError', "It's not your turn.");
         }
+        if (player.role === 'DM') {
+            if (room.gameState.dmTurn?.ending) return socket.emit('actionError', 'Wait for the monsters to finish.');
+            return this._finishDmTurn(room);
+        }
         
         this.endCurrentTurn(room.id);
     }
@@ -608,34 +1032,42 @@ class GameManager {
                 // Shield HP always expires at the end of the player's turn.
                 if (oldPlayer.role === 'Explorer') oldPlayer.stats.shieldHp = 0;
                 
-                // Decrement duration of all status effects on the active player.
-                oldPlayer.statusEffects = oldPlayer.statusEffects.map(e => ({...e, duration: e.duration - 1})).filter(e => e.duration > 0);
+                // End-of-turn status triggers, then tick down durations on the active player.
+                this.tickStatusEffects(room, oldPlayer, 'end');
     
-                // If it was the DM's turn, also decrement status effects on all monsters.
+                // If it was the DM's turn, the monsters' turns end too.
                 if (oldPlayer.role === 'DM') {
-                    room.gameState.board.monsters.forEach(m => {
-                        m.statusEffects = m.statusEffects.map(e => ({...e, duration: e.duration - 1})).filter(e => e.duration > 0);
+                    [...room.gameState.board.monsters].forEach(m => {
+                        this.tickStatusEffects(room, m, 'end');
                         // Decrement ability cooldowns
                         if (m.cooldowns) {
                             Object.keys(m.cooldowns).forEach(key => {
                                 if (m.cooldowns[key] > 0) m.cooldowns[key]--;
                             });
                         }
+                        decayAggro(m);
                     });
+                    this.updateBossPhases(room);
                 }
             }
         }
+        // A status tick may have defeated the boss.
+        if (room.gameState.phase !== 'started') {
+            this.emitGameState(roomId);
+            return;
+        }
         // Reset the skill challenge flag for the next player.
         room.gameState.skillChallenge.isActive = false; 
     
         // --- Find Next Player Phase ---
-        // This loop ensures the game skips over any players who are downed or disconnected.
+        // This loop ensures the game skips over any players who are disconnected, or downed and no longer dying.
+        // Dying explorers still get a turn, to make their death saving throw.
         let nextIndex, attempts = 0;
         do {
             nextIndex = (room.gameState.currentPlayerIndex + 1) % room.gameState.turnOrder.length;
             const nextPlayerId = room.gameState.turnOrder[nextIndex];
             const nextPlayer = room.players[nextPlayerId];
-            if (nextPlayer && !nextPlayer.isDowned && !nextPlayer.disconnected) {
+            if (nextPlayer && !nextPlayer.disconnected && (!nextPlayer.isDowned || this.isDying(nextPlayer))) {
                 break; // Found a valid, active player.
             }
             attempts++;
@@ -659,6 +1091,13 @@ class GameManager {
         // The turn counter increments only at the start of a full round (i.e., when it's the DM's turn again).
         if (nextIndex === 0) {
             room.gameState.turnCount++; 
+            // Survival goals are met by reaching a new round.
+            if (this.checkGoal(room)) {
+                this.emitGameState(roomId);
+                return;
+            }
+            // A party event holds the new round until the party has resolved it.
+            if (this._drawPartyEvent(room)) return;
         }
     
         this.startTurn(roomId);
@@ -678,27 +1117,24 @@ class GameManager {
     /**
      * Handles the world event phase of the DM's turn.
      * Manages existing event durations and triggers new events.
+     * @param {{drawNew?: boolean}} [options] Without `drawNew`, a human DM decides when new events start.
      */
-    async _manageWorldEvents(room) {
+    async _manageWorldEvents(room, { drawNew = true } = {}) {
         // 1. Decrement duration of existing event.
         if (room.gameState.worldEvents.currentEvent) {
             room.gameState.worldEvents.duration -= 1;
             if (room.gameState.worldEvents.duration <= 0) {
-                room.chatLog.push({ type: 'system', text: `The event '${room.gameState.worldEvents.currentEvent.name}' has ended.`, timestamp: Date.now() });
-                room.gameState.worldEvents.currentEvent = null;
+                this._endWorldEvent(room);
                 this.emitGameState(room.id);
                 await new Promise(res => setTimeout(res, 1000));
             }
         }
 
         // 2. Check for a new world event.
-        if (!room.gameState.worldEvents.currentEvent && Math.random() < 0.60) {
+        if (drawNew && !room.gameState.worldEvents.currentEvent && this.random(room) < 0.60) {
             const eventCard = this.drawCardFromDeck(room.id, 'worldEvent');
             if(eventCard) {
-                room.gameState.worldEvents.currentEvent = eventCard;
-                room.gameState.worldEvents.duration = eventCard.duration || 2;
-                room.chatLog.push({ type: 'dm', text: `A strange event unfolds: ${eventCard.name}!`, timestamp: Date.now() });
-                room.chatLog.push({ type: 'system', text: eventCard.description || eventCard.stages[0].description, timestamp: Date.now() });
+                this._startWorldEvent(room, eventCard);
                 this.emitGameState(room.id);
                 await new Promise(res => setTimeout(res, 1500));
             }
@@ -707,14 +1143,31 @@ class GameManager {
 
     /**
      * Handles the board management phase of the DM's turn.
-     * Spawns environmental objects and new monsters as needed.
+     * Resolves arena hazards, then spawns environmental objects, the boss and new monsters as needed.
+     * @param {{autoSpawn?: boolean}} [options] Without `autoSpawn`, a human DM places environment cards and
+     *   monsters themselves. Arena hazards and the boss's entrance on schedule happen either way.
      */
-    async _manageBoardState(room) {
+    async _manageBoardState(room, { autoSpawn = true } = {}) {
+        // 0. Arena Hazards brought in by a boss phase
+        for (const arena of room.gameState.board.environment.filter(card => card.hazard)) {
+            room.chatLog.push({ type: 'dm', text: arena.hazard.text, timestamp: Date.now() });
+            Object.values(room.players)
+                .filter(p => p.role === 'Explorer' && !p.isDowned && !p.disconnected)
+                .forEach(p => {
+                    const damageRoll = this.rollDiceDetailed(room, arena.hazard.dice);
+                    const saved = arena.hazard.save ? this.rollSavingThrow(room, p, arena.hazard.save, arena.name) : false;
+                    const dealt = this.applyDamage(room, p, this.applySaveToDamage(damageRoll.total, arena.hazard.save, saved), arena.hazard.damageType);
+                    room.chatLog.push({ type: 'combat-hit', text: `${p.name} takes ${dealt.amount} damage. (${damageRoll.breakdown})${dealt.note}`, timestamp: Date.now() });
+                });
+            this.emitGameState(room.id);
+            await new Promise(res => setTimeout(res, 1000));
+        }
+
         // 1. Spawn Environmental Object Check
-        if (room.gameState.board.environment.length === 0 && Math.random() < 0.25) {
+        if (autoSpawn && room.gameState.board.environment.length === 0 && this.random(room) < 0.25) {
             const envCardData = this.drawCardFromDeck(room.id, 'environmental');
             if (envCardData) {
-                const envCardInstance = { ...envCardData, id: this.generateUniqueCardId() };
+                const envCardInstance = { ...envCardData, id: this.generateUniqueCardId(room) };
                 room.gameState.board.environment.push(envCardInstance);
                 room.chatLog.push({ type: 'dm', text: `The party notices a ${envCardInstance.name} in the room.`, timestamp: Date.now() });
                 this.emitGameState(room.id);
@@ -722,118 +1175,448 @@ class GameManager {
             }
         }
 
-        // 2. Monster Spawning
-        if (room.gameState.board.monsters.length < 2) {
-            const monsterData = this.drawCardFromDeck(room.id, 'monster.tier1');
-            if (monsterData) {
-                const monsterInstance = { 
-                    ...monsterData, 
-                    id: this.generateUniqueCardId(),
-                    currentHp: monsterData.maxHp, 
-                    statusEffects: [],
-                    cooldowns: {},
-                };
-                room.gameState.board.monsters.push(monsterInstance);
-                room.chatLog.push({ type: 'dm', text: gameData.npcDialogue.dm.playMonster[Math.floor(Math.random() * gameData.npcDialogue.dm.playMonster.length)], timestamp: Date.now() });
+        // 2. Monster Spawning, as planned by the encounter director
+        const monsterDecks = room.gameState.decks.monster;
+        const plan = planEncounter({
+            round: room.gameState.turnCount,
+            partyHope: room.gameState.partyHope,
+            explorers: Object.values(room.players).filter(p => p.role === 'Explorer'),
+            monsters: room.gameState.board.monsters,
+            pacing: room.settings.pacing,
+            available: { tier1: monsterDecks.tier1.length, tier2: monsterDecks.tier2.length, tier3: monsterDecks.tier3.length },
+            random: () => this.random(room),
+        });
+        const previousTier = room.gameState.encounter?.highestTier || 'tier1';
+        room.gameState.encounter = { budget: plan.budget, threat: plan.threat, highestTier: plan.highestTier };
+        if (plan.highestTier > previousTier) {
+            room.chatLog.push({ type: 'dm', text: 'The air grows heavy. Deadlier foes stir in the depths...', timestamp: Date.now() });
+        }
+
+        for (const tier of autoSpawn ? plan.spawns : []) {
+            if (this._spawnMonster(room, tier)) {
+                room.chatLog.push({ type: 'dm', text: this.randomChoice(room, gameData.npcDialogue.dm.playMonster), timestamp: Date.now() });
                 this.emitGameState(room.id);
                 await new Promise(res => setTimeout(res, 1000));
             }
         }
+
+        // 3. Boss Entrance, once the pacing curve's boss round is reached
+        if (isBossDue({ round: room.gameState.turnCount, pacing: room.settings.pacing, boss: room.gameState.boss })) {
+            if (this._bossEntrance(room)) {
+                this.emitGameState(room.id);
+                await new Promise(res => setTimeout(res, 1500));
+            }
+        }
+    }
+
+    /**
+     * Brings the room's boss onto the board. A game only ever has one boss.
+     * @returns {object|null} The boss, or null if it has already come or the boss deck is empty.
+     */
+    _bossEntrance(room) {
+        if (room.gameState.boss) return null;
+        const boss = this._spawnMonster(room, 'boss');
+        if (!boss) return null;
+        room.gameState.boss = { id: boss.id, name: boss.name, phase: boss.phaseName };
+        room.chatLog.push({ type: 'dm', text: `The ground shakes. ${boss.name} has arrived! Defeat it to win the day.`, timestamp: Date.now() });
+        return boss;
+    }
+
+    /**
+     * Draws a monster from a tier deck (or the boss deck) and puts it on the board.
+     * @param {string} tier 'tier1', 'tier2', 'tier3' or 'boss'.
+     * @param {string} [cardId] A specific card to take from the deck, as a human DM does. Defaults to the top card.
+     * @returns {object|null} The new monster instance, or null if the deck is empty (or lacks that card).
+     */
+    _spawnMonster(room, tier, cardId = null) {
+        const monsterData = this.drawCardFromDeck(room.id, `monster.${tier}`, null, { cardId });
+        if (!monsterData) return null;
+
+        const monsterInstance = {
+            ...monsterData,
+            id: this.generateUniqueCardId(room),
+            tier: tier === 'boss' ? 'tier3' : tier,
+            currentHp: monsterData.maxHp,
+            statusEffects: [],
+            cooldowns: {},
+            aggro: {}, // Keyed by explorer playerId, see monster-targeting.js
+            abilityUses: {}, // Times each ability with limited `uses` has been used
+        };
+        if (monsterInstance.phases) this._enterBossPhase(room, monsterInstance, 0);
+        room.gameState.board.monsters.push(monsterInstance);
+        return monsterInstance;
     }
 
     /**
      * Handles the action phase of the DM's turn.
-     * Each monster on the board takes an action.
+     * Each monster spends its AP (see monster-actions.js) on abilities and standard attacks.
      */
     async _executeMonsterActions(room) {
         for (const monster of [...room.gameState.board.monsters]) {
-            if (monster.statusEffects.some(e => ['Stunned', 'Frightened'].includes(e.name))) {
-                room.chatLog.push({ type: 'combat', text: `${monster.name} is ${monster.statusEffects[0].name} and cannot act!`, timestamp: Date.now() });
+            if (room.gameState.phase !== 'started') break; // The boss fell mid-turn
+            if (!this._startMonsterTurn(room, monster)) {
                 this.emitGameState(room.id);
                 await new Promise(res => setTimeout(res, 1500));
                 continue;
             }
+            await this._runMonsterActions(room, monster, getMonsterAp(monster), []);
+        }
+    }
 
-            const livingExplorers = Object.values(room.players).filter(p => p.role === 'Explorer' && !p.isDowned && !p.disconnected);
-            if (livingExplorers.length === 0) continue;
-            
-            const availableAbilities = (monster.abilities || []).filter(a => (monster.cooldowns[a.name] || 0) === 0);
-            let actionTaken = false;
+    /**
+     * Starts a monster's part of the DM's turn: its start-of-turn statuses and traits, then whether it can act.
+     * @returns {boolean} Whether the monster can act this turn. If not, the reason has been logged.
+     */
+    _startMonsterTurn(room, monster) {
+        this.tickStatusEffects(room, monster, 'start');
+        if (monster.currentHp <= 0) return false; // Burned or poisoned to death
+        this.updateBossPhases(room);
 
-            if (availableAbilities.length > 0 && Math.random() < 0.6) { // 60% chance to use an ability
-                const ability = availableAbilities[Math.floor(Math.random() * availableAbilities.length)];
-                const target = livingExplorers[Math.floor(Math.random() * livingExplorers.length)];
-                room.chatLog.push({ type: 'combat-hit', text: `${monster.name} uses ${ability.name} on ${target.name}!`, timestamp: Date.now() });
-                switch (ability.type) {
-                    case 'damage':
-                        const damage = this.rollDice(ability.dice);
-                        this.applyDamage(room, target, damage);
-                        room.chatLog.push({ type: 'combat-hit', text: `It dealt ${damage} damage.`, timestamp: Date.now() });
-                        break;
-                    case 'control':
-                        target.statusEffects.push({ name: ability.status, duration: ability.duration || 2 });
-                        room.chatLog.push({ type: 'system-bad', text: `${target.name} is now ${ability.status}!`, timestamp: Date.now() });
-                        break;
-                }
-                monster.cooldowns[ability.name] = ability.cooldown;
-                actionTaken = true;
-            }
+        const escape = this._triggerMonsterTraits(room, monster, 'turn-start').find(t => monster.currentHp <= t.effects.fleeAtHp);
+        if (escape) {
+            room.gameState.board.monsters = room.gameState.board.monsters.filter(m => m !== monster);
+            room.chatLog.push({ type: 'dm', text: `${monster.name} flees the fight! (${escape.name})`, timestamp: Date.now() });
+            return false;
+        }
 
-            if (!actionTaken) { // Standard attack
-                const target = livingExplorers[Math.floor(Math.random() * livingExplorers.length)];
-                const hitRoll = this.rollDice('1d20');
-                const totalRoll = hitRoll + monster.attackBonus;
-                const targetAC = 10 + target.stats.shieldBonus;
-                const outcome = totalRoll >= targetAC ? 'Hit' : 'Miss';
-                room.chatLog.push({ type: 'combat', text: `${monster.name} attacks ${target.name}... It rolled a ${totalRoll} and it's a ${outcome}!`, timestamp: Date.now() });
-                if (outcome === 'Hit') {
-                    const damageRoll = this.rollDice(monster.effect.dice);
-                    const totalDamage = damageRoll + (monster.damageBonus || 0);
-                    this.applyDamage(room, target, totalDamage);
-                    room.chatLog.push({ type: 'combat-hit', text: `${monster.name} dealt ${totalDamage} damage to ${target.name}.`, timestamp: Date.now() });
-                }
+        const blockingStatus = this.getBlockingStatus(monster) || this.getBlockingStatus(monster, 'attack');
+        if (blockingStatus) {
+            room.chatLog.push({ type: 'combat', text: `${monster.name} is ${blockingStatus} and cannot act!`, timestamp: Date.now() });
+            return false;
+        }
+        if (getMonsterAp(monster) === 0) {
+            room.chatLog.push({ type: 'combat', text: `${monster.name} is too slow to act this turn!`, timestamp: Date.now() });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Lets the AI spend a monster's AP, one action at a time.
+     * @param {number} apLeft AP the monster has left this DM turn.
+     * @param {string[]} usedThisTurn Abilities it has already used this DM turn. Added to as it uses more.
+     */
+    async _runMonsterActions(room, monster, apLeft, usedThisTurn) {
+        while (apLeft > 0) {
+            // Stop once the monster is gone (e.g. killed by thorns) or the boss fell.
+            if (room.gameState.phase !== 'started' || !room.gameState.board.monsters.includes(monster)) break;
+            const candidates = this._getMonsterCandidates(room);
+            const choice = chooseMonsterAction({
+                monster,
+                apLeft,
+                usedThisTurn,
+                explorers: candidates,
+                monsters: room.gameState.board.monsters,
+                random: () => this.random(room),
+            });
+            if (!choice) break;
+
+            apLeft -= choice.apCost;
+            if (choice.ability) {
+                usedThisTurn.push(choice.ability.name);
+                this._useMonsterAbility(room, monster, choice.ability, candidates);
+            } else {
+                this._resolveMonsterAttack(room, monster, candidates);
             }
-            
             this.emitGameState(room.id);
             await new Promise(res => setTimeout(res, 1500));
         }
     }
 
-    async handleNpcExplorerTurn(room, npc) {
-        // Simple AI: If there's a monster, attack it with the equipped weapon.
-        if (room.gameState.board.monsters.length > 0) {
-            const targetMonster = room.gameState.board.monsters[0];
-            const weapon = npc.equipment.weapon || { id: 'unarmed', name: 'Fists', effect: { dice: '1d4' }, apCost: 1 };
-            
-            if (npc.currentAp >= weapon.apCost) {
-                npc.currentAp -= weapon.apCost;
+    // The explorers monsters can attack right now.
+    _getMonsterCandidates(room) {
+        return Object.values(room.players).filter(p => p.role === 'Explorer' && !p.isDowned && !p.disconnected && !this.isUntargetable(p));
+    }
 
-                const hitRoll = this.rollDice('1d20');
-                const totalRoll = hitRoll + npc.stats.hitBonus;
-                const targetAC = targetMonster.requiredRollToHit;
-                
-                if (hitRoll === 20) { // NPC Crits
-                    room.gameState.partyHope = Math.min(10, room.gameState.partyHope + 1);
-                    room.chatLog.push({ type: 'system-good', text: `CRITICAL HIT! Party Hope increases!`, timestamp: Date.now() });
+    /**
+     * A monster's standard attack against the explorer it chooses, or the one a human DM picked.
+     * @param {object[]} candidates Explorers the monster can target. Must not be empty.
+     * @param {object} [target] The DM's pick, one of `candidates`.
+     */
+    _resolveMonsterAttack(room, monster, candidates, target = null) {
+        target = target || this._chooseMonsterTarget(room, monster, candidates);
+        let hitResult = this.rollD20(room, { roll: 'attack', roller: monster, target });
+        let hitRoll = hitResult.roll;
+        let totalRoll = hitRoll + monster.attackBonus + hitResult.bonus;
+        // e.g. Brute Force ignoring part of the target's armor.
+        const ignoreShield = this._triggerMonsterTraits(room, monster, 'on-attack').reduce((sum, t) => sum + (t.effects.ignoreShield || 0), 0);
+        const targetAC = 10 + Math.max(0, target.stats.shieldBonus - ignoreShield);
+
+        // Armor that reacts to being attacked, e.g. Phase Shroud forcing a reroll on a hit.
+        const defense = this._triggerArmorPassive(target, 'on-being-attacked', { isHit: totalRoll >= targetAC });
+        if (defense?.forceReroll) {
+            room.chatLog.push({ type: 'action-good', text: `${target.name}'s ${target.equipment.armor.name} flickers! ${monster.name} rolled a ${totalRoll} but must reroll.`, timestamp: Date.now() });
+            hitResult = this.rollD20(room, { roll: 'attack', roller: monster, target });
+            hitRoll = hitResult.roll;
+            totalRoll = hitRoll + monster.attackBonus + hitResult.bonus;
+        }
+
+        const outcome = totalRoll >= targetAC ? 'Hit' : 'Miss';
+        const armorNote = ignoreShield > 0 ? ` [ignores ${Math.min(ignoreShield, target.stats.shieldBonus)} Shield Bonus]` : '';
+        room.chatLog.push({ type: 'combat', text: `${monster.name} attacks ${target.name}... It rolled a ${totalRoll} and it's a ${outcome}!${hitResult.note}${armorNote}`, timestamp: Date.now() });
+        if (outcome === 'Hit' && hitRoll === 20) {
+            // e.g. Thornmail striking back on a critical hit.
+            const thorns = this._triggerArmorPassive(target, 'on-being-attacked', { isHit: true, isCrit: true });
+            if (thorns?.reflectDamage) {
+                monster.currentHp -= thorns.reflectDamage;
+                this._addAggro(room, target, thorns.reflectDamage * gameData.aggroRules.damage, [monster]);
+                room.chatLog.push({ type: 'combat-hit', text: `${target.name}'s ${target.equipment.armor.name} deals ${thorns.reflectDamage} damage back to ${monster.name}!`, timestamp: Date.now() });
+                if (monster.currentHp <= 0) this.handleMonsterDefeated(room, monster.id, target.id);
+                else this.updateBossPhases(room);
+            }
+        }
+        if (outcome === 'Hit') {
+            const damageRoll = this.rollDiceDetailed(room, monster.effect.dice);
+            const totalDamage = damageRoll.total + (monster.damageBonus || 0);
+            const dealt = this.applyDamage(room, target, totalDamage, monster.effect.damageType, { isAttack: true, source: monster });
+            room.chatLog.push({ type: 'combat-hit', text: `${monster.name} dealt ${dealt.amount} damage to ${target.name}. (${damageRoll.breakdown})${dealt.note}`, timestamp: Date.now() });
+            if (monster.effect.onHit && !target.isDowned) this._applyOnHitRider(room, monster, target);
+        }
+    }
+
+    /**
+     * Uses one of a monster's abilities and starts its cooldown. See 7.1 in game-data.js for the ability types.
+     * @param {object[]} candidates Explorers the monster can target.
+     * @param {object} [target] For damage and control abilities, the explorer a human DM picked.
+     */
+    _useMonsterAbility(room, monster, ability, candidates, target = null) {
+        monster.cooldowns[ability.name] = ability.cooldown || 0;
+        if (ability.uses !== undefined) {
+            monster.abilityUses = monster.abilityUses || {}; // Rooms saved before limited uses existed
+            monster.abilityUses[ability.name] = (monster.abilityUses[ability.name] || 0) + 1;
+        }
+
+        switch (ability.type) {
+            case 'damage':
+            case 'control': {
+                target = target || this._chooseMonsterTarget(room, monster, candidates);
+                room.chatLog.push({ type: 'combat-hit', text: `${monster.name} uses ${ability.name} on ${target.name}!`, timestamp: Date.now() });
+                this._applyMonsterAbility(room, monster, ability, target, ability.dice ? this.rollDiceDetailed(room, ability.dice) : null);
+                break;
+            }
+            case 'area': {
+                room.chatLog.push({ type: 'combat-hit', text: `${monster.name} uses ${ability.name} on the whole party!`, timestamp: Date.now() });
+                // One roll for the whole blast; each explorer saves on their own.
+                const damageRoll = ability.dice ? this.rollDiceDetailed(room, ability.dice) : null;
+                candidates.forEach(target => this._applyMonsterAbility(room, monster, ability, target, damageRoll));
+                break;
+            }
+            case 'heal': {
+                const wounded = ability.target === 'ally'
+                    ? room.gameState.board.monsters.filter(m => m.currentHp > 0 && m.currentHp < m.maxHp)
+                    : [monster];
+                const recipient = wounded.reduce((a, b) => (a.currentHp / a.maxHp <= b.currentHp / b.maxHp ? a : b));
+                const healRoll = this.rollDiceDetailed(room, ability.dice);
+                const healed = Math.min(healRoll.total, recipient.maxHp - recipient.currentHp);
+                recipient.currentHp += healed;
+                const who = recipient === monster ? 'itself' : recipient.name;
+                room.chatLog.push({ type: 'system-bad', text: `${monster.name} uses ${ability.name}, healing ${who} for ${healed} HP. (${healRoll.breakdown})`, timestamp: Date.now() });
+                break;
+            }
+            case 'buff': {
+                const recipients = ability.target === 'allies' ? room.gameState.board.monsters.filter(m => m.currentHp > 0) : [monster];
+                room.chatLog.push({ type: 'system-bad', text: `${monster.name} uses ${ability.name}!`, timestamp: Date.now() });
+                recipients.forEach(m => this.applyStatus(room, m, { name: ability.status, duration: ability.duration || 2 }));
+                break;
+            }
+            case 'summon':
+                room.chatLog.push({ type: 'dm', text: `${monster.name} uses ${ability.name}!`, timestamp: Date.now() });
+                this._summonMonsters(room, monster, ability.summon);
+                break;
+            case 'utility':
+                room.chatLog.push({ type: 'combat', text: `${monster.name} uses ${ability.name}!`, timestamp: Date.now() });
+                if (ability.status) this.applyStatus(room, monster, { name: ability.status, duration: ability.duration || 2 });
+                if (ability.resetAggro) {
+                    monster.aggro = {};
+                    room.chatLog.push({ type: 'combat', text: `${monster.name} loses track of its pursuers.`, timestamp: Date.now() });
                 }
+                break;
+        }
+    }
 
-                const outcome = totalRoll >= targetAC ? 'Hit' : 'Miss';
-                room.chatLog.push({ type: 'combat', text: `${npc.name} attacks ${targetMonster.name} with ${weapon.name}... Rolled a ${totalRoll}. It's a ${outcome}!`, timestamp: Date.now() });
+    /**
+     * Resolves a damage, control or area ability against one explorer, who may resist with a save.
+     * @param {object|null} damageRoll The ability's rolled damage, if it deals any.
+     */
+    _applyMonsterAbility(room, monster, ability, target, damageRoll) {
+        const saved = ability.save ? this.rollSavingThrow(room, target, ability.save, ability.name) : false;
+        if (damageRoll) {
+            const dealt = this.applyDamage(room, target, this.applySaveToDamage(damageRoll.total, ability.save, saved), ability.damageType, { isAttack: true, source: monster });
+            room.chatLog.push({ type: 'combat-hit', text: `${target.name} takes ${dealt.amount} damage. (${damageRoll.breakdown})${dealt.note}`, timestamp: Date.now() });
+        }
+        if (ability.status && !saved && !target.isDowned) this.applyStatus(room, target, { name: ability.status, duration: ability.duration || 2 });
+    }
 
-                if (outcome === 'Hit') {
-                    const damageRoll = this.rollDice(weapon.effect.dice);
-                    const totalDamage = damageRoll + npc.stats.damageBonus;
-                    targetMonster.currentHp -= totalDamage;
-                    room.chatLog.push({ type: 'combat-hit', text: `${npc.name} dealt ${totalDamage} damage to ${targetMonster.name}.`, timestamp: Date.now() });
+    // Brings `summon.count` monsters (default 1) from the `summon.tier` deck into play on a summoner's behalf.
+    _summonMonsters(room, summoner, summon) {
+        for (let i = 0; i < (summon.count || 1); i++) {
+            const add = this._spawnMonster(room, summon.tier);
+            if (add) room.chatLog.push({ type: 'system-bad', text: `${summoner.name} summons a ${add.name}!`, timestamp: Date.now() });
+        }
+    }
 
-                    if (targetMonster.currentHp <= 0) {
-                        this.handleMonsterDefeated(room, targetMonster.id, npc.id);
-                    }
-                }
+    // Resolves a monster's `effect.onHit` rider (extra damage and/or a status) against the explorer it just hit.
+    _applyOnHitRider(room, monster, target) {
+        const rider = monster.effect.onHit;
+        if (rider.save && this.rollSavingThrow(room, target, rider.save, monster.name)) return;
+        if (rider.dice) {
+            const riderRoll = this.rollDiceDetailed(room, rider.dice);
+            const dealt = this.applyDamage(room, target, riderRoll.total, rider.damageType, { source: monster });
+            room.chatLog.push({ type: 'combat-hit', text: `${target.name} takes ${dealt.amount} extra damage. (${riderRoll.breakdown})${dealt.note}`, timestamp: Date.now() });
+        }
+        if (rider.status && !target.isDowned) this.applyStatus(room, target, { name: rider.status, duration: rider.duration || 2 });
+    }
+
+    /**
+     * The monster traits (`traits`, see 7.1 in game-data.js) that fire for this hook.
+     * @param {object} creature A monster. Players have no traits, so get none.
+     * @param {{melee?: boolean}} [context] What the traits' conditions are checked against.
+     * @returns {object[]}
+     */
+    _triggerMonsterTraits(room, creature, hook, { melee = false } = {}) {
+        const conditions = {
+            melee,
+            'ally-present': room.gameState.board.monsters.some(m => m !== creature && m.currentHp > 0),
+        };
+        return (creature.traits || []).filter(t => t.hook === hook && (!t.condition || conditions[t.condition]));
+    }
+
+    /**
+     * Picks which explorer a monster goes after and logs why, so players can learn to play around it.
+     * Bosses change their strategy between phases.
+     * @param {object[]} candidates Explorers the monster can target.
+     */
+    _chooseMonsterTarget(room, monster, candidates) {
+        const { target, reason } = chooseMonsterTarget({
+            monster,
+            candidates,
+            round: room.gameState.turnCount,
+            random: () => this.random(room),
+        });
+        room.chatLog.push({ type: 'combat', text: `${monster.name} targets ${target.name} (${reason}).`, timestamp: Date.now() });
+        return target;
+    }
+
+    /**
+     * Makes monsters take note of an explorer (see `gameData.aggroRules`). NPC explorers build aggro too.
+     * @param {object} explorer The explorer who provoked them.
+     * @param {number} amount Aggro to add, already scaled by the matching rule.
+     * @param {object[]} [monsters] The monsters provoked. Defaults to every monster on the board.
+     */
+    _addAggro(room, explorer, amount, monsters = room.gameState.board.monsters) {
+        if (explorer?.role !== 'Explorer') return;
+        monsters.forEach(m => addAggro(m, explorer.playerId, Math.round(amount)));
+    }
+
+    /**
+     * Moves every boss on the board into the phase matching its remaining HP.
+     * Call after damaging monsters. Phases only ever advance, and each one is entered in order.
+     * @returns {boolean} Whether any boss changed phase.
+     */
+    updateBossPhases(room) {
+        let changed = false;
+        room.gameState.board.monsters.filter(m => m.phases && m.currentHp > 0).forEach(boss => {
+            const hpFraction = boss.currentHp / boss.maxHp;
+            while (boss.phaseIndex + 1 < boss.phases.length && hpFraction <= boss.phases[boss.phaseIndex + 1].hpThreshold) {
+                this._enterBossPhase(room, boss, boss.phaseIndex + 1);
+                changed = true;
             }
+        });
+        return changed;
+    }
+
+    // Applies a boss phase: new abilities and targeting, plus any summons and arena card.
+    _enterBossPhase(room, boss, phaseIndex) {
+        const phase = boss.phases[phaseIndex];
+        boss.phaseIndex = phaseIndex;
+        boss.phaseName = phase.name;
+        boss.abilities = phase.abilities || [];
+        boss.targeting = phase.targeting || 'random';
+        boss.cooldowns = {};
+        if (room.gameState.boss?.id === boss.id) room.gameState.boss.phase = phase.name;
+        if (phaseIndex === 0) return; // The opening phase is part of the boss's entrance.
+
+        room.chatLog.push({ type: 'dm', text: `${boss.name} enters a new phase: ${phase.name}!`, timestamp: Date.now() });
+        if (phase.text) room.chatLog.push({ type: 'system-bad', text: phase.text, timestamp: Date.now() });
+
+        if (phase.summon) this._summonMonsters(room, boss, phase.summon);
+
+        const arenaData = gameData.arenaCards.find(card => card.name === phase.arena);
+        if (arenaData && !room.gameState.board.environment.some(card => card.name === arenaData.name)) {
+            room.gameState.board.environment.push({ ...arenaData, id: this.generateUniqueCardId(room) });
+            room.chatLog.push({ type: 'dm', text: `The arena changes: ${arenaData.name}!`, timestamp: Date.now() });
         }
+    }
+
+    /**
+     * Plays an NPC explorer's turn. The planner (see npc-planner.js) picks one action at a time, which goes through
+     * the same handlers as a player's, until the NPC runs out of AP or nothing is worth doing.
+     */
+    async handleNpcExplorerTurn(room, npc) {
+        const profile = gameData.npcProfiles[room.settings.npcProfile] || gameData.npcProfiles[gameData.defaultNpcProfile];
+        const refused = new Set(); // Actions the handlers turned down (or that did nothing) this turn, so the NPC doesn't keep trying them.
+
+        for (let step = 0; step < MAX_NPC_ACTIONS_PER_TURN; step++) {
+            if (room.gameState.phase !== 'started' || npc.isDowned || this.getBlockingStatus(npc)) break;
+            const plan = planNpcAction({
+                npc,
+                explorers: Object.values(room.players).filter(p => p.role === 'Explorer' && !p.disconnected),
+                monsters: room.gameState.board.monsters,
+                environment: room.gameState.board.environment,
+                skillChallenge: room.gameState.skillChallenge,
+                profile,
+                maxSpellLevel: this.getMaxSpellLevel(npc),
+                canAttack: !this.getBlockingStatus(npc, 'attack'),
+                scaleDamage: (target, amount, damageType) => this.scaleDamageByType(target, amount, damageType).amount,
+                exclude: refused,
+                random: () => this.random(room),
+            });
+            if (!plan) break;
+
+            const before = this._getNpcActionFootprint(room, npc);
+            const errors = this._performNpcAction(room, npc, plan);
+            // Some handlers turn an action down by quietly returning, so an action that changed nothing counts as refused too.
+            if (errors.length > 0 || this._getNpcActionFootprint(room, npc) === before) refused.add(plan.key);
+            else await new Promise(res => setTimeout(res, 1000)); // Give players a moment to follow along
+        }
+        this.updateBossPhases(room);
         this.emitGameState(room.id);
     }
+
+    /**
+     * Carries out an NPC's action, then rolls whatever dice it's prompted for, the way a player clicks through them.
+     * @param {{action: string, payload: object}} plan From `planNpcAction`.
+     * @returns {string[]} Errors the handlers sent back (empty if the action went through).
+     */
+    _performNpcAction(room, npc, { action, payload }) {
+        const socket = this._createNpcSocket();
+        this._dispatchAction(room, npc, { action, ...payload }, socket);
+        // A prompt can lead to another, e.g. a damage roll after a hit or the next stage of a challenge.
+        for (let i = 0; i < MAX_NPC_ACTIONS_PER_TURN && socket.prompts.length > 0; i++) {
+            this._dispatchAction(room, npc, socket.prompts.shift(), socket);
+        }
+        return socket.errors;
+    }
+
+    // What an NPC's action can change: its AP, hand and gear, the board and the loot pool.
+    _getNpcActionFootprint(room, npc) {
+        const { board, lootPool } = room.gameState;
+        return JSON.stringify([
+            npc.currentAp, npc.hand.map(c => c.id), npc.equipment, npc.usedAbilityThisTurn,
+            board.monsters.map(m => [m.id, m.currentHp]), board.environment.map(c => c.id), lootPool.length,
+        ]);
+    }
+
+    // Stands in for a socket during an NPC's action: errors are collected, and dice prompts become the matching roll.
+    _createNpcSocket() {
+        const rollActions = { promptAttackRoll: 'resolveAttackRoll', promptDamageRoll: 'resolveDamageRoll', promptSkillCheckRoll: 'resolveSkillCheckRoll' };
+        const socket = { errors: [], prompts: [] };
+        socket.emit = (event, data) => {
+            if (event === 'actionError') socket.errors.push(data);
+            else if (rollActions[event]) socket.prompts.push({ ...data, action: rollActions[event] });
+        };
+        return socket;
+    }
     
     handleMonsterDefeated(room, monsterId, killerId) {
         const monsterIndex = room.gameState.board.monsters.findIndex(m => m.id === monsterId);
@@ -849,7 +1632,7 @@ class GameManager {
 
             // Check for loot drop based on room settings.
             const lootDropChance = room.settings.lootDropRate || 80;
-            if (Math.random() * 100 < lootDropChance) {
+            if (this.random(room) * 100 < lootDropChance) {
                 const killer = room.players[killerId];
                 const killerClass = killer ? killer.class : null;
                 const lootCard = this.generateLoot(room.id, killerClass);
@@ -859,11 +1642,14 @@ class GameManager {
                 }
             }
             
-            // Victory condition: after turn 5, if all monsters are gone, explorers win.
-            if (room.gameState.turnCount > 5 && room.gameState.board.monsters.length === 0) {
-                room.gameState.phase = 'game_over';
-                room.gameState.winner = 'Explorers';
+            const xpReward = defeatedMonster.isBoss ? gameData.xpRewards.boss : gameData.xpRewards[defeatedMonster.tier] || gameData.xpRewards.tier1;
+            this.awardXp(room, Object.values(room.players).filter(p => !p.disconnected), xpReward, `defeating ${defeatedMonster.name}`);
+
+            room.gameState.monstersDefeated++;
+            if (room.gameState.boss?.id === defeatedMonster.id) {
+                room.gameState.boss.defeated = true;
             }
+            this.checkGoal(room);
         }
     }
 
@@ -871,19 +1657,40 @@ class GameManager {
     handlePlayerAction(socket, payload) {
         const room = this.findRoomBySocket(socket);
         const player = room?.players[socket.id];
-        if (!room || !player || player.isDowned || room.gameState.isPaused) return;
+        if (!room || !player) return;
+        this._dispatchAction(room, player, payload, socket);
+    }
+
+    /**
+     * Checks that a player may take an action right now and runs its handler.
+     * NPC explorers come through here too (see `_performNpcAction`), so they play by the same rules.
+     */
+    _dispatchAction(room, player, payload, socket) {
+        if (player.isDowned || room.gameState.isPaused) return;
 
         // Block most actions if the player is in the middle of a discovery.
         if (player.isResolvingDiscovery && !['resolveDiscovery', 'resolveDiscoveryRoll'].includes(payload.action)) {
             return socket.emit('actionError', 'You must resolve your discovery first.');
         }
         
+        // A party event involves everyone at once, and nothing else happens until it's resolved.
+        const partyEventActions = ['resolvePartyEventChoice', 'resolvePartyEventCheck', 'resolvePartyEventRoll'];
+        if (room.gameState.phase === 'party_event' && !partyEventActions.includes(payload.action)) {
+            return socket.emit('actionError', 'The party must resolve the event first.');
+        }
+
         const isMyTurn = room.gameState.turnOrder[room.gameState.currentPlayerIndex] === player.id;
-        // Allow certain actions (claiming loot, discarding for new cards) even when it's not your turn.
-        if (!isMyTurn && !['chooseNewCardDiscard', 'claimLoot', 'resolveDiscovery', 'resolveDiscoveryRoll'].includes(payload.action)) {
+        // Allow certain actions (claiming loot, discarding for new cards, party events) even when it's not your turn.
+        if (!isMyTurn && !['chooseNewCardDiscard', 'claimLoot', 'resolveDiscovery', 'resolveDiscoveryRoll', ...partyEventActions].includes(payload.action)) {
             return socket.emit('actionError', "It's not your turn.");
         }
     
+        // Conditions like Stunned block everything; Charmed only blocks attacking.
+        if (isMyTurn) {
+            const blockingStatus = this.getBlockingStatus(player, payload.action);
+            if (blockingStatus) return socket.emit('actionError', `You are ${blockingStatus} and cannot do that.`);
+        }
+
         const actions = {
             'attack': this.resolveAttack,
             'resolveAttackRoll': this.resolveAttackRoll,
@@ -896,17 +1703,23 @@ class GameManager {
             'resolveDiscoveryRoll': this.resolveDiscoveryRoll,
             'guard': this.resolveGuard,
             'respite': this.resolveRespite,
+            'stabilize': this.resolveStabilize,
             'rest': this.resolveRest,
             'discardCard': this.resolveDiscardCard,
             'useAbility': this.resolveUseAbility,
             'resolveSkillCheck': this.resolveSkillCheck,
             'resolveSkillCheckRoll': this.resolveSkillCheckRoll,
             'resolveSkillInteraction': this.resolveSkillInteraction,
+            'resolvePartyEventChoice': this.resolvePartyEventChoice,
+            'resolvePartyEventCheck': this.resolvePartyEventCheck,
+            'resolvePartyEventRoll': this.resolvePartyEventRoll,
         };
     
         const actionHandler = actions[payload.action];
         if (actionHandler) {
             actionHandler.call(this, room, player, payload, socket);
+            // Damage dealt by the action may push a boss into its next phase.
+            if (this.updateBossPhases(room)) this.emitGameState(room.id);
         }
     }
     
@@ -917,7 +1730,7 @@ class GameManager {
         }
 
         const weapon = cardId === 'unarmed' 
-            ? { id: 'unarmed', name: 'Fists', effect: { dice: '1d4' }, apCost: 1 }
+            ? { id: 'unarmed', name: 'Fists', effect: { dice: '1d4', damageType: 'Bludgeoning' }, apCost: 1 }
             : Object.values(player.equipment).find(e => e && e.id === cardId);
 
         if (!weapon) return;
@@ -926,18 +1739,23 @@ class GameManager {
         player.currentAp -= weapon.apCost;
         const target = room.gameState.board.monsters.find(m => m.id === targetId);
         if (!target) return;
+        this.endStatusesOnAction(room, player, 'attack');
         
         // ROBUSTNESS: Store the context of the attack on the player object
         // This prevents issues if the client state is lost between roll prompts.
         player.pendingAttack = { weaponId: cardId, targetId: targetId };
         
-        const bonus = player.stats.hitBonus || 0;
+        // Preview only: once-per-turn specials are spent when the roll is actually made.
+        const { hitBonus, targetAC } = this._getAttackModifiers(player, weapon, target, { consume: false });
+        const { mode, bonus, sources } = this.getRollModifiers(room, { roll: 'attack', roller: player, target, ranged: !!weapon.effect.ranged });
         
         socket.emit('promptAttackRoll', {
             title: `Attacking ${target.name}`,
-            dice: '1d20',
-            bonus,
-            targetAC: target.requiredRollToHit,
+            dice: D20_BY_MODE[mode],
+            bonus: hitBonus + bonus,
+            targetAC,
+            rollMode: mode,
+            rollSources: sources.filter(s => s.mode).map(s => s.name),
             weaponId: cardId,
             targetId: targetId,
         });
@@ -955,7 +1773,7 @@ class GameManager {
         
         const target = room.gameState.board.monsters.find(m => m.id === targetId);
         const weapon = weaponId === 'unarmed' 
-            ? { id: 'unarmed', name: 'Fists', effect: { dice: '1d4' } }
+            ? { id: 'unarmed', name: 'Fists', effect: { dice: '1d4', damageType: 'Bludgeoning' } }
             : Object.values(player.equipment).find(e => e && e.id === weaponId);
 
         if (!target || !weapon || !weapon.effect || !weapon.effect.dice) {
@@ -965,6 +1783,49 @@ class GameManager {
         return { weapon, target };
     }
 
+    /**
+     * Checks whether a weapon's special (`effect.special`, see game-data.js) fires at this point of an attack.
+     * Once-per-turn specials are marked as used when they fire, unless `consume` is false.
+     * @returns {object|null} The special's `effects` if it fires.
+     */
+    _triggerWeaponSpecial(player, weapon, trigger, { isFirstAttack = false, consume = true } = {}) {
+        const special = weapon.effect?.special;
+        if (!special || special.trigger !== trigger) return null;
+        if (trigger === 'first-attack' && !isFirstAttack) return null;
+        if (special.condition === 'braced' && !player.wasBracing) return null;
+        if (special.limit === 'once-per-turn') {
+            player.weaponSpecialsUsed = player.weaponSpecialsUsed || [];
+            if (player.weaponSpecialsUsed.includes(special.name)) return null;
+            if (consume) player.weaponSpecialsUsed.push(special.name);
+        }
+        return special.effects || {};
+    }
+
+    /**
+     * Works out the attack roll bonus and the roll needed to hit, including 'on-attack' weapon specials.
+     * @returns {{hitBonus: number, targetAC: number, specialName: string|null}}
+     */
+    _getAttackModifiers(player, weapon, target, { consume = true } = {}) {
+        const effects = this._triggerWeaponSpecial(player, weapon, 'on-attack', { consume });
+        return {
+            hitBonus: (player.stats.hitBonus || 0) + (effects?.hitBonus || 0),
+            targetAC: target.requiredRollToHit - (effects?.ignoreShield || 0),
+            specialName: effects ? weapon.effect.special.name : null,
+        };
+    }
+
+    /**
+     * Rolls the extra damage from 'on-hit' and 'first-attack' weapon specials.
+     * @returns {{total: number, text: string}} `text` is appended to the damage log ('' if nothing fired).
+     */
+    _rollSpecialDamage(room, player, weapon, { isFirstAttack = false } = {}) {
+        const effects = this._triggerWeaponSpecial(player, weapon, 'on-hit')
+            || this._triggerWeaponSpecial(player, weapon, 'first-attack', { isFirstAttack });
+        if (!effects?.bonusDamage) return { total: 0, text: '' };
+        const bonusRoll = this.rollDiceDetailed(room, effects.bonusDamage);
+        return { total: bonusRoll.total, text: ` ${weapon.effect.special.name}: +${bonusRoll.total} (${bonusRoll.breakdown}).` };
+    }
+
     resolveAttackRoll(room, player, payload, socket) {
         try {
             const context = this._getAttackContext(room, player, payload);
@@ -974,23 +1835,36 @@ class GameManager {
                 return;
             }
             const { weapon, target } = context;
+            const isExtraAttack = !!player.pendingAttack?.isExtraAttack;
     
-            const hitBonus = player.stats.hitBonus || 0;
-            const hitRoll = this.rollDice('1d20');
-            const totalRoll = hitRoll + hitBonus;
+            const { hitBonus, targetAC, specialName } = this._getAttackModifiers(player, weapon, target);
+            if (specialName) {
+                room.chatLog.push({ type: 'action', text: `${player.name}'s ${weapon.name} uses ${specialName}!`, timestamp: Date.now() });
+            }
+            const hitResult = this.rollD20(room, { roll: 'attack', roller: player, target, ranged: !!weapon.effect.ranged });
+            const hitRoll = hitResult.roll;
+            const totalRoll = hitRoll + hitBonus + hitResult.bonus;
             
+            let grantsExtraAttack = false;
             if (hitRoll === 20) { // Critical Hit!
                 room.gameState.partyHope = Math.min(10, room.gameState.partyHope + 1);
                 room.chatLog.push({ type: 'system-good', text: `${player.name} landed a CRITICAL HIT! Party Hope increases!`, timestamp: Date.now() });
+                // An extra attack can't chain into another one.
+                grantsExtraAttack = !isExtraAttack && !!this._triggerWeaponSpecial(player, weapon, 'on-crit')?.extraAttack;
             }
     
-            const outcome = totalRoll >= target.requiredRollToHit ? 'Hit' : 'Miss';
+            const outcome = totalRoll >= targetAC ? 'Hit' : 'Miss';
+            room.chatLog.push({ type: 'combat', text: `${player.name} attacks ${target.name} with ${weapon.name}... Rolled a ${totalRoll}. It's a ${outcome}!${hitResult.note}`, timestamp: Date.now() });
+            const isFirstAttack = !target.wasAttacked;
+            target.wasAttacked = true;
             
             // REFACTORED: This payload is now just for the attack outcome.
             const resultPayload = {
                 rollerId: player.id, rollerName: player.name, targetName: target.name,
                 weaponName: weapon.name,
-                roll: hitRoll, bonus: hitBonus, total: totalRoll, targetAC: target.requiredRollToHit,
+                roll: hitRoll, bonus: hitBonus + hitResult.bonus, total: totalRoll, targetAC,
+                faces: hitResult.faces, breakdown: hitResult.breakdown,
+                rollMode: hitResult.mode, rollSources: hitResult.sources,
                 outcome,
             };
             
@@ -998,6 +1872,8 @@ class GameManager {
             io.to(room.id).emit('attackResolved', resultPayload);
     
             if (outcome === 'Hit') {
+                // Remember what the damage roll needs to know about this attack.
+                player.pendingAttack = { weaponId: weapon.id, targetId: target.id, isFirstAttack, grantsExtraAttack };
                 // If it's a hit, directly command the attacker's client to prompt for a damage roll.
                 // This is more robust than relying on client-side timeouts.
                 const damageRollData = {
@@ -1030,11 +1906,24 @@ class GameManager {
                 return;
             }
             const { weapon, target } = context;
-
-            const damageRoll = this.rollDice(weapon.effect.dice);
-            const damageBonus = player.stats.damageBonus || 0;
-            const totalDamage = Math.max(1, damageRoll + damageBonus);
+            const { isFirstAttack = false, grantsExtraAttack = false } = player.pendingAttack || {};
+
+            const damageResult = this.rollDiceDetailed(room, weapon.effect.dice);
+            const damageRoll = damageResult.total;
+            const specialDamage = this._rollSpecialDamage(room, player, weapon, { isFirstAttack });
+            const damageBonus = (player.stats.damageBonus || 0) + specialDamage.total;
+            const dealt = this.scaleDamageByType(target, Math.max(1, damageRoll + damageBonus), weapon.effect.damageType);
+            const totalDamage = dealt.amount;
             target.currentHp -= totalDamage;
+            this._addAggro(room, player, totalDamage * gameData.aggroRules.damage, [target]);
+            room.chatLog.push({ type: 'combat-hit', text: `${player.name} hit ${target.name} with ${weapon.name} for ${totalDamage} damage. (${damageResult.breakdown})${specialDamage.text}${dealt.note}`, timestamp: Date.now() });
+            // e.g. Heated Body burning whoever strikes it in melee.
+            this._triggerMonsterTraits(room, target, 'on-struck', { melee: !weapon.effect.ranged }).forEach(trait => {
+                const { dice: retaliateDice, damageType } = trait.effects.retaliate;
+                const burnRoll = this.rollDiceDetailed(room, retaliateDice);
+                const burned = this.applyDamage(room, player, burnRoll.total, damageType);
+                room.chatLog.push({ type: 'combat-hit', text: `${target.name}'s ${trait.name} deals ${burned.amount} damage to ${player.name}. (${burnRoll.breakdown})${burned.note}`, timestamp: Date.now() });
+            });
             
             let wasDefeated = false;
             if (target.currentHp <= 0) {
@@ -1049,13 +1938,35 @@ class GameManager {
                 targetName: target.name,
                 damageDice: weapon.effect.dice,
                 damageRoll,
+                damageFaces: damageResult.faces,
+                damageBreakdown: damageResult.breakdown,
                 damageBonus,
+                damageType: weapon.effect.damageType || null,
+                damageMultiplier: dealt.multiplier,
                 totalDamage,
                 wasDefeated,
             };
 
             io.to(room.id).emit('damageResolved', damagePayload);
             delete player.pendingAttack; // ROBUSTNESS: Clear pending attack after damage is resolved.
+
+            if (grantsExtraAttack && !wasDefeated) {
+                // e.g. Savage Chop: a free follow-up attack against the same target.
+                player.pendingAttack = { weaponId: weapon.id, targetId: target.id, isExtraAttack: true };
+                const { hitBonus, targetAC } = this._getAttackModifiers(player, weapon, target, { consume: false });
+                const { mode, bonus, sources } = this.getRollModifiers(room, { roll: 'attack', roller: player, target, ranged: !!weapon.effect.ranged });
+                room.chatLog.push({ type: 'action-good', text: `${weapon.effect.special.name}! ${player.name} gets another attack on ${target.name}.`, timestamp: Date.now() });
+                socket.emit('promptAttackRoll', {
+                    title: `${weapon.effect.special.name} vs ${target.name}`,
+                    dice: D20_BY_MODE[mode],
+                    bonus: hitBonus + bonus,
+                    targetAC,
+                    rollMode: mode,
+                    rollSources: sources.filter(s => s.mode).map(s => s.name),
+                    weaponId: weapon.id,
+                    targetId: target.id,
+                });
+            }
             this.emitGameState(room.id);
         } catch (e) {
             console.error("Critical error in resolveDamageRoll:", e);
@@ -1065,33 +1976,217 @@ class GameManager {
     }
 
 
-    // Applies damage, accounting for shield HP first.
-    applyDamage(room, target, damageAmount) {
-        if (!target || target.isDowned) return;
+    /**
+     * Scales damage by the target's weakness, resistance or immunity to its type.
+     * Monsters declare these on themselves; players get them from equipped armor and active effects.
+     * @returns {{amount: number, multiplier: number, note: string}} `note` is appended to the damage log ('' when unchanged).
+     */
+    scaleDamageByType(target, damageAmount, damageType) {
+        if (!target || !damageType) return { amount: damageAmount, multiplier: 1, note: '' };
+
+        const sources = target.equipment
+            ? [...Object.values(target.equipment).map(item => item?.effect), ...(target.statusEffects || [])]
+            : [target];
+        const has = (key) => sources.some(source => source?.[key]?.includes(damageType));
+
+        let multiplier = 1;
+        let label = '';
+        if (has('immunities')) {
+            multiplier = gameData.damageMultipliers.immunity;
+            label = 'immune';
+        } else if (has('weaknesses') !== has('resistances')) { // Both at once cancel out
+            multiplier = has('weaknesses') ? gameData.damageMultipliers.weakness : gameData.damageMultipliers.resistance;
+            label = has('weaknesses') ? 'weakness' : 'resisted';
+        }
+
+        const amount = Math.floor(damageAmount * multiplier);
+        const note = multiplier === 1 ? '' : ` [${damageType} ${label} x${multiplier}]`;
+        return { amount, multiplier, note };
+    }
+
+    // Applies damage, accounting for damage type, armor passives and then shield HP.
+    // Returns the damage actually dealt (see `scaleDamageByType`) so callers can log it.
+    // `source` is the monster dealing it, whose traits may react (e.g. Life Drain).
+    applyDamage(room, target, damageAmount, damageType, { isAttack = false, source = null } = {}) {
+        if (!target || target.isDowned) return { amount: 0, multiplier: 1, note: '' };
+
+        const dealt = this.scaleDamageByType(target, damageAmount, damageType);
+        const reduction = this._triggerArmorPassive(target, 'on-damaged', { isAttack })?.damageReduction || 0;
+        if (reduction > 0 && dealt.amount > 0) {
+            const reduced = Math.min(reduction, dealt.amount);
+            dealt.amount -= reduced;
+            dealt.note += ` [${target.equipment.armor.name} -${reduced}]`;
+        }
+        damageAmount = dealt.amount;
 
         const shieldDamage = Math.min(damageAmount, target.stats.shieldHp);
         target.stats.shieldHp -= shieldDamage;
         damageAmount -= shieldDamage;
 
+        // Temporary HP from world events (e.g. Last Stand) goes next.
+        const tempDamage = Math.min(damageAmount, target.stats.tempHp || 0);
+        target.stats.tempHp = (target.stats.tempHp || 0) - tempDamage;
+        damageAmount -= tempDamage;
+
+        // Drain works off the HP the target actually lost, not what shields soaked or overkill past 0.
+        const hpLost = Math.max(0, Math.min(damageAmount, target.stats.currentHp));
         if (damageAmount > 0) target.stats.currentHp -= damageAmount;
 
+        if (source && hpLost > 0) {
+            this._triggerMonsterTraits(room, source, 'on-deal-damage').forEach(trait => {
+                const healed = Math.min(Math.floor(hpLost * trait.effects.drain), source.maxHp - source.currentHp);
+                if (healed <= 0) return;
+                source.currentHp += healed;
+                room.chatLog.push({ type: 'system-bad', text: `${source.name} drains ${healed} HP from ${target.name}. (${trait.name})`, timestamp: Date.now() });
+            });
+        }
+
         if (target.stats.currentHp <= 0) {
             target.stats.currentHp = 0;
             target.isDowned = true;
             // If a player is downed, reduce Party Hope
             if (target.role === 'Explorer') {
+                target.isStable = false;
+                target.deathSaves = { successes: 0, failures: 0 };
                 room.gameState.partyHope = Math.max(0, room.gameState.partyHope - 1);
-                room.chatLog.push({ type: 'system-bad', text: `${target.name} has been downed! Party Hope falters.`, timestamp: Date.now() });
+                room.chatLog.push({ type: 'system-bad', text: `${target.name} has been downed and is dying! Party Hope falters.`, timestamp: Date.now() });
             }
+        } else if (target.equipment) {
+            // HP changed, so conditional armor bonuses (e.g. Fury Cuirass) may now apply.
+            target.stats = this.calculatePlayerStats(target, room.gameState.partyHope);
         }
+        return dealt;
+    }
+
+    /**
+     * The bonus a creature adds to a saving throw. Explorers save with their ability scores; monsters use
+     * their own `saves` entry, or the default for their tier (see `gameData.monsterSaveBonuses`).
+     */
+    getSaveBonus(creature, stat) {
+        if (creature.equipment) return creature.stats[stat] || 0;
+        return creature.saves?.[stat] ?? gameData.monsterSaveBonuses[creature.tier] ?? 0;
+    }
+
+    /**
+     * Rolls a saving throw against an effect's `save` and broadcasts the roll to the whole room.
+     * @param {object} creature A player or monster.
+     * @param {{stat: string, dc: number, onSuccess: string}} save
+     * @param {string} sourceName What forced the save (a spell, ability or hazard), for the log.
+     * @returns {boolean} Whether the save succeeded.
+     */
+    rollSavingThrow(room, creature, save, sourceName) {
+        const saveRoll = this.rollD20(room, { roll: 'save', roller: creature, stat: save.stat });
+        const roll = saveRoll.roll;
+        const bonus = this.getSaveBonus(creature, save.stat) + saveRoll.bonus;
+        const total = roll + bonus;
+        const outcome = total >= save.dc ? 'Success' : 'Failure';
+
+        room.chatLog.push({ type: 'system', text: `${creature.name} makes a ${save.stat.toUpperCase()} save against ${sourceName}... (Roll: ${roll} + ${bonus} = ${total} vs DC ${save.dc}) - ${outcome}!${saveRoll.note}`, timestamp: Date.now() });
+        io.to(room.id).emit('savingThrowResolved', { rollerId: creature.id, rollerName: creature.name, stat: save.stat, source: sourceName, roll, bonus, total, targetAC: save.dc, rollMode: saveRoll.mode, rollSources: saveRoll.sources, outcome });
+        return outcome === 'Success';
+    }
+
+    // The damage left after a save: full on a failure (or when there was no save), half or none on a success.
+    applySaveToDamage(damageAmount, save, saved) {
+        if (!saved) return damageAmount;
+        return save.onSuccess === 'half' ? Math.floor(damageAmount / 2) : 0;
+    }
+
+    // A downed explorer who still makes death saves.
+    isDying(player) {
+        return player.isDowned && !player.isStable && !player.isDead;
+    }
+
+    /**
+     * A dying explorer's death saving throw, made at the start of their turn (see `gameData.dyingRules`).
+     * Advantage, disadvantage and bonuses on saves apply, but no ability bonus does.
+     */
+    rollDeathSave(room, player) {
+        const { deathSaveDc, successesToStabilize, failuresToDie } = gameData.dyingRules;
+        const saveRoll = this.rollD20(room, { roll: 'save', roller: player });
+        const roll = saveRoll.roll;
+        const total = roll + saveRoll.bonus;
+        const outcome = total >= deathSaveDc ? 'Success' : 'Failure';
+        io.to(room.id).emit('savingThrowResolved', { rollerId: player.id, rollerName: player.name, stat: 'death', source: 'their wounds', roll, bonus: saveRoll.bonus, total, targetAC: deathSaveDc, rollMode: saveRoll.mode, rollSources: saveRoll.sources, outcome });
+
+        if (roll === 20) {
+            room.chatLog.push({ type: 'system-good', text: `${player.name} makes a death save... (Roll: 20) - a natural 20! They rally.${saveRoll.note}`, timestamp: Date.now() });
+            this.healExplorer(room, player, 1);
+            return;
+        }
+        if (outcome === 'Success') player.deathSaves.successes++;
+        else player.deathSaves.failures += roll === 1 ? 2 : 1;
+        const { successes, failures } = player.deathSaves;
+        room.chatLog.push({ type: outcome === 'Success' ? 'system' : 'system-bad', text: `${player.name} makes a death save... (Roll: ${roll} + ${saveRoll.bonus} = ${total} vs DC ${deathSaveDc}) - ${outcome}! (Successes: ${successes}, failures: ${failures})${saveRoll.note}`, timestamp: Date.now() });
+
+        if (failures >= failuresToDie) {
+            this._loseDyingExplorer(room, player);
+        } else if (successes >= successesToStabilize) {
+            player.isStable = true;
+            room.chatLog.push({ type: 'system-good', text: `${player.name} has stabilized, but is still down.`, timestamp: Date.now() });
+        }
+    }
+
+    // Out of death saves: dead with permadeath on, otherwise knocked out until someone heals them.
+    _loseDyingExplorer(room, player) {
+        const { hope } = gameData.dyingRules;
+        if (room.settings.permadeath) {
+            player.isDead = true;
+            room.gameState.partyHope = Math.max(0, room.gameState.partyHope + hope.death);
+            room.chatLog.push({ type: 'system-bad', text: `${player.name} has died. Party Hope plummets.`, timestamp: Date.now() });
+        } else {
+            player.isStable = true;
+            room.gameState.partyHope = Math.max(0, room.gameState.partyHope + hope.knockedOut);
+            room.chatLog.push({ type: 'system-bad', text: `${player.name} falls unconscious and will need healing to get back up. Party Hope falters.`, timestamp: Date.now() });
+        }
+    }
+
+    /**
+     * Restores HP to an explorer. Healing a downed explorer revives them, which lifts Party Hope.
+     * Explorers who have died (with permadeath on) can't be healed.
+     * @param {object} [healer] The explorer doing the healing, who draws the monsters' aggro for it.
+     * @returns {number} The HP actually restored.
+     */
+    healExplorer(room, target, amount, healer = null) {
+        if (target.isDead) {
+            room.chatLog.push({ type: 'system-bad', text: `${target.name} is beyond saving.`, timestamp: Date.now() });
+            return 0;
+        }
+        const before = target.stats.currentHp;
+        target.stats.currentHp = Math.min(target.stats.maxHp, before + amount);
+        if (target.isDowned && target.stats.currentHp > 0) {
+            target.isDowned = false;
+            target.isStable = false;
+            target.deathSaves = { successes: 0, failures: 0 };
+            room.gameState.partyHope = Math.min(10, room.gameState.partyHope + gameData.dyingRules.hope.revive);
+            room.chatLog.push({ type: 'system-good', text: `${target.name} is back on their feet! Party Hope rises.`, timestamp: Date.now() });
+            target.stats = this.calculatePlayerStats(target, room.gameState.partyHope);
+        }
+        const restored = target.stats.currentHp - before;
+        if (healer) this._addAggro(room, healer, restored * gameData.aggroRules.healing);
+        return restored;
     }
     
-    resolveUseConsumable(room, player, { cardId, targetId }, socket) {
+    resolveUseConsumable(room, player, { cardId, targetId, targetIds }, socket) {
         const cardIndex = player.hand.findIndex(c => c.id === cardId);
         if (cardIndex === -1) return;
         const card = player.hand[cardIndex];
     
         if (player.currentAp < card.apCost) return socket.emit('actionError', "Not enough AP.");
+
+        // Scrolls cast the spell they name, with that spell's targeting. No spell level is needed to read one.
+        const scrollSpell = card.effect.type === 'spell' ? spellsByName[card.effect.spellName] : null;
+        let scrollTargets = [];
+        if (card.effect.type === 'spell') {
+            if (!scrollSpell) return socket.emit('actionError', 'The writing on this scroll has faded.');
+            const { targets, error } = this._getSpellTargets(room, player, scrollSpell, targetIds || (targetId ? [targetId] : []));
+            if (error) return socket.emit('actionError', error);
+            scrollTargets = targets;
+        }
+        if (card.effect.type === 'taunt' && !room.gameState.board.monsters.some(m => m.id === targetId)) {
+            return socket.emit('actionError', 'Choose a monster to taunt.');
+        }
+
         player.currentAp -= card.apCost;
         
         player.hand.splice(cardIndex, 1);
@@ -1104,32 +2199,39 @@ class GameManager {
         switch (effect.type) {
             case 'heal':
                 if (targetPlayer) {
-                    const healing = this.rollDice(effect.dice);
-                    targetPlayer.stats.currentHp = Math.min(targetPlayer.stats.maxHp, targetPlayer.stats.currentHp + healing);
+                    const healing = this.rollDice(room, effect.dice);
                     room.chatLog.push({ type: 'system-good', text: `${player.name} uses ${card.name} on ${targetPlayer.name}, healing for ${healing} HP.`, timestamp: Date.now() });
+                    this.healExplorer(room, targetPlayer, healing, player);
                 }
                 break;
             case 'damage':
                 if (targetMonster) {
-                    const damage = this.rollDice(effect.dice);
-                    targetMonster.currentHp -= damage;
-                    room.chatLog.push({ type: 'combat-hit', text: `${player.name} uses ${card.name} on ${targetMonster.name}, dealing ${damage} damage.`, timestamp: Date.now() });
+                    const damageRoll = this.rollDiceDetailed(room, effect.dice);
+                    const dealt = this.scaleDamageByType(targetMonster, damageRoll.total, effect.damageType);
+                    targetMonster.currentHp -= dealt.amount;
+                    this._addAggro(room, player, dealt.amount * gameData.aggroRules.damage, [targetMonster]);
+                    room.chatLog.push({ type: 'combat-hit', text: `${player.name} uses ${card.name} on ${targetMonster.name}, dealing ${dealt.amount} damage. (${damageRoll.breakdown})${dealt.note}`, timestamp: Date.now() });
                     if (targetMonster.currentHp <= 0) this.handleMonsterDefeated(room, targetMonster.id, player.id);
+                    else if (effect.status) this.applyStatus(room, targetMonster, { name: effect.status, duration: effect.duration || 2 });
                 }
                 break;
             case 'buff':
                 if (targetPlayer) {
-                    const newEffect = {
-                        name: card.name,
-                        duration: effect.duration || 2,
-                        bonuses: effect.bonuses || {},
-                        status: effect.status || null,
-                    };
-                    targetPlayer.statusEffects.push(newEffect);
-                    targetPlayer.stats = this.calculatePlayerStats(targetPlayer, room.gameState.partyHope);
                     room.chatLog.push({ type: 'system-good', text: `${player.name} uses ${card.name} on ${targetPlayer.name}, granting a boon.`, timestamp: Date.now() });
+                    this.applyStatus(room, targetPlayer, { name: card.name, duration: effect.duration || 2, bonuses: effect.bonuses || {} }, { silent: true });
+                    if (effect.status) this.applyStatus(room, targetPlayer, { name: effect.status, duration: effect.duration || 2 });
                 }
                 break;
+            case 'spell':
+                room.chatLog.push({ type: 'system', text: `${player.name} reads ${card.name} aloud.`, timestamp: Date.now() });
+                this.endStatusesOnAction(room, player, 'castSpell');
+                player.lastCastRound = room.gameState.turnCount;
+                this._resolveSpellEffect(room, player, scrollSpell, scrollTargets);
+                break;
+            case 'taunt':
+                room.chatLog.push({ type: 'action', text: `${player.name} uses ${card.name}, taunting ${targetMonster.name}!`, timestamp: Date.now() });
+                this.applyStatus(room, targetMonster, { name: 'Taunted', duration: effect.duration || 1, sourceId: player.playerId });
+                break;
             case 'utility':
                 if (targetPlayer && effect.status === 'Cure Poison') {
                     targetPlayer.statusEffects = targetPlayer.statusEffects.filter(e => e.name !== 'Poisoned');
@@ -1157,72 +2259,139 @@ class GameManager {
         room.chatLog.push({ type: logType, text, timestamp: Date.now() });
     }
 
-    resolveCastSpell(room, player, { cardId, targetId }, socket) {
+    resolveCastSpell(room, player, { cardId, targetId, targetIds }, socket) {
         const cardIndex = player.hand.findIndex(c => c.id === cardId);
         if (cardIndex === -1) return socket.emit('actionError', 'Spell card not found in hand.');
         const card = player.hand[cardIndex];
     
         if (card.type !== 'Spell') return socket.emit('actionError', 'That card is not a spell.');
+        if ((card.level || 1) > this.getMaxSpellLevel(player)) {
+            const requiredLevel = gameData.spellLevelUnlocks.indexOf(card.level) + 1;
+            return socket.emit('actionError', `You must reach level ${requiredLevel} to cast level ${card.level} spells.`);
+        }
         if (player.currentAp < (card.apCost || 0)) return socket.emit('actionError', 'Not enough AP to cast the spell.');
+        const { targets, error } = this._getSpellTargets(room, player, card, targetIds || (targetId ? [targetId] : []));
+        if (error) return socket.emit('actionError', error);
         
         player.currentAp -= (card.apCost || 0);
         player.hand.splice(cardIndex, 1);
         room.gameState.discardPile.push(card);
-    
+        this.endStatusesOnAction(room, player, 'castSpell');
+        player.lastCastRound = room.gameState.turnCount;
+        this._resolveSpellEffect(room, player, card, targets);
+        
+        this.emitGameState(room.id);
+    }
+
+    /**
+     * Resolves the creatures a spell is cast on, following its targeting rule (see `gameData.spellTargeting`).
+     * Spells that pick targets are checked against the rule's kinds and target count; area spells ignore `targetIds`.
+     * @param {string[]} targetIds The IDs the caster picked.
+     * @returns {{targets: object[], error: string|null}}
+     */
+    _getSpellTargets(room, caster, spell, targetIds) {
+        const { effect } = spell;
+        if (effect.type === 'utility') return { targets: [], error: null };
+        if (effect.target === 'aoe') return { targets: [...room.gameState.board.monsters], error: null };
+        if (effect.target === 'party') return { targets: Object.values(room.players).filter(p => p.role === 'Explorer'), error: null };
+        if (effect.target === 'self') return { targets: [caster], error: null };
+
+        const rule = gameData.spellTargeting[effect.target];
+        if (!rule) return { targets: [], error: null };
+        const min = effect.minTargets ?? rule.min;
+        const max = effect.maxTargets ?? rule.max;
+        const kindText = rule.kinds.join(' or ');
+
+        const uniqueIds = [...new Set(targetIds)];
+        if (uniqueIds.length < min || uniqueIds.length > max) {
+            const countText = min === max ? `${max}` : `${min} to ${max}`;
+            return { targets: [], error: max === 1 ? `Choose a ${kindText} to target.` : `Choose ${countText} ${kindText} targets.` };
+        }
+        const targets = uniqueIds.map(id => {
+            if (rule.kinds.includes('monster')) {
+                const monster = room.gameState.board.monsters.find(m => m.id === id);
+                if (monster) return monster;
+            }
+            if (rule.kinds.includes('player') && room.players[id]?.role === 'Explorer') return room.players[id];
+            return null;
+        });
+        if (targets.includes(null)) return { targets: [], error: `${spell.name} can only target a ${kindText}.` };
+        return { targets, error: null };
+    }
+
+    /**
+     * Resolves a spell's effect on each of its targets. Shared by spell cards (`resolveCastSpell`) and scrolls
+     * (`resolveUseConsumable`), so the caller is responsible for costs, discarding and finding the targets.
+     * Damage and healing are rolled per target; an area spell rolls once for everyone it hits.
+     * @param {object} card The spell card (for scrolls, the spell the scroll names).
+     * @param {object[]} targets From `_getSpellTargets`.
+     */
+    _resolveSpellEffect(room, player, card, targets) {
         const { effect } = card;
-        let targetPlayer = room.players[targetId];
-        let targetMonster = room.gameState.board.monsters.find(m => m.id === targetId);
+        const isArea = effect.target === 'aoe' || effect.target === 'party';
+        const players = targets.filter(t => room.players[t.id] === t);
+        const monsters = targets.filter(t => !players.includes(t));
         
         switch (effect.type) {
             case 'heal':
-                if (targetPlayer) {
-                    const healing = this.rollDice(effect.dice);
-                    targetPlayer.stats.currentHp = Math.min(targetPlayer.stats.maxHp, targetPlayer.stats.currentHp + healing);
+                players.forEach(targetPlayer => {
+                    const healing = this.rollDice(room, effect.dice);
                     this._logSpellCast(room, player, card, targetPlayer, `healing for ${healing} HP`);
-                }
+                    this.healExplorer(room, targetPlayer, healing, player);
+                });
                 break;
             case 'damage':
-                const damage = this.rollDice(effect.dice);
-                if (effect.target === 'aoe') {
-                    this._logSpellCast(room, player, card, null, `dealing ${damage} damage to all monsters`);
-                    // Use [...monsters] to avoid issues if a monster is removed during iteration
-                    [...room.gameState.board.monsters].forEach(monster => {
-                        monster.currentHp -= damage;
+                if (isArea) {
+                    const damageRoll = this.rollDiceDetailed(room, effect.dice);
+                    this._logSpellCast(room, player, card, null, `dealing ${damageRoll.total} damage to all monsters (${damageRoll.breakdown})`);
+                    monsters.forEach(monster => {
+                        const saved = effect.save ? this.rollSavingThrow(room, monster, effect.save, card.name) : false;
+                        const dealt = this.scaleDamageByType(monster, this.applySaveToDamage(damageRoll.total, effect.save, saved), effect.damageType);
+                        monster.currentHp -= dealt.amount;
+                        this._addAggro(room, player, dealt.amount * gameData.aggroRules.damage, [monster]);
+                        if (dealt.note || saved) room.chatLog.push({ type: 'combat-hit', text: `${monster.name} takes ${dealt.amount} damage.${dealt.note}`, timestamp: Date.now() });
+                        if (monster.currentHp <= 0) this.handleMonsterDefeated(room, monster.id, player.id);
+                        else if (effect.status && !saved) this.applyStatus(room, monster, { name: effect.status, duration: effect.duration || 2 });
+                    });
+                } else {
+                    monsters.forEach(monster => {
+                        const damageRoll = this.rollDiceDetailed(room, effect.dice);
+                        const saved = effect.save ? this.rollSavingThrow(room, monster, effect.save, card.name) : false;
+                        const dealt = this.scaleDamageByType(monster, this.applySaveToDamage(damageRoll.total, effect.save, saved), effect.damageType);
+                        monster.currentHp -= dealt.amount;
+                        this._addAggro(room, player, dealt.amount * gameData.aggroRules.damage, [monster]);
+                        this._logSpellCast(room, player, card, monster, `dealing ${dealt.amount} damage (${damageRoll.breakdown})${dealt.note}`);
                         if (monster.currentHp <= 0) this.handleMonsterDefeated(room, monster.id, player.id);
+                        else if (effect.status && !saved) this.applyStatus(room, monster, { name: effect.status, duration: effect.duration || 2 });
                     });
-                } else if (targetMonster) {
-                    targetMonster.currentHp -= damage;
-                    this._logSpellCast(room, player, card, targetMonster, `dealing ${damage} damage`);
-                    if (targetMonster.currentHp <= 0) this.handleMonsterDefeated(room, monster.id, player.id);
                 }
                 break;
             case 'buff':
-                const targets = (effect.target === 'party') ? 
-                    Object.values(room.players).filter(p => p.role === 'Explorer') : 
-                    (targetPlayer ? [targetPlayer] : []);
-                
-                if (targets.length > 0) {
-                    targets.forEach(p => {
-                        const newEffect = {
-                            name: card.name,
-                            duration: effect.duration || 2, // Default duration of 2 rounds (ends on caster's turn)
-                            bonuses: effect.bonuses || {},
-                            status: effect.status || null,
-                        };
-                        p.statusEffects.push(newEffect);
-                        p.stats = this.calculatePlayerStats(p, room.gameState.partyHope); // Recalculate stats immediately
-                    });
-                    const logTarget = effect.target === 'party' ? { name: 'the party' } : targetPlayer;
+                if (players.length > 0) {
+                    const logTarget = effect.target === 'party' ? { name: 'the party' } : { name: players.map(p => p.name).join(', ') };
                     this._logSpellCast(room, player, card, logTarget, 'granting a boon');
+                    players.forEach(p => {
+                        // Default duration of 2 rounds (ends on caster's turn)
+                        this.applyStatus(room, p, { name: card.name, duration: effect.duration || 2, bonuses: effect.bonuses || {} }, { silent: true });
+                        if (effect.status) this.applyStatus(room, p, { name: effect.status, duration: effect.duration || 2 });
+                    });
                 }
                 break;
             case 'control':
-                 if (targetMonster) {
-                     targetMonster.statusEffects.push({
-                         name: effect.status,
-                         duration: effect.duration || 2
+                 if (!effect.status) {
+                     this._logSpellCast(room, player, card, monsters.length === 1 ? monsters[0] : null, 'with no lasting effect');
+                 } else if (isArea) {
+                     this._logSpellCast(room, player, card, null, effect.save ? `trying to inflict ${effect.status} on all monsters` : `inflicting ${effect.status} on all monsters`);
+                     monsters.forEach(monster => {
+                         if (effect.save && this.rollSavingThrow(room, monster, effect.save, card.name)) return;
+                         this.applyStatus(room, monster, { name: effect.status, duration: effect.duration || 2 }, { silent: !effect.save });
+                     });
+                 } else {
+                     monsters.forEach(monster => {
+                         this._logSpellCast(room, player, card, monster, effect.save ? `trying to inflict ${effect.status}` : `inflicting ${effect.status}`);
+                         if (effect.save && this.rollSavingThrow(room, monster, effect.save, card.name)) return;
+                         this.applyStatus(room, monster, { name: effect.status, duration: effect.duration || 2 }, { silent: !effect.save });
                      });
-                     this._logSpellCast(room, player, card, targetMonster, `inflicting ${effect.status}`);
                  }
                  break;
             case 'utility':
@@ -1238,10 +2407,8 @@ class GameManager {
                  this._logSpellCast(room, player, card, null, utilityEffectText);
                  break;
             default:
-                this._logSpellCast(room, player, card, (targetPlayer || targetMonster), 'with an unknown effect');
+                this._logSpellCast(room, player, card, targets.length === 1 ? targets[0] : null, 'with an unknown effect');
         }
-        
-        this.emitGameState(room.id);
     }
 
     resolveClaimLoot(room, player, { itemId, targetPlayerId }) {
@@ -1277,14 +2444,36 @@ class GameManager {
         if (player.currentAp < gameData.actionCosts.guard) return socket.emit('actionError', "Not enough AP.");
         player.currentAp -= gameData.actionCosts.guard;
         player.stats.shieldHp += player.stats.shieldBonus;
-        room.chatLog.push({ type: 'action', text: `${player.name} takes a defensive stance, gaining ${player.stats.shieldBonus} Shield HP.`, timestamp: Date.now() });
+        player.isBracing = true;
+        this._addAggro(room, player, gameData.aggroRules.guard);
+        room.chatLog.push({ type: 'action', text: `${player.name} takes a defensive stance, gaining ${player.stats.shieldBonus} Shield HP and drawing the monsters' attention.`, timestamp: Date.now() });
+        this.emitGameState(room.id);
+    }
+
+    // Tends to a dying ally. On a successful check they stop making death saves, though they stay down until healed.
+    resolveStabilize(room, player, { targetId }, socket) {
+        const target = room.players[targetId];
+        if (!target || target.role !== 'Explorer' || !this.isDying(target)) return socket.emit('actionError', 'Only a dying ally can be stabilized.');
+        if (player.currentAp < gameData.actionCosts.stabilize) return socket.emit('actionError', "Not enough AP.");
+        player.currentAp -= gameData.actionCosts.stabilize;
+
+        const { skill, dc } = gameData.dyingRules.stabilize;
+        const checkRoll = this.rollD20(room, { roll: 'check', roller: player, stat: skill });
+        const bonus = (player.stats[skill] || 0) + checkRoll.bonus;
+        const total = checkRoll.roll + bonus;
+        const outcome = total >= dc ? 'Success' : 'Failure';
+        room.chatLog.push({ type: 'action', text: `${player.name} tends to ${target.name}'s wounds... (Roll: ${checkRoll.roll} + ${bonus} ${skill.toUpperCase()} = ${total} vs DC ${dc}) - ${outcome}!${checkRoll.note}`, timestamp: Date.now() });
+        if (outcome === 'Success') {
+            target.isStable = true;
+            room.chatLog.push({ type: 'system-good', text: `${target.name} has been stabilized.`, timestamp: Date.now() });
+        }
         this.emitGameState(room.id);
     }
 
     resolveRespite(room, player, _, socket) {
         if (player.currentAp < gameData.actionCosts.briefRespite) return socket.emit('actionError', "Not enough AP.");
         player.currentAp -= gameData.actionCosts.briefRespite;
-        const healing = this.rollDice('1d4');
+        const healing = this.rollDice(room, '1d4');
         player.stats.currentHp = Math.min(player.stats.maxHp, player.stats.currentHp + healing);
         room.chatLog.push({ type: 'action-good', text: `${player.name} takes a brief respite, healing for ${healing} HP.`, timestamp: Date.now() });
         this.emitGameState(room.id);
@@ -1294,7 +2483,7 @@ class GameManager {
         if (player.currentAp < gameData.actionCosts.fullRest) return socket.emit('actionError', "Not enough AP.");
         player.currentAp -= gameData.actionCosts.fullRest;
         const classData = gameData.classes[player.class];
-        const healing = this.rollDice(`${classData.healthDice}d4`);
+        const healing = this.rollDice(room, `${classData.healthDice}d4`);
         player.stats.currentHp = Math.min(player.stats.maxHp, player.stats.currentHp + healing);
         room.chatLog.push({ type: 'action-good', text: `${player.name} takes a full rest, healing for ${healing} HP.`, timestamp: Date.now() });
         this.emitGameState(room.id);
@@ -1310,7 +2499,7 @@ class GameManager {
         }
     }
     
-    resolveUseAbility(room, player, { abilityName }, socket) {
+    resolveUseAbility(room, player, { abilityName, targetId }, socket) {
         const classData = gameData.classes[player.class];
         if (!classData || classData.ability.name !== abilityName) return;
         if (player.currentAp < classData.ability.apCost) return socket.emit('actionError', "Not enough AP.");
@@ -1318,13 +2507,21 @@ class GameManager {
         let success = true; // Assume success unless a condition fails
         switch (player.class) {
             case 'Barbarian':
-                player.statusEffects.push({ name: 'Rage', duration: 2, bonuses: { damageBonus: 4 } });
+                this.applyStatus(room, player, { name: 'Rage', duration: 2 }, { silent: true });
                 break;
-            case 'Cleric':
-                // For simplicity, we'll make this self-heal. Targeting would require client-side changes.
-                const healing = this.rollDice('1d8') + player.stats.wis;
-                player.stats.currentHp = Math.min(player.stats.maxHp, player.stats.currentHp + healing);
+            case 'Cleric': {
+                // Heals the Cleric unless an ally is chosen. A downed ally is revived.
+                const target = targetId ? room.players[targetId] : player;
+                if (!target || target.role !== 'Explorer' || target.isDead) {
+                    socket.emit('actionError', 'Choose an ally to heal.');
+                    success = false;
+                    break;
+                }
+                const healing = this.rollDice(room, '1d8') + player.stats.wis;
+                if (target !== player) room.chatLog.push({ type: 'system-good', text: `${player.name} channels divine power into ${target.name}, healing for ${healing} HP.`, timestamp: Date.now() });
+                this.healExplorer(room, target, healing, player);
                 break;
+            }
             case 'Mage':
                 if (player.usedAbilityThisTurn) {
                     socket.emit('actionError', "You can only use Arcane Recovery once per turn.");
@@ -1335,13 +2532,13 @@ class GameManager {
                 }
                 break;
             case 'Ranger':
-                player.statusEffects.push({ name: 'Hunters Mark', duration: 2, bonuses: { hitBonus: 5 } });
+                this.applyStatus(room, player, { name: 'Hunters Mark', duration: 2 }, { silent: true });
                 break;
             case 'Rogue':
-                player.statusEffects.push({ name: 'Sneak Attack', duration: 2, bonuses: { damageBonus: this.rollDice('1d6') } });
+                this.applyStatus(room, player, { name: 'Sneak Attack', duration: 2, bonuses: { damageBonus: this.rollDice(room, '1d6') } }, { silent: true });
                 break;
             case 'Warrior':
-                player.statusEffects.push({ name: 'Power Surge', duration: 2, bonuses: { damageBonus: 2, hitBonus: 2 } });
+                this.applyStatus(room, player, { name: 'Power Surge', duration: 2 }, { silent: true });
                 break;
             default:
                 success = false;
@@ -1356,10 +2553,11 @@ class GameManager {
 
     // --- 3.8. Loot & Item Generation ---
     generateLoot(roomId, playerClass, rarityBoost = 0) {
+        const room = this.rooms[roomId];
         const baseCard = this.drawCardFromDeck(roomId, 'treasure', playerClass);
         if (!baseCard) return null;
         
-        const roll = Math.random() * 100;
+        const roll = this.random(room) * 100;
         let rarity = 'Common';
         // Rarity thresholds: Legendary < 5, Rare < 20, Uncommon < 50
         if (roll < (5 + rarityBoost)) rarity = 'Legendary';
@@ -1367,7 +2565,7 @@ class GameManager {
         else if (roll < (50 + rarityBoost)) rarity = 'Uncommon';
 
         if (rarity === 'Common') {
-            baseCard.id = this.generateUniqueCardId();
+            baseCard.id = this.generateUniqueCardId(room);
             return baseCard;
         }
 
@@ -1379,11 +2577,11 @@ class GameManager {
         );
         if(eligibleAffixes.length === 0) return baseCard;
 
-        const affix = eligibleAffixes[Math.floor(Math.random() * eligibleAffixes.length)];
+        const affix = this.randomChoice(room, eligibleAffixes);
 
         // Create the magical item by adding the affix to the base card.
         const magicalItem = JSON.parse(JSON.stringify(baseCard));
-        magicalItem.id = this.generateUniqueCardId();
+        magicalItem.id = this.generateUniqueCardId(room);
         magicalItem.rarity = rarity;
         magicalItem.name = `${affix.name} ${baseCard.name}`;
         if (!magicalItem.effect.bonuses) magicalItem.effect.bonuses = {};
@@ -1396,6 +2594,205 @@ class GameManager {
     }
 
     // --- 3.9. Event & Challenge Handling ---
+    /**
+     * Puts a world event into play and hands out its one-time `grants`.
+     * Its `rollModifiers` apply through `rollD20` and its `turnSave` through `startTurn` for as long as it runs.
+     */
+    _startWorldEvent(room, eventCard) {
+        const { worldEvents } = room.gameState;
+        worldEvents.currentEvent = eventCard;
+        worldEvents.duration = eventCard.duration || 2;
+        worldEvents.spentBy = [];
+        room.chatLog.push({ type: 'dm', text: `A strange event unfolds: ${eventCard.name}!`, timestamp: Date.now() });
+        room.chatLog.push({ type: 'system', text: eventCard.description || eventCard.stages[0].description, timestamp: Date.now() });
+
+        const tempHp = eventCard.grants?.tempHp;
+        if (tempHp) {
+            // Temporary HP doesn't stack: an explorer keeps whichever is higher.
+            Object.values(room.players)
+                .filter(p => p.role === 'Explorer' && !p.isDowned)
+                .forEach(p => { p.stats.tempHp = Math.max(p.stats.tempHp || 0, tempHp); });
+            room.chatLog.push({ type: 'system-good', text: `The party gains ${tempHp} temporary HP.`, timestamp: Date.now() });
+        }
+    }
+
+    // Ends the current world event. Temporary HP it granted fades with it.
+    _endWorldEvent(room) {
+        const { worldEvents } = room.gameState;
+        room.chatLog.push({ type: 'system', text: `The event '${worldEvents.currentEvent.name}' has ended.`, timestamp: Date.now() });
+        if (worldEvents.currentEvent.grants?.tempHp) {
+            Object.values(room.players).forEach(p => { if (p.role === 'Explorer') p.stats.tempHp = 0; });
+        }
+        worldEvents.currentEvent = null;
+        worldEvents.spentBy = [];
+    }
+
+    // An explorer resists the current world event's `turnSave` (e.g. Arctic Squall) at the start of their turn.
+    _resolveWorldEventTurnSave(room, player) {
+        const event = room.gameState.worldEvents.currentEvent;
+        const turnSave = event?.turnSave;
+        if (!turnSave || player.isDowned) return;
+        if (this.rollSavingThrow(room, player, turnSave.save, event.name)) return;
+
+        if (turnSave.dice) {
+            const damageRoll = this.rollDiceDetailed(room, turnSave.dice);
+            const dealt = this.applyDamage(room, player, damageRoll.total, turnSave.damageType);
+            room.chatLog.push({ type: 'combat-hit', text: `${player.name} takes ${dealt.amount} damage from the ${event.name}. (${damageRoll.breakdown})${dealt.note}`, timestamp: Date.now() });
+        }
+        if (turnSave.status && !player.isDowned) this.applyStatus(room, player, { name: turnSave.status, duration: turnSave.duration || 2 });
+    }
+
+    /**
+     * At the start of a new round, may draw a party event. While it's open the game is in the 'party_event' phase,
+     * and every standing explorer answers it: a vote for one of its `choices`, or a check for its `groupRoll`.
+     * @returns {boolean} Whether an event began, in which case the next turn starts once it's resolved.
+     */
+    _drawPartyEvent(room) {
+        if (room.gameState.turnCount < 2 || this.random(room) >= gameData.partyEventChance) return false;
+        const card = this.drawCardFromDeck(room.id, 'partyEvent');
+        if (!card) return false;
+
+        room.gameState.phase = 'party_event';
+        room.gameState.currentPartyEvent = { card, responses: {} };
+        room.chatLog.push({ type: 'dm', text: `The party comes upon something: ${card.name}!`, timestamp: Date.now() });
+        room.chatLog.push({ type: 'system', text: card.description, timestamp: Date.now() });
+        this._checkPartyEventResolved(room);
+        return true;
+    }
+
+    // Every explorer who is able to take part in a party event. Downed and disconnected explorers sit it out.
+    _getPartyEventParticipants(room) {
+        return Object.values(room.players).filter(p => p.role === 'Explorer' && !p.isDowned && !p.disconnected);
+    }
+
+    _voteOnPartyEvent(room, player, choiceIndex) {
+        const { card, responses } = room.gameState.currentPartyEvent;
+        responses[player.playerId] = { name: player.name, choiceIndex };
+        room.chatLog.push({ type: 'system', text: `${player.name} votes: ${card.choices[choiceIndex].label}.`, timestamp: Date.now() });
+    }
+
+    _rollForPartyEvent(room, player) {
+        const { card, responses } = room.gameState.currentPartyEvent;
+        const { skill, dc } = card.groupRoll;
+        const checkRoll = this.rollD20(room, { roll: 'check', roller: player, stat: skill });
+        const bonus = (player.stats[skill] || 0) + checkRoll.bonus;
+        const total = checkRoll.roll + bonus;
+        const outcome = total >= dc ? 'Success' : 'Failure';
+
+        responses[player.playerId] = { name: player.name, roll: checkRoll.roll, total, outcome };
+        room.chatLog.push({ type: 'system', text: `${player.name} attempts ${card.name}... (Roll: ${checkRoll.roll} + ${bonus} ${skill.toUpperCase()} = ${total} vs DC ${dc}) - ${outcome}!${checkRoll.note}`, timestamp: Date.now() });
+        return { roll: checkRoll.roll, bonus, total, targetAC: dc, faces: checkRoll.faces, breakdown: checkRoll.breakdown, rollMode: checkRoll.mode, rollSources: checkRoll.sources, outcome };
+    }
+
+    resolvePartyEventChoice(room, player, { choiceIndex }, socket) {
+        const partyEvent = room.gameState.currentPartyEvent;
+        if (!partyEvent?.card.choices?.[choiceIndex]) return;
+        if (partyEvent.responses[player.playerId]) return socket.emit('actionError', 'You have already voted.');
+
+        this._voteOnPartyEvent(room, player, choiceIndex);
+        this._checkPartyEventResolved(room);
+    }
+
+    resolvePartyEventCheck(room, player, payload, socket) {
+        const partyEvent = room.gameState.currentPartyEvent;
+        if (!partyEvent?.card.groupRoll) return;
+        if (partyEvent.responses[player.playerId]) return socket.emit('actionError', 'You have already rolled.');
+
+        const { skill, dc } = partyEvent.card.groupRoll;
+        const bonus = player.stats[skill] || 0;
+        const { mode, bonus: rollBonus, sources } = this.getRollModifiers(room, { roll: 'check', roller: player, stat: skill });
+        socket.emit('promptPartyEventRoll', {
+            title: `Party Event: ${partyEvent.card.name}`,
+            description: `Make a ${skill.toUpperCase()} check. + ${bonus} vs Target AC of ${dc}`,
+            dice: D20_BY_MODE[mode],
+            bonus: bonus + rollBonus,
+            targetAC: dc,
+            rollMode: mode,
+            rollSources: sources.filter(s => s.mode).map(s => s.name),
+            skill
+        });
+    }
+
+    resolvePartyEventRoll(room, player, payload, socket) {
+        const partyEvent = room.gameState.currentPartyEvent;
+        if (!partyEvent?.card.groupRoll || partyEvent.responses[player.playerId]) {
+            socket.emit('diceRollError');
+            return;
+        }
+
+        const result = this._rollForPartyEvent(room, player);
+        io.to(room.id).emit('skillCheckResolved', { rollerId: player.id, rollerName: player.name, ...result });
+        this._checkPartyEventResolved(room);
+    }
+
+    /**
+     * Resolves the open party event once every participant has answered, then starts the new round.
+     * NPC explorers (including any that just replaced a player) answer as soon as they're asked.
+     * Answers from explorers who have since dropped out still count.
+     */
+    _checkPartyEventResolved(room) {
+        const partyEvent = room.gameState.currentPartyEvent;
+        if (!partyEvent) return;
+        const { card } = partyEvent;
+        const participants = this._getPartyEventParticipants(room);
+        participants.filter(p => p.isNpc && !partyEvent.responses[p.playerId]).forEach(npc => {
+            if (card.groupRoll) this._rollForPartyEvent(room, npc);
+            else this._voteOnPartyEvent(room, npc, this.randomChoice(room, card.choices.map((choice, index) => index)));
+        });
+        if (participants.some(p => !partyEvent.responses[p.playerId])) {
+            this.emitGameState(room.id);
+            return;
+        }
+
+        const responses = Object.values(partyEvent.responses);
+        let outcome;
+        if (card.groupRoll) {
+            const successes = responses.filter(r => r.outcome === 'Success').length;
+            const succeeded = responses.length > 0 && successes >= responses.length / 2;
+            room.chatLog.push({ type: succeeded ? 'system-good' : 'system-bad', text: `${successes} of ${responses.length} succeeded. The party ${succeeded ? 'overcomes' : 'fails'} the ${card.name}.`, timestamp: Date.now() });
+            outcome = succeeded ? card.groupRoll.success : card.groupRoll.failure;
+        } else {
+            const votes = card.choices.map((choice, index) => responses.filter(r => r.choiceIndex === index).length);
+            // Ties go to the choice listed first.
+            const chosen = card.choices[votes.indexOf(Math.max(...votes))];
+            room.chatLog.push({ type: 'system', text: `The party decides: ${chosen.label}.`, timestamp: Date.now() });
+            outcome = chosen.outcome;
+        }
+        this._applyPartyEventOutcome(room, outcome);
+
+        room.gameState.currentPartyEvent = null;
+        room.gameState.phase = 'started';
+        this.emitGameState(room.id);
+        this.startTurn(room.id);
+    }
+
+    _applyPartyEventOutcome(room, outcome) {
+        if (!outcome) return;
+        if (outcome.text) room.chatLog.push({ type: 'system', text: outcome.text, timestamp: Date.now() });
+
+        if (outcome.partyHope) {
+            room.gameState.partyHope = Math.max(0, Math.min(10, room.gameState.partyHope + outcome.partyHope));
+            const change = outcome.partyHope > 0 ? 'rises' : 'falls';
+            room.chatLog.push({ type: outcome.partyHope > 0 ? 'system-good' : 'system-bad', text: `Party Hope ${change} to ${room.gameState.partyHope}.`, timestamp: Date.now() });
+        }
+
+        for (let i = 0; i < (outcome.loot || 0); i++) {
+            const lootCard = this.generateLoot(room.id, null);
+            if (!lootCard) break;
+            room.gameState.lootPool.push(lootCard);
+            room.chatLog.push({ type: 'system-good', text: `The party discovered a ${lootCard.name}!`, timestamp: Date.now() });
+        }
+
+        const explorers = Object.values(room.players).filter(p => p.role === 'Explorer' && !p.isDowned);
+        if (outcome.status) {
+            explorers.forEach(p => this.applyStatus(room, p, { name: outcome.status, duration: outcome.duration || 2 }, { silent: true }));
+            const definition = gameData.statusEffectDefinitions[outcome.status] || {};
+            room.chatLog.push({ type: definition.beneficial ? 'system-good' : 'system-bad', text: `The party is now ${outcome.status}!`, timestamp: Date.now() });
+        }
+        // Party Hope feeds into everyone's hit bonus.
+        explorers.forEach(p => { p.stats = this.calculatePlayerStats(p, room.gameState.partyHope); });
+    }
+
     triggerIndividualDiscovery(room, player) {
         const socket = io.sockets.sockets.get(player.id);
         if (!socket) return;
@@ -1405,6 +2802,7 @@ class GameManager {
         const discoveryRollsEnabled = 
             room.gameState.gameMode === 'Beginner' || 
             room.gameState.gameMode === 'Advanced' ||
+            room.gameState.gameMode === 'Campaign' ||
             (room.gameState.gameMode === 'Custom' && room.settings.discoveryRolls);
 
         if (discoveryRollsEnabled) {
@@ -1425,7 +2823,7 @@ class GameManager {
     resolveDiscoveryRoll(room, player, payload, socket) {
         if (!player.isResolvingDiscovery) return;
 
-        const roll = this.rollDice('1d20');
+        const roll = this.rollDice(room, '1d20');
         let rarityBoost = 0;
         if (roll <= 10) rarityBoost = 0; // 50% chance common
         else if (roll <= 15) rarityBoost = 15; // 25% chance uncommon
@@ -1492,7 +2890,7 @@ class GameManager {
         // Return the unkept item to the treasure deck
         if (unkeptItem) {
             room.gameState.decks.treasure.push(unkeptItem);
-            shuffle(room.gameState.decks.treasure);
+            shuffle(room.gameState.decks.treasure, () => this.random(room));
         }
         
         // Reset state and recalculate stats
@@ -1526,12 +2924,15 @@ class GameManager {
         }
 
         const bonus = player.stats[interaction.skill] || 0;
+        const { mode, bonus: rollBonus, sources } = this.getRollModifiers(room, { roll: 'check', roller: player, stat: interaction.skill });
         socket.emit('promptSkillCheckRoll', {
             title: interactionName,
             description: `Attempting to ${interactionName} the ${sourceCard.name}. + ${bonus} vs Target AC of ${interaction.dc}`,
-            dice: '1d20',
-            bonus,
+            dice: D20_BY_MODE[mode],
+            bonus: bonus + rollBonus,
             targetAC: interaction.dc,
+            rollMode: mode,
+            rollSources: sources.filter(s => s.mode).map(s => s.name),
             skill: interaction.skill,
             interactionData: { cardId, interactionName } // Pass context for resolution
         });
@@ -1548,21 +2949,18 @@ class GameManager {
         const currentStage = room.gameState.skillChallenge.currentStage;
         const stageDetails = challenge.eventType === 'multi_stage_skill_challenge' ? challenge.stages[currentStage] : challenge;
 
-        let hasAdvantage = false;
-        const relevantItem = player.hand.find(card => card.relevantSkill && card.relevantSkill === stageDetails.skill);
-        if (relevantItem) hasAdvantage = true;
-
         const bonus = player.stats[stageDetails.skill] || 0;
+        const { mode, bonus: rollBonus, sources } = this.getRollModifiers(room, { roll: 'check', roller: player, stat: stageDetails.skill });
         
         socket.emit('promptSkillCheckRoll', {
             title: `Skill Challenge: ${challenge.name}`,
             description: stageDetails.description,
-            dice: '1d20',
-            bonus,
+            dice: D20_BY_MODE[mode],
+            bonus: bonus + rollBonus,
             targetAC: stageDetails.dc,
-            hasAdvantage,
+            rollMode: mode,
+            rollSources: sources.filter(s => s.mode).map(s => s.name),
             skill: stageDetails.skill,
-            relevantItemName: relevantItem ? relevantItem.name : null,
             interactionData: room.gameState.skillChallenge.targetId ? { cardId: room.gameState.skillChallenge.targetId } : null
         });
 
@@ -1616,26 +3014,21 @@ class GameManager {
             }
             const { challengeDetails, stageDetails, sourceCard } = context;
 
-            let roll;
-            if (payload.hasAdvantage) {
-                const [roll1, roll2] = [this.rollDice('1d20'), this.rollDice('1d20')];
-                roll = Math.max(roll1, roll2);
-                room.chatLog.push({ type: 'system-good', text: `${player.name} uses their ${payload.relevantItemName} to gain advantage! (Rolled ${roll1}, ${roll2})`, timestamp: Date.now() });
-            } else {
-                roll = this.rollDice('1d20');
-            }
+            const checkRoll = this.rollD20(room, { roll: 'check', roller: player, stat: stageDetails.skill });
+            const roll = checkRoll.roll;
 
-            const statBonus = player.stats[stageDetails.skill] || 0;
+            const statBonus = (player.stats[stageDetails.skill] || 0) + checkRoll.bonus;
             const total = roll + statBonus;
             const outcome = total >= stageDetails.dc ? 'Success' : 'Failure';
             
             const effect = outcome === 'Success' ? stageDetails.success : stageDetails.failure;
 
-            room.chatLog.push({ type: 'system', text: `${player.name} attempts ${challengeDetails?.name || stageDetails.name}... (Roll: ${roll} + ${statBonus} ${stageDetails.skill.toUpperCase()} = ${total} vs DC ${stageDetails.dc}) - ${outcome}!`, timestamp: Date.now() });
+            room.chatLog.push({ type: 'system', text: `${player.name} attempts ${challengeDetails?.name || stageDetails.name}... (Roll: ${roll} + ${statBonus} ${stageDetails.skill.toUpperCase()} = ${total} vs DC ${stageDetails.dc}) - ${outcome}!${checkRoll.note}`, timestamp: Date.now() });
             if (effect?.text) room.chatLog.push({ type: outcome === 'Success' ? 'system-good' : 'system-bad', text: effect.text, timestamp: Date.now() });
 
             // Apply effect
             this.applySkillCheckEffect(room, player, effect, sourceCard?.id);
+            if (outcome === 'Success') this.awardXp(room, [player], gameData.xpRewards.skillCheck, 'a successful skill check');
 
             // Handle multi-stage progression
             const isMultiStage = challengeDetails && challengeDetails.eventType === 'multi_stage_skill_challenge';
@@ -1647,10 +3040,13 @@ class GameManager {
             } else {
                 room.gameState.skillChallenge.isActive = false;
                 room.gameState.skillChallenge.details = null;
-                if (challengeDetails && challengeDetails.type === 'World Event') room.gameState.worldEvents.currentEvent = null;
+                if (challengeDetails && challengeDetails.type === 'World Event') {
+                    if (room.gameState.worldEvents.currentEvent) this._endWorldEvent(room);
+                    if (outcome === 'Success') this.awardXp(room, [player], gameData.xpRewards.worldEvent, `overcoming ${challengeDetails.name}`);
+                }
             }
 
-            io.to(room.id).emit('skillCheckResolved', { rollerId: player.id, rollerName: player.name, roll, bonus: statBonus, total, targetAC: stageDetails.dc, outcome });
+            io.to(room.id).emit('skillCheckResolved', { rollerId: player.id, rollerName: player.name, roll, bonus: statBonus, total, targetAC: stageDetails.dc, faces: checkRoll.faces, breakdown: checkRoll.breakdown, rollMode: checkRoll.mode, rollSources: checkRoll.sources, outcome });
             this.emitGameState(room.id);
         } catch (e) {
             console.error("Critical error in resolveSkillCheckRoll:", e);
@@ -1664,11 +3060,13 @@ class GameManager {
         switch (effect.type) {
             case 'damage':
             case 'self_damage':
-                this.applyDamage(room, player, this.rollDice(effect.value));
+                this.applyDamage(room, player, this.rollDice(room, effect.value), effect.damageType);
                 break;
             case 'aoe_damage':
                 room.gameState.board.monsters.forEach(monster => {
-                    monster.currentHp -= this.rollDice(effect.value);
+                    const dealt = this.scaleDamageByType(monster, this.rollDice(room, effect.value), effect.damageType);
+                    monster.currentHp -= dealt.amount;
+                    this._addAggro(room, player, dealt.amount * gameData.aggroRules.damage, [monster]);
                     if (monster.currentHp <= 0) this.handleMonsterDefeated(room, monster.id, player.id);
                 });
                 break;
@@ -1682,14 +3080,14 @@ class GameManager {
             case 'status_effect':
                 const target = room.gameState.board.monsters.find(m => m.id === sourceCardId);
                 if (target) {
-                    target.statusEffects.push({ name: effect.effect, duration: effect.duration });
+                    this.applyStatus(room, target, { name: effect.effect, duration: effect.duration }, { silent: true });
                 }
                 break;
             case 'apply_vulnerability':
                 // This is a special, temporary effect. We'll add it directly to the monster.
                 const monsterTarget = room.gameState.board.monsters.find(m => m.id === sourceCardId);
                 if(monsterTarget) {
-                    monsterTarget.statusEffects.push({ name: 'Vulnerable', duration: 2, description: 'Next attack has advantage.' });
+                    this.applyStatus(room, monsterTarget, { name: 'Vulnerable', duration: 2 }, { silent: true });
                 }
                 break;
             case 'none':
@@ -1711,6 +3109,7 @@ class GameManager {
     }
     
     handleDisconnect(socket) {
+        this.stateStreams.delete(socket.id);
         const roomId = this.socketToRoom[socket.id];
         const room = this.rooms[roomId];
         if (!room) return;
@@ -1742,42 +3141,55 @@ class GameManager {
                     });
                 }
                 delete this.rooms[roomId];
+                if (this.store) this.store.remove(roomId);
                 return;
             }
             delete room.players[socket.id];
-            // Add an NPC back to keep the player count at 4
-            this.createNpcs(room, 1);
+            // Add an NPC back to keep the player count at 4. A DM's seat goes back to the AI.
+            this.createNpcs(room, player.role === 'Explorer' ? 1 : 0);
         } else { // Game is in progress
-            // Start a 30-second timer. If they don't reconnect, pause the game.
-            player.pauseTimer = setTimeout(() => {
-                if (!room.gameState.isPaused) {
-                    room.gameState.isPaused = true;
-                    room.gameState.pauseReason = `${player.name} has disconnected. Waiting for them to reconnect...`;
-                    this.emitGameState(roomId);
-                }
-
-                // Start a 90-second timer to replace them with an NPC
-                player.replacementTimer = setTimeout(() => {
-                    const stillDisconnectedPlayer = room.players[socket.id];
-                    if (stillDisconnectedPlayer && stillDisconnectedPlayer.disconnected) {
-                        this.replacePlayerWithNpc(room, socket.id);
-                        if (room.gameState.isPaused) {
-                            room.gameState.isPaused = false;
-                            room.gameState.pauseReason = '';
-                        }
-                        this.emitGameState(roomId);
-                    }
-                }, 90000); // 90 seconds
-            }, 30000); // 30 seconds
+            this._scheduleDisconnectTimers(room, socket.id);
+            // Don't keep the rest of the party waiting on their answer to a party event.
+            if (room.gameState.phase === 'party_event') this._checkPartyEventResolved(room);
         }
         
         delete this.socketToRoom[socket.id];
         this.emitGameState(roomId);
     }
 
+    // Pauses the game if a disconnected player doesn't return within 30 seconds,
+    // then replaces them with an NPC after a further 90 seconds.
+    _scheduleDisconnectTimers(room, playerSocketId) {
+        const player = room.players[playerSocketId];
+        if (!player) return;
+
+        player.pauseTimer = setTimeout(() => {
+            if (!room.gameState.isPaused) {
+                room.gameState.isPaused = true;
+                room.gameState.pauseReason = `${player.name} has disconnected. Waiting for them to reconnect...`;
+                this.emitGameState(room.id);
+            }
+
+            // Start a 90-second timer to replace them with an NPC
+            player.replacementTimer = setTimeout(() => {
+                const stillDisconnectedPlayer = room.players[playerSocketId];
+                if (stillDisconnectedPlayer && stillDisconnectedPlayer.disconnected) {
+                    this.replacePlayerWithNpc(room, playerSocketId);
+                    if (room.gameState.isPaused) {
+                        room.gameState.isPaused = false;
+                        room.gameState.pauseReason = '';
+                    }
+                    if (room.gameState.phase === 'party_event') this._checkPartyEventResolved(room);
+                    this.emitGameState(room.id);
+                }
+            }, 90000); // 90 seconds
+        }, 30000); // 30 seconds
+    }
+
     replacePlayerWithNpc(room, oldSocketId) {
         const player = room.players[oldSocketId];
         if (!player) return;
+        if (player.role === 'DM') return this._replaceDmWithAi(room, player);
     
         room.chatLog.push({ type: 'system', text: `${player.name} was replaced by an NPC due to inactivity.`, timestamp: Date.now() });
 
@@ -1786,7 +3198,8 @@ class GameManager {
             class: player.class,
             equipment: player.equipment,
             hand: player.hand,
-            stats: player.stats
+            stats: player.stats,
+            wasHost: room.hostId === oldSocketId, // So the host can still start the next chapter when they return
         };
     
         // Create a new NPC to take their place
@@ -1798,6 +3211,9 @@ class GameManager {
         npc.hand = player.hand;
         npc.stats = player.stats;
         npc.isDowned = player.isDowned;
+        npc.isStable = player.isStable;
+        npc.isDead = player.isDead;
+        npc.deathSaves = player.deathSaves;
         
         // Replace in players object
         delete room.players[oldSocketId];
@@ -1809,6 +3225,23 @@ class GameManager {
             room.gameState.turnOrder[turnIndex] = npcId;
         }
     }
+
+    // Hands an absent player's DM seat to the AI, which finishes their turn if it was underway. They can take it back on rejoining.
+    _replaceDmWithAi(room, player) {
+        room.chatLog.push({ type: 'system', text: `${player.name} was replaced by the AI Dungeon Master due to inactivity.`, timestamp: Date.now() });
+        room.savedPlayers[player.playerId] = {
+            name: player.name,
+            role: 'DM',
+            stats: player.stats,
+            wasHost: room.hostId === player.id,
+        };
+        delete room.players[player.id];
+        this.createNpcs(room, 0);
+        const turnIndex = room.gameState.turnOrder.indexOf(player.id);
+        if (turnIndex > -1) room.gameState.turnOrder[turnIndex] = 'npc-dm';
+        // If the monsters are already finishing the turn, that finish ends it; a second one would skip the next player.
+        if (room.gameState.dmTurn && !room.gameState.dmTurn.ending) this._finishDmTurn(room, { assist: true });
+    }
     
     rejoinRoom(socket, { roomId, playerId }) {
         const room = this.rooms[roomId];
@@ -1836,6 +3269,8 @@ class GameManager {
             // Update turn order with new socket id
             const turnIndex = room.gameState.turnOrder.indexOf(oldSocketId);
             if (turnIndex > -1) room.gameState.turnOrder[turnIndex] = socket.id;
+            // Host-only controls check the socket ID, so the host's role follows them to the new socket.
+            if (room.hostId === oldSocketId) room.hostId = socket.id;
 
             room.chatLog.push({ type: 'system-good', text: `${playerObject.name} has reconnected.`, timestamp: Date.now() });
             
@@ -1846,15 +3281,20 @@ class GameManager {
             }
 
         } else if (room.savedPlayers[playerId]) {
-            // Player was replaced by an NPC. Try to find an open NPC slot to rejoin into.
-            const npcToReplace = Object.values(room.players).find(p => p.isNpc && p.role === 'Explorer');
+            // Player was replaced by an NPC. Try to find an open NPC slot to rejoin into; a DM takes back the AI DM's seat.
+            const seatRole = room.savedPlayers[playerId].role === 'DM' ? 'DM' : 'Explorer';
+            const npcToReplace = Object.values(room.players).find(p => p.isNpc && p.role === seatRole);
+            if (seatRole === 'DM' && npcToReplace && room.gameState.turnOrder[room.gameState.currentPlayerIndex] === npcToReplace.id) {
+                return socket.emit('actionError', "The AI is running the DM's turn. Try again in a moment.");
+            }
             if (npcToReplace) {
                 delete room.players[npcToReplace.id];
-                const savedData = room.savedPlayers[playerId];
+                const { wasHost, ...savedData } = room.savedPlayers[playerId];
                 
                 const newPlayer = this.createPlayerObject(socket.id, savedData.name);
                 Object.assign(newPlayer, savedData); // Restore saved data
                 newPlayer.disconnected = false;
+                if (wasHost) room.hostId = socket.id;
 
                 room.players[socket.id] = newPlayer;
                 socket.join(roomId);
@@ -1874,25 +3314,563 @@ class GameManager {
             return;
         }
 
+        // The first player back after a server restart gets the game going again.
+        if (this.restoredRoomIds.has(room.id)) {
+            this._resumeRestoredRoom(room);
+        }
+
         socket.emit('playerIdentity', { playerId: playerId, roomId });
         this.emitGameState(roomId);
     }
+
+    // --- 3.11. Status Effect Engine ---
+    // Players and monsters share one model: `statusEffects` is a list of `{ name, duration, bonuses? }`,
+    // and everything a status does comes from its entry in `gameData.statusEffectDefinitions`.
+    // Statuses without an entry (e.g. spell boons named after their card) only carry their own bonuses.
+
+    /**
+     * Applies a status, following its stacking rule (`maxStacks`, default 1).
+     * When the limit is reached, the copy with the least time left is refreshed instead of adding another.
+     * @param {object} target A player or monster.
+     * @param {{name: string, duration: number, bonuses?: object, sourceId?: string}} status `sourceId` is who applied it, e.g. the explorer behind a taunt.
+     * @param {{silent?: boolean}} [options] Set `silent` when the caller logs the effect itself.
+     */
+    applyStatus(room, target, status, { silent = false } = {}) {
+        if (!target || !status?.name) return;
+        const immunity = target.traits && this._triggerMonsterTraits(room, target, 'status-immunity').find(t => t.effects.statuses.includes(status.name));
+        if (immunity) {
+            room.chatLog.push({ type: 'system', text: `${target.name} can't be ${status.name}. (${immunity.name})`, timestamp: Date.now() });
+            return;
+        }
+        const definition = gameData.statusEffectDefinitions[status.name] || {};
+        const instance = {
+            name: status.name,
+            duration: status.duration || 2,
+            bonuses: status.bonuses || definition.bonuses || {},
+        };
+        if (status.sourceId) instance.sourceId = status.sourceId;
+
+        const existing = target.statusEffects.filter(e => e.name === status.name);
+        if (existing.length >= (definition.maxStacks || 1)) {
+            const weakest = existing.reduce((a, b) => (a.duration <= b.duration ? a : b));
+            weakest.duration = Math.max(weakest.duration, instance.duration);
+            weakest.bonuses = instance.bonuses;
+            if (instance.sourceId) weakest.sourceId = instance.sourceId;
+        } else {
+            target.statusEffects.push(instance);
+        }
+
+        if (target.equipment) target.stats = this.calculatePlayerStats(target, room.gameState.partyHope);
+        if (!silent) {
+            const stacks = target.statusEffects.filter(e => e.name === status.name).length;
+            const stackText = stacks > 1 ? ` (x${stacks})` : '';
+            room.chatLog.push({ type: definition.beneficial ? 'system-good' : 'system-bad', text: `${target.name} is now ${status.name}${stackText}!`, timestamp: Date.now() });
+        }
+    }
+
+    /**
+     * Runs a creature's 'start' or 'end' of turn status triggers (e.g. Poisoned damage).
+     * At the end of the turn, durations also tick down and expired statuses are removed.
+     */
+    tickStatusEffects(room, creature, phase) {
+        const isMonster = !creature.equipment;
+        for (const effect of [...creature.statusEffects]) {
+            const definition = gameData.statusEffectDefinitions[effect.name];
+            if (!definition?.damage || definition.trigger !== phase) continue;
+
+            const damageRoll = this.rollDiceDetailed(room, definition.damage);
+            if (isMonster) {
+                const dealt = this.scaleDamageByType(creature, damageRoll.total, definition.damageType);
+                creature.currentHp -= dealt.amount;
+                room.chatLog.push({ type: 'combat-hit', text: `${creature.name} takes ${dealt.amount} damage from being ${effect.name}. (${damageRoll.breakdown})${dealt.note}`, timestamp: Date.now() });
+                if (creature.currentHp <= 0) {
+                    this.handleMonsterDefeated(room, creature.id, null);
+                    return;
+                }
+            } else {
+                const dealt = this.applyDamage(room, creature, damageRoll.total, definition.damageType);
+                room.chatLog.push({ type: 'combat-hit', text: `${creature.name} takes ${dealt.amount} damage from being ${effect.name}. (${damageRoll.breakdown})${dealt.note}`, timestamp: Date.now() });
+                if (creature.isDowned) return;
+            }
+        }
+
+        if (phase === 'end') {
+            const before = creature.statusEffects.length;
+            creature.statusEffects = creature.statusEffects.map(e => ({ ...e, duration: e.duration - 1 })).filter(e => e.duration > 0);
+            if (!isMonster && creature.statusEffects.length !== before) {
+                creature.stats = this.calculatePlayerStats(creature, room.gameState.partyHope);
+            }
+        }
+    }
+
+    /**
+     * Finds a status that stops a creature from acting.
+     * @param {object} creature A player or monster.
+     * @param {string} [action] The action being attempted. Attack actions are also blocked by `cannotAttack`.
+     * @returns {string|null} The name of the blocking status, if any.
+     */
+    getBlockingStatus(creature, action) {
+        const isAttack = action === 'attack' || action === 'resolveAttackRoll';
+        const blocking = creature.statusEffects.find(e => {
+            const definition = gameData.statusEffectDefinitions[e.name] || {};
+            return definition.cannotAct || (isAttack && definition.cannotAttack);
+        });
+        return blocking ? blocking.name : null;
+    }
+
+    isUntargetable(creature) {
+        return creature.statusEffects.some(e => gameData.statusEffectDefinitions[e.name]?.untargetable);
+    }
+
+    // Removes statuses that end when their bearer takes a certain action (e.g. Invisible after attacking).
+    endStatusesOnAction(room, player, action) {
+        const ended = player.statusEffects.filter(e => gameData.statusEffectDefinitions[e.name]?.endsOn?.includes(action));
+        if (ended.length === 0) return;
+        player.statusEffects = player.statusEffects.filter(e => !ended.includes(e));
+        player.stats = this.calculatePlayerStats(player, room.gameState.partyHope);
+        ended.forEach(e => room.chatLog.push({ type: 'system', text: `${player.name} is no longer ${e.name}.`, timestamp: Date.now() }));
+    }
+
+    // --- 3.12. Campaigns (Chapters & Save Points) ---
+    // A one-off game is a single chapter whose goal is to defeat the boss. A campaign plays its chapters
+    // (see `gameData.campaigns`) in order with the same party, pausing in the 'chapter_complete' phase
+    // between them. Each boundary writes a save point that a host can later resume in a new room.
+
+    getCurrentChapter(room) {
+        if (!room.campaign) return null;
+        return gameData.campaigns[room.campaign.id]?.chapters[room.campaign.chapterIndex] || null;
+    }
+
+    getGoal(room) {
+        return this.getCurrentChapter(room)?.goal || { type: 'boss', description: 'Defeat the boss.' };
+    }
+
+    /**
+     * Checks the current goal and, once it is met, completes the chapter (or wins the game).
+     * Called whenever a monster is defeated and at the start of every round.
+     * @returns {boolean} Whether the goal was met.
+     */
+    checkGoal(room) {
+        if (room.gameState.phase !== 'started') return false;
+        const goal = this.getGoal(room);
+        const goalMet = {
+            boss: () => !!room.gameState.boss?.defeated,
+            slay: () => room.gameState.monstersDefeated >= goal.count,
+            survive: () => room.gameState.turnCount > goal.rounds,
+        }[goal.type]?.();
+        if (!goalMet) return false;
+
+        const isFinalChapter = !room.campaign || room.campaign.chapterIndex + 1 >= room.campaign.chapterCount;
+        if (isFinalChapter) {
+            room.chatLog.push({ type: 'system-good', text: 'The quest is complete. The Explorers are victorious!', timestamp: Date.now() });
+            room.gameState.phase = 'game_over';
+            room.gameState.winner = 'Explorers';
+        } else {
+            this.completeChapter(room);
+        }
+        return true;
+    }
+
+    // Ends the current chapter and writes a save point for the next one.
+    completeChapter(room) {
+        const chapter = this.getCurrentChapter(room);
+        room.campaign.chapterIndex++;
+        room.gameState.phase = 'chapter_complete';
+        room.gameState.currentPlayerIndex = -1;
+        const saveId = this.writeSavePoint(room);
+        room.chatLog.push({ type: 'system-good', text: `Chapter complete: ${chapter.name}!`, timestamp: Date.now() });
+        room.chatLog.push({ type: 'system', text: `Progress saved. The host can resume the campaign later with the save code ${saveId}.`, timestamp: Date.now() });
+    }
+
+    /**
+     * Saves the party as it stands at a chapter boundary, under the campaign's save code.
+     * Explorers keep their class, level, equipment, hand and HP; downed explorers are patched up to 1 HP.
+     * @returns {string} The save code.
+     */
+    writeSavePoint(room) {
+        let saveId = room.campaign.saveId;
+        if (!saveId) {
+            const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+            do {
+                saveId = '';
+                for (let i = 0; i < 6; i++) saveId += chars.charAt(Math.floor(Math.random() * chars.length));
+            } while (this.campaignSaves[saveId]);
+            room.campaign.saveId = saveId;
+        }
+
+        const { seed, ...settings } = room.settings; // A resumed campaign gets a fresh seed
+        const savePoint = {
+            id: saveId,
+            campaignId: room.campaign.id,
+            chapterIndex: room.campaign.chapterIndex,
+            partyHope: room.gameState.partyHope,
+            cardIdCounter: room.cardIdCounter, // Carried cards keep their IDs, so new ones must not collide
+            settings,
+            party: Object.values(room.players).filter(p => p.role === 'Explorer').map(p => ({
+                name: p.name,
+                isNpc: p.isNpc,
+                class: p.class,
+                level: p.level,
+                xp: p.xp,
+                equipment: p.equipment,
+                hand: p.hand,
+                currentHp: Math.max(1, p.stats.currentHp),
+            })),
+            savedAt: Date.now(),
+        };
+        this.campaignSaves[saveId] = savePoint;
+        if (this.saveStore) this.saveStore.save(saveId, JSON.stringify(savePoint));
+        return saveId;
+    }
+
+    // Reloads every save point at boot.
+    restoreCampaignSaves() {
+        if (!this.saveStore) return;
+        for (const savePoint of this.saveStore.loadAll()) {
+            if (savePoint?.id) this.campaignSaves[savePoint.id] = savePoint;
+        }
+    }
+
+    // Logs the current chapter's introduction and goal, and applies its pacing.
+    _announceChapter(room) {
+        const chapter = this.getCurrentChapter(room);
+        room.settings.pacing = chapter.pacing || room.settings.pacing;
+        room.campaign.chapter = { name: chapter.name, goal: chapter.goal.description };
+        room.chatLog.push({ type: 'dm', text: `Chapter ${room.campaign.chapterIndex + 1}: ${chapter.name}. ${chapter.intro}`, timestamp: Date.now() });
+        room.chatLog.push({ type: 'system', text: `Goal: ${chapter.goal.description}`, timestamp: Date.now() });
+    }
+
+    /**
+     * Starts the next chapter with the same party. Host only, from the 'chapter_complete' phase.
+     * The board, decks and round counter start over; explorers keep everything they carry.
+     */
+    startNextChapter(socket) {
+        const room = this.findRoomBySocket(socket);
+        if (!room || socket.id !== room.hostId || room.gameState.phase !== 'chapter_complete') return;
+
+        Object.assign(room.gameState, {
+            board: { monsters: [], environment: [] },
+            lootPool: [],
+            turnCount: 0,
+            encounter: { budget: 0, threat: 0, highestTier: 'tier1' },
+            boss: null,
+            monstersDefeated: 0,
+            worldEvents: { currentEvent: null, duration: 0, spentBy: [] },
+            currentPartyEvent: null,
+            skillChallenge: { isActive: false, details: null, currentStage: 0, targetId: null },
+            dmTurn: null,
+        });
+        this.initializeDecks(room);
+
+        // Explorers catch their breath between chapters: conditions clear and the downed (but not the dead) get back up.
+        Object.values(room.players).forEach(p => {
+            p.statusEffects = [];
+            p.pendingAttack = null;
+            if (p.role === 'Explorer' && !p.isDead) {
+                p.isDowned = false;
+                p.isStable = false;
+                p.deathSaves = { successes: 0, failures: 0 };
+                p.stats.currentHp = Math.max(1, p.stats.currentHp);
+                p.stats.shieldHp = 0;
+            }
+            p.stats = this.calculatePlayerStats(p, room.gameState.partyHope);
+        });
+
+        room.gameState.phase = 'started';
+        room.gameState.currentPlayerIndex = -1;
+        this._announceChapter(room);
+        this.endCurrentTurn(room.id);
+    }
+
+    /**
+     * Opens a new lobby from a save point. The host takes their own saved seat (matched by name, or the
+     * first human seat); the other seats are held by NPCs carrying the saved explorers until players join.
+     */
+    resumeCampaign(socket, { playerName, saveId }) {
+        const savePoint = this.campaignSaves[String(saveId || '').trim().toUpperCase()];
+        if (!savePoint || !gameData.campaigns[savePoint.campaignId]) {
+            return socket.emit('actionError', 'Save point not found.');
+        }
+
+        this.createRoom(socket, { playerName, gameMode: 'Campaign', customSettings: savePoint.settings, campaignId: savePoint.campaignId });
+        const room = this.findRoomBySocket(socket);
+        if (!room) return;
+        room.campaign.chapterIndex = savePoint.chapterIndex;
+        room.campaign.saveId = savePoint.id;
+        room.gameState.partyHope = savePoint.partyHope;
+        room.cardIdCounter = Math.max(room.cardIdCounter, savePoint.cardIdCounter);
+
+        // Replace the default NPC explorers with the saved party.
+        Object.values(room.players).filter(p => p.isNpc && p.role === 'Explorer').forEach(p => delete room.players[p.id]);
+        const seats = [...savePoint.party];
+        const hostSeat = seats.find(s => s.name.toLowerCase() === String(playerName).toLowerCase()) || seats.find(s => !s.isNpc) || seats[0];
+        seats.splice(seats.indexOf(hostSeat), 1);
+        this._takeCampaignSeat(room.players[socket.id], hostSeat, room.gameState.partyHope);
+
+        seats.forEach((seat, i) => {
+            const npc = this.createPlayerObject(`npc-${seat.name.toLowerCase().replace(/[^a-z0-9]/g, '')}-${i}`, seat.name, true);
+            npc.role = 'Explorer';
+            this._takeCampaignSeat(npc, seat, room.gameState.partyHope);
+            room.players[npc.id] = npc;
+        });
+
+        room.chatLog.push({ type: 'system', text: `Campaign resumed from save ${savePoint.id}: ${room.campaign.name}, chapter ${savePoint.chapterIndex + 1}.`, timestamp: Date.now() });
+        this.emitGameState(room.id);
+    }
+
+    // Gives a player a saved explorer's class, level, gear and HP. `seat` is a save point entry or an NPC holding one.
+    _takeCampaignSeat(player, seat, partyHope) {
+        player.level = seat.level || 1;
+        player.xp = seat.xp || 0;
+        player.equipment = seat.equipment;
+        player.hand = seat.hand;
+        player.stats.currentHp = seat.currentHp ?? seat.stats.currentHp;
+        this.assignClassToPlayer(player, seat.class, partyHope);
+        player.carriedOver = true;
+    }
+
+    // --- 3.13. Dungeon Master Console ---
+    // A player in the DM seat (see `assignDm`) runs the DM's turn from the console instead of the AI, within the
+    // same limits: each monster's AP, cooldowns and ability uses. The AI stays on as an assistant unless the DM turns
+    // it off (`gameState.dmAssistant`): it still draws world events and spawns monsters at the start of the turn,
+    // and plays any monster the DM left alone when the turn ends.
+
+    /**
+     * Starts a human DM's turn: expiring world events, arena hazards and the boss's entrance (plus the assistant's
+     * draws and spawns), then each monster's start of turn. `gameState.dmTurn` tracks the monsters until the turn ends.
+     */
+    async _startDmTurn(room) {
+        const assist = room.gameState.dmAssistant;
+        const dmId = room.gameState.turnOrder[room.gameState.currentPlayerIndex];
+        // The DM may end the turn, or leave, while the board is being set up. Nothing more happens once they have.
+        const isStillDmTurn = () => room.gameState.phase === 'started' && room.gameState.turnOrder[room.gameState.currentPlayerIndex] === dmId;
+
+        // Like runNpcTurn, a failed setup is logged and the turn moves on rather than stalling the game.
+        try {
+            await this._manageWorldEvents(room, { drawNew: assist });
+            if (!isStillDmTurn()) return;
+            await this._manageBoardState(room, { autoSpawn: assist });
+            if (!isStillDmTurn()) return;
+
+            const monsters = {};
+            for (const monster of [...room.gameState.board.monsters]) {
+                if (room.gameState.phase !== 'started') break; // The boss fell to its own burn
+                if (this._startMonsterTurn(room, monster)) monsters[monster.id] = { apLeft: getMonsterAp(monster), used: [], directed: false };
+            }
+            room.gameState.dmTurn = { monsters, ending: false };
+            this.emitGameState(room.id);
+        } catch (error) {
+            console.error(`[CRITICAL DM ERROR] An error occurred while setting up the DM's turn in room ${room.id}. The game will proceed to the next turn to prevent a stall.`);
+            console.error("Error Details:", error.stack || error);
+            room.gameState.dmTurn = null;
+            if (isStillDmTurn()) this.endCurrentTurn(room.id);
+        }
+    }
+
+    /**
+     * Ends a human DM's turn. Monsters the DM didn't direct first spend their AP as the AI would, if `assist` is on.
+     * @param {{assist?: boolean}} [options] Defaults to the room's `dmAssistant` setting.
+     */
+    async _finishDmTurn(room, { assist = room.gameState.dmAssistant } = {}) {
+        const { dmTurn } = room.gameState;
+        try {
+            if (dmTurn) {
+                dmTurn.ending = true;
+                for (const monster of [...room.gameState.board.monsters]) {
+                    const entry = dmTurn.monsters[monster.id];
+                    if (room.gameState.phase !== 'started') break;
+                    if (!assist || !entry || entry.directed || entry.apLeft <= 0) continue;
+                    await this._runMonsterActions(room, monster, entry.apLeft, entry.used);
+                }
+            }
+        } catch (error) {
+            console.error(`[CRITICAL DM ERROR] An error occurred while the monsters finished the DM's turn in room ${room.id}. The game will proceed to the next turn to prevent a stall.`);
+            console.error("Error Details:", error.stack || error);
+        } finally {
+            // Always end the turn, even if a monster's actions failed, so `ending` never gets stuck.
+            room.gameState.dmTurn = null;
+            this.endCurrentTurn(room.id);
+        }
+    }
+
+    /**
+     * Handles a command from the DM console. Narrating, awarding Party Hope and toggling the assistant work at
+     * any time during play; the rest only on the DM's turn.
+     * @param {{action: string}} payload The command, plus the fields its handler reads.
+     */
+    handleDmAction(socket, payload) {
+        const room = this.findRoomBySocket(socket);
+        const player = room?.players[socket.id];
+        if (!room || !player || !payload) return;
+        if (player.role !== 'DM') return socket.emit('actionError', 'Only the Dungeon Master can do that.');
+        if (!['started', 'party_event'].includes(room.gameState.phase) || room.gameState.isPaused) {
+            return socket.emit('actionError', 'The game is not in play right now.');
+        }
+
+        const anytimeActions = {
+            narrate: this._dmNarrate,
+            awardHope: this._dmAwardHope,
+            toggleAssistant: this._dmToggleAssistant,
+        };
+        const turnActions = {
+            spawnMonster: this._dmSpawnMonster,
+            startWorldEvent: this._dmStartWorldEvent,
+            endWorldEvent: this._dmEndWorldEvent,
+            placeEnvironment: this._dmPlaceEnvironment,
+            monsterAttack: this._dmMonsterAttack,
+            monsterAbility: this._dmMonsterAbility,
+        };
+        const handler = anytimeActions[payload.action] || turnActions[payload.action];
+        if (!handler) return;
+        if (turnActions[payload.action]) {
+            const isDmTurn = room.gameState.phase === 'started' && room.gameState.turnOrder[room.gameState.currentPlayerIndex] === player.id;
+            if (!isDmTurn || !room.gameState.dmTurn || room.gameState.dmTurn.ending) {
+                return socket.emit('actionError', 'You can only do that during your turn.');
+            }
+        }
+        handler.call(this, room, payload, socket);
+        this.emitGameState(room.id);
+    }
+
+    _dmNarrate(room, { text }) {
+        const narration = escapeHtml(String(text || '').trim().substring(0, 500));
+        if (narration) room.chatLog.push({ type: 'dm', text: narration, timestamp: Date.now() });
+    }
+
+    // Raises or lowers Party Hope by one.
+    _dmAwardHope(room, { amount }, socket) {
+        if (amount !== 1 && amount !== -1) return;
+        const partyHope = Math.max(0, Math.min(10, room.gameState.partyHope + amount));
+        if (partyHope === room.gameState.partyHope) return socket.emit('actionError', `Party Hope is already at ${partyHope}.`);
+        room.gameState.partyHope = partyHope;
+        const change = amount > 0 ? 'rises' : 'falls';
+        room.chatLog.push({ type: amount > 0 ? 'system-good' : 'system-bad', text: `The DM's word carries weight: Party Hope ${change} to ${partyHope}.`, timestamp: Date.now() });
+        // Party Hope feeds into everyone's hit bonus.
+        Object.values(room.players)
+            .filter(p => p.role === 'Explorer')
+            .forEach(p => { p.stats = this.calculatePlayerStats(p, partyHope); });
+    }
+
+    _dmToggleAssistant(room) {
+        room.gameState.dmAssistant = !room.gameState.dmAssistant;
+        const state = room.gameState.dmAssistant ? 'on' : 'off';
+        room.chatLog.push({ type: 'system', text: `The DM turned the AI assistant ${state}.`, timestamp: Date.now() });
+    }
+
+    /**
+     * Brings a chosen monster into play. It acts this turn, like the ones the AI spawns.
+     * @param {{tier: string, cardId?: string}} payload `tier` is 'tier1', 'tier2', 'tier3' or 'boss'.
+     */
+    _dmSpawnMonster(room, { tier, cardId }, socket) {
+        if (!['tier1', 'tier2', 'tier3', 'boss'].includes(tier)) return;
+        if (tier === 'boss' && room.gameState.boss) return socket.emit('actionError', 'The boss has already entered.');
+        const monster = tier === 'boss' ? this._bossEntrance(room) : this._spawnMonster(room, tier, cardId);
+        if (!monster) return socket.emit('actionError', 'That monster is no longer in the deck.');
+        if (tier !== 'boss') room.chatLog.push({ type: 'dm', text: `A ${monster.name} emerges from the shadows!`, timestamp: Date.now() });
+        room.gameState.dmTurn.monsters[monster.id] = { apLeft: getMonsterAp(monster), used: [], directed: false };
+    }
+
+    _dmStartWorldEvent(room, { cardId }, socket) {
+        if (room.gameState.worldEvents.currentEvent) return socket.emit('actionError', 'A world event is already underway.');
+        const eventCard = this.drawCardFromDeck(room.id, 'worldEvent', null, { cardId });
+        if (!eventCard) return socket.emit('actionError', 'That event is no longer in the deck.');
+        this._startWorldEvent(room, eventCard);
+    }
+
+    _dmEndWorldEvent(room, _, socket) {
+        if (!room.gameState.worldEvents.currentEvent) return socket.emit('actionError', 'There is no world event to end.');
+        this._endWorldEvent(room);
+    }
+
+    _dmPlaceEnvironment(room, { cardId }, socket) {
+        const envCardData = this.drawCardFromDeck(room.id, 'environmental', null, { cardId });
+        if (!envCardData) return socket.emit('actionError', 'That card is no longer in the deck.');
+        const envCardInstance = { ...envCardData, id: this.generateUniqueCardId(room) };
+        room.gameState.board.environment.push(envCardInstance);
+        room.chatLog.push({ type: 'dm', text: `The party notices a ${envCardInstance.name} in the room.`, timestamp: Date.now() });
+    }
+
+    // The monster a console command directs, with its entry in `dmTurn`, or null (with the error sent) if it can't act.
+    _getDirectedMonster(room, monsterId, socket) {
+        const monster = room.gameState.board.monsters.find(m => m.id === monsterId);
+        const entry = monster && room.gameState.dmTurn.monsters[monster.id];
+        if (!monster) {
+            socket.emit('actionError', 'That monster is not on the board.');
+            return null;
+        }
+        if (!entry) {
+            socket.emit('actionError', `${monster.name} can't act this turn.`);
+            return null;
+        }
+        return { monster, entry };
+    }
+
+    _dmMonsterAttack(room, { monsterId, targetId }, socket) {
+        const directed = this._getDirectedMonster(room, monsterId, socket);
+        if (!directed) return;
+        const { monster, entry } = directed;
+        const candidates = this._getMonsterCandidates(room);
+        const target = candidates.find(p => p.id === targetId);
+        if (!target) return socket.emit('actionError', `${monster.name} can't attack that target.`);
+        if (entry.apLeft < ATTACK_AP_COST) return socket.emit('actionError', `${monster.name} doesn't have enough AP to attack.`);
+
+        entry.apLeft -= ATTACK_AP_COST;
+        entry.directed = true;
+        this._resolveMonsterAttack(room, monster, candidates, target);
+    }
+
+    /**
+     * Uses one of a monster's abilities. Damage and control abilities need a target; the others pick their own,
+     * as they do for the AI.
+     * @param {{monsterId: string, abilityName: string, targetId?: string}} payload
+     */
+    _dmMonsterAbility(room, { monsterId, abilityName, targetId }, socket) {
+        const directed = this._getDirectedMonster(room, monsterId, socket);
+        if (!directed) return;
+        const { monster, entry } = directed;
+        const ability = (monster.abilities || []).find(a => a.name === abilityName);
+        if (!ability) return;
+        const candidates = this._getMonsterCandidates(room);
+        const blocker = getAbilityBlocker({ monster, ability, apLeft: entry.apLeft, usedThisTurn: entry.used, explorers: candidates, monsters: room.gameState.board.monsters });
+        if (blocker) return socket.emit('actionError', blocker);
+        const target = ['damage', 'control'].includes(ability.type) ? candidates.find(p => p.id === targetId) : null;
+        if (['damage', 'control'].includes(ability.type) && !target) return socket.emit('actionError', `Choose a target for ${ability.name}.`);
+
+        entry.apLeft -= ability.apCost || 1;
+        entry.used.push(ability.name);
+        entry.directed = true;
+        this._useMonsterAbility(room, monster, ability, candidates, target);
+    }
 }
 
 
 // --- 4. SOCKET.IO CONNECTION HANDLING ---
-const gameManager = new GameManager();
+const gameManager = new GameManager(createRoomStore({
+    type: process.env.ROOM_STORE, // 'file' (default) or 'memory'
+    directory: process.env.ROOM_STORE_DIR,
+}), createRoomStore({
+    type: process.env.ROOM_STORE,
+    directory: process.env.CAMPAIGN_STORE_DIR || path.join(__dirname, 'data', 'campaigns'),
+}));
+gameManager.restoreRooms();
+gameManager.restoreCampaignSaves();
 
 io.on('connection', (socket) => {
     socket.on('createRoom', (data) => gameManager.createRoom(socket, data));
     socket.on('joinRoom', (data) => gameManager.joinRoom(socket, data));
     socket.on('rejoinRoom', (data) => gameManager.rejoinRoom(socket, data));
     socket.on('chooseClass', (data) => gameManager.chooseClass(socket, data));
+    socket.on('assignDm', (data) => gameManager.assignDm(socket, data));
     socket.on('startGame', () => gameManager.startGame(socket));
+    socket.on('resumeCampaign', (data) => gameManager.resumeCampaign(socket, data));
+    socket.on('startNextChapter', () => gameManager.startNextChapter(socket));
     socket.on('equipItem', (data) => gameManager.equipItem(socket, data));
     socket.on('endTurn', () => gameManager.endTurn(socket));
     socket.on('playerAction', (data) => gameManager.handlePlayerAction(socket, data));
+    socket.on('dmAction', (data) => gameManager.handleDmAction(socket, data));
     socket.on('chatMessage', (data) => gameManager.handleChatMessage(socket, data));
+    socket.on('stateAck', (data) => gameManager.acknowledgeState(socket, data));
+    socket.on('requestStateResync', () => gameManager.resyncState(socket));
     
     // WebRTC Signaling
     socket.on('join-voice-chat', () => {
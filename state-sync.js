@@ -0,0 +1,117 @@
+// This file defines the versioned state stream used by the server (`server.js`) to keep clients in sync.
+// Instead of re-sending a player's whole view after every action, the server sends a list of patch
+// operations against the last revision that client acknowledged. Clients that fall out of step are
+// sent a full snapshot instead.
+
+// --- INDEX ---
+// 1. JSON DIFF
+// 2. PER-SOCKET STREAM
+// 3. MODULE EXPORTS
+
+// If a client stops acknowledging, stop diffing against an ever older base and resend everything.
+const MAX_UNACKED_REVISIONS = 25;
+
+// --- 1. JSON DIFF ---
+const isObject = (value) => value !== null && typeof value === 'object';
+
+// Escapes a key for use in a JSON Pointer path (RFC 6901).
+const escapePathKey = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Computes the operations that turn `prev` into `next`. Both must be plain JSON data.
+ * Operations use the JSON Patch shape (RFC 6902) but only `add`, `remove` and `replace`.
+ * Arrays are compared index by index, which suits the common case of entries being appended (e.g. the chat log).
+ * @param {*} prev
+ * @param {*} next
+ * @param {string} [path] The JSON Pointer of the values being compared.
+ * @param {object[]} [ops] Accumulator for the resulting operations.
+ * @returns {{op: string, path: string, value?: *}[]}
+ */
+function diffState(prev, next, path = '', ops = []) {
+    if (prev === next) return ops;
+
+    const bothArrays = Array.isArray(prev) && Array.isArray(next);
+    const bothObjects = isObject(prev) && isObject(next) && !Array.isArray(prev) && !Array.isArray(next);
+
+    if (bothArrays) {
+        const shared = Math.min(prev.length, next.length);
+        for (let i = 0; i < shared; i++) diffState(prev[i], next[i], `${path}/${i}`, ops);
+        for (let i = shared; i < next.length; i++) ops.push({ op: 'add', path: `${path}/${i}`, value: next[i] });
+        // Remove from the end so earlier indices stay valid while the patch is applied.
+        for (let i = prev.length - 1; i >= shared; i--) ops.push({ op: 'remove', path: `${path}/${i}` });
+    } else if (bothObjects) {
+        Object.keys(prev).forEach(key => {
+            if (!(key in next)) ops.push({ op: 'remove', path: `${path}/${escapePathKey(key)}` });
+        });
+        Object.keys(next).forEach(key => {
+            const childPath = `${path}/${escapePathKey(key)}`;
+            if (key in prev) diffState(prev[key], next[key], childPath, ops);
+            else ops.push({ op: 'add', path: childPath, value: next[key] });
+        });
+    } else {
+        ops.push({ op: 'replace', path, value: next });
+    }
+    return ops;
+}
+
+// --- 2. PER-SOCKET STREAM ---
+/**
+ * Tracks the revisions sent to one socket.
+ * Every sent view is kept until the client acknowledges it (or a later one), because the next patch is
+ * computed against the acknowledged view, not the latest sent one. That way a patch never depends on a
+ * revision the client might not have applied.
+ */
+class StateStream {
+    constructor() {
+        this.revision = 0;
+        this.ackedRevision = null;
+        this.sentViews = new Map(); // revision -> JSON snapshot of the view sent at that revision
+    }
+
+    /**
+     * Records a new view and returns what to send for it.
+     * @param {object} view The player view to send.
+     * @returns {{full: true, revision: number, state: object} | {full: false, baseRevision: number, revision: number, ops: object[]}}
+     */
+    next(view) {
+        const snapshot = JSON.parse(JSON.stringify(view));
+        const revision = ++this.revision;
+        const base = this.ackedRevision === null ? null : this.sentViews.get(this.ackedRevision);
+
+        if (!base || revision - this.ackedRevision > MAX_UNACKED_REVISIONS) {
+            // Nothing to diff against (first send, resync, or a silent client): start over from this snapshot.
+            this.ackedRevision = null;
+            this.sentViews.clear();
+            this.sentViews.set(revision, snapshot);
+            return { full: true, revision, state: snapshot };
+        }
+
+        this.sentViews.set(revision, snapshot);
+        return { full: false, baseRevision: this.ackedRevision, revision, ops: diffState(base, snapshot) };
+    }
+
+    /**
+     * Marks a revision as applied by the client. Older snapshots are no longer needed.
+     * @param {number} revision
+     */
+    acknowledge(revision) {
+        if (!this.sentViews.has(revision)) return;
+        if (this.ackedRevision !== null && revision <= this.ackedRevision) return;
+        this.ackedRevision = revision;
+        for (const sentRevision of this.sentViews.keys()) {
+            if (sentRevision < revision) this.sentViews.delete(sentRevision);
+        }
+    }
+
+    // Forgets everything the client has, so the next send is a full snapshot.
+    reset() {
+        this.ackedRevision = null;
+        this.sentViews.clear();
+    }
+}
+
+// --- 3. MODULE EXPORTS ---
+module.exports = {
+    diffState,
+    StateStream
+};
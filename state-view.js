@@ -0,0 +1,92 @@
+// This file defines the projection layer that turns a room into what one particular player is allowed to see.
+// The server (`server.js`) builds a separate view for every socket in a room, so hidden information
+// (other players' hands, the order of the decks, saved player data) never leaves the server.
+
+// --- INDEX ---
+// 1. PROJECTION HELPERS
+// 2. PLAYER VIEW
+// 3. MODULE EXPORTS
+
+// --- 1. PROJECTION HELPERS ---
+/**
+ * Replaces every deck with its size, keeping nested decks (e.g. `monster.tier1`) nested.
+ * @param {object} decks The room's `gameState.decks`.
+ * @returns {object} The same shape, with numbers in place of card arrays.
+ */
+function projectDecks(decks) {
+    const sizes = {};
+    Object.entries(decks || {}).forEach(([name, deck]) => {
+        sizes[name] = Array.isArray(deck) ? deck.length : projectDecks(deck);
+    });
+    return sizes;
+}
+
+/**
+ * Projects a single player. The viewer sees their own hand and pending choices in full;
+ * everyone else only sees how many cards that player holds.
+ * Live timer handles are always dropped.
+ */
+function projectPlayer(player, isViewer) {
+    const { hand, discoveryItem, pendingAttack, pauseTimer, replacementTimer, ...publicFields } = player;
+    if (isViewer) {
+        return { ...publicFields, hand, handCount: hand.length, discoveryItem, pendingAttack };
+    }
+    return { ...publicFields, handCount: hand.length };
+}
+
+/**
+ * What a human DM can pick from in their console: the cards left in the monster, world event and environment decks.
+ * Copies of the same card are listed once. The boss deck stays a surprise, even to the DM.
+ * @param {object} decks The room's `gameState.decks`.
+ */
+function projectDmConsole(decks) {
+    const listCards = (deck, summarize) => {
+        const seen = new Set();
+        return (deck || []).filter(card => !seen.has(card.name) && seen.add(card.name)).map(card => ({ id: card.id, name: card.name, ...summarize(card) }));
+    };
+    const monsterSummary = m => ({ maxHp: m.maxHp, attackBonus: m.attackBonus, dice: m.effect?.dice, ap: m.ap || 1 });
+    return {
+        monsters: {
+            tier1: listCards(decks.monster?.tier1, monsterSummary),
+            tier2: listCards(decks.monster?.tier2, monsterSummary),
+            tier3: listCards(decks.monster?.tier3, monsterSummary),
+        },
+        bossCount: decks.monster?.boss?.length || 0,
+        worldEvents: listCards(decks.worldEvent, e => ({ duration: e.duration || 2 })),
+        environment: listCards(decks.environmental, () => ({})),
+    };
+}
+
+// --- 2. PLAYER VIEW ---
+/**
+ * Builds the state a single socket receives.
+ * @param {object} room The full, server-side room.
+ * @param {string} viewerId The socket ID of the player the view is for.
+ * @param {object} staticData Unchanging data the client needs (e.g. class definitions).
+ * @returns {object} A redacted copy of the room, safe to send to that socket.
+ */
+function buildPlayerView(room, viewerId, staticData) {
+    // The random stream and saved player data stay server-side.
+    const { rng, savedPlayers, players, gameState, ...publicRoom } = room;
+
+    const projectedPlayers = {};
+    Object.entries(players).forEach(([id, player]) => {
+        projectedPlayers[id] = projectPlayer(player, id === viewerId);
+    });
+
+    const viewer = players[viewerId];
+    const isHumanDm = viewer && viewer.role === 'DM' && !viewer.isNpc;
+
+    return {
+        ...publicRoom,
+        players: projectedPlayers,
+        gameState: { ...gameState, decks: projectDecks(gameState.decks) },
+        dmConsole: isHumanDm && gameState.decks.monster ? projectDmConsole(gameState.decks) : null,
+        staticData,
+    };
+}
+
+// --- 3. MODULE EXPORTS ---
+module.exports = {
+    buildPlayerView
+};